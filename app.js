@@ -4,61 +4,16 @@
  */
 
 // ==================== Configuration ====================
-const ASSESSMENT_CONFIG = {
-    ratingScale: {
-        min: 0,
-        max: 5,
-        labels: {
-            0: 'Not Applicable',
-            1: 'Very Poor',
-            2: 'Poor',
-            3: 'Fair',
-            4: 'Good',
-            5: 'Excellent'
-        }
-    },
-
-    themes: {
-        'Strategic Vision': {
-            color: 'rgba(255, 99, 132, %a)',
-            metrics: [
-                { id: 'sharedVision', label: 'Shared Vision' },
-                { id: 'strategy', label: 'Strategy' },
-                { id: 'businessAlignment', label: 'Business Alignment' },
-                { id: 'customerFocus', label: 'Customer Focus' }
-            ]
-        },
-        'Focus and Engagement': {
-            color: 'rgba(54, 162, 235, %a)',
-            metrics: [
-                { id: 'crossFunctionalTeams', label: 'Cross-Functional Teams' },
-                { id: 'clarityInPriorities', label: 'Clarity in Priorities' },
-                { id: 'acceptanceCriteria', label: 'Acceptance Criteria' },
-                { id: 'enablingFocus', label: 'Enabling Focus' },
-                { id: 'engagement', label: 'Engagement' }
-            ]
-        },
-        'Autonomy and Change': {
-            color: 'rgba(255, 206, 86, %a)',
-            metrics: [
-                { id: 'feedback', label: 'Feedback' },
-                { id: 'enablingAutonomy', label: 'Enabling Autonomy' },
-                { id: 'changeAndAmbiguity', label: 'Change and Ambiguity' },
-                { id: 'desiredCulture', label: 'Desired Culture' },
-                { id: 'workAutonomously', label: 'Works Autonomously' }
-            ]
-        },
-        'Stakeholders and Team': {
-            color: 'rgba(75, 192, 192, %a)',
-            metrics: [
-                { id: 'stakeholders', label: 'Stakeholders' },
-                { id: 'teamAttrition', label: 'Team Attrition' },
-                { id: 'teams', label: 'Teams' },
-                { id: 'developingPeople', label: 'Developing People' },
-                { id: 'subordinatesForSuccess', label: 'Subordinates for Success' }
-            ]
-        }
-    }
+// Tag rules, as on the server: up to 40 letters and digits, with "-", "_" and "." after the first
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_.-]{0,39}$/u;
+const MAX_TAGS = 20;
+
+// Progress of a development goal, as on the server
+const GOAL_STATUSES = {
+    'not-started': 'Not started',
+    'in-progress': 'In progress',
+    achieved: 'Achieved',
+    dropped: 'Dropped'
 };
 
 // ==================== Application ====================
@@ -66,35 +21,236 @@ class PerformanceAssessment {
     constructor() {
         this.chart = null;
         this.employeeName = '';
-        this.themes = ASSESSMENT_CONFIG.themes;
+        this.employeeId = null; // Set when the name matches an existing employee
+        this.employeeOptions = []; // Last employee search results for the picker
+        // Default template seed (backend/config/defaultTemplate.js) until one is loaded from the API
+        this.themes = this.templateToThemes(DEFAULT_TEMPLATE);
+        this.ratingScale = DEFAULT_TEMPLATE.ratingScale;
+        this.template = null; // Template loaded from the API (null = offline fallback)
         this.currentAssessmentId = null; // Track current assessment for updates
+        this.status = 'draft';
+        this.permission = 'owner'; // 'owner', or 'edit'/'view' for assessments shared with the user
+        this.readOnly = false;
+        this.showBenchmark = false;
+        this.benchmark = null; // Benchmark statistics for the current template
+        this.benchmarkTag = ''; // Only assessments with this tag count towards the benchmark
+        this.comparisonOptions = []; // Other assessments of the same employee
+        this.comparison = null; // Assessment overlaid on the chart
+        this.reviewId = null; // Set while rating for a 360-degree review
+        this.selfAssessment = null; // Employee's self-assessment overlaid on the chart
+        this.tags = []; // Labels on the assessment, e.g. "promotion-candidate"
+        this.cycleId = null; // Review cycle the assessment counts towards
+        this.cycles = []; // Review cycles the user takes part in
+        this.goals = []; // Development goals of the employee
+        this.assessmentDate = null; // Date of the loaded assessment (null until first saved)
     }
 
     /**
      * Initialize the assessment application
      */
-    init() {
+    async init() {
         this.setCurrentDate();
+        this.addCommentFields();
         this.initializeChart();
         this.attachEventListeners();
+        this.loadTagOptions();
 
         // Check for assessment ID in URL
         const urlParams = new URLSearchParams(window.location.search);
         const assessmentId = urlParams.get('assessmentId');
         const mode = urlParams.get('mode'); // 'view' or 'edit'
+        const reviewId = urlParams.get('reviewId');
+        this.cycleId = urlParams.get('cycleId'); // Preselected when started from a cycle
 
         if (assessmentId) {
-            // Load assessment from MongoDB
-            this.loadAssessment(assessmentId);
+            // Load assessment (and its template) from MongoDB
+            await this.loadAssessment(assessmentId);
 
             // If view mode, make form read-only
-            if (mode === 'view') {
+            if (mode === 'view' && !this.readOnly) {
                 this.setReadOnlyMode(true);
             }
+        } else if (reviewId) {
+            // Rate the employee of a 360-degree review
+            await this.startReviewSubmission(reviewId);
         } else {
-            // Load from localStorage as fallback
+            // Pick a template, then restore any unsaved work from localStorage
+            await this.loadTemplateOptions();
             this.loadFromLocalStorage();
         }
+
+        await this.loadCycleOptions();
+    }
+
+    /**
+     * Convert an API template into the themes map used by the chart and form
+     * @param {Object} template - Template from the API
+     * @returns {Object} - { [themeName]: { color, metrics: [{ id, label, description }] } }
+     */
+    templateToThemes(template) {
+        const themes = {};
+        template.themes.forEach(theme => {
+            themes[theme.name] = {
+                color: theme.color,
+                metrics: theme.metrics.map(({ id, label, description }) => ({ id, label, description }))
+            };
+        });
+        return themes;
+    }
+
+    /**
+     * Populate the template dropdown and apply the selected template
+     * Prefers the template of the locally saved assessment, then the default
+     */
+    async loadTemplateOptions() {
+        if (!window.authManager || !window.authManager.isAuthenticated()) {
+            return;
+        }
+
+        try {
+            const { templates } = await api.getTemplates();
+            const select = document.getElementById('templateSelect');
+            const saved = JSON.parse(localStorage.getItem('performanceAssessment') || 'null');
+            const template = templates.find(t => saved && t._id === saved.templateId)
+                || templates.find(t => t.isDefault)
+                || templates[0];
+
+            if (select) {
+                select.innerHTML = templates
+                    .map(t => `<option value="${t._id}">${t.name}</option>`)
+                    .join('');
+                select.value = template._id;
+                select.disabled = false;
+            }
+
+            this.applyTemplate(template);
+        } catch (error) {
+            console.error('Failed to load templates:', error);
+            this.showErrorMessage('Could not load assessment templates, using built-in metrics');
+        }
+    }
+
+    /**
+     * Switch the form and chart to a different template
+     * @param {Object} template - Template from the API
+     */
+    applyTemplate(template) {
+        this.template = template;
+        this.themes = this.templateToThemes(template);
+        this.ratingScale = {
+            min: template.ratingScale.min,
+            max: template.ratingScale.max,
+            labels: template.ratingScale.labels || {}
+        };
+
+        const select = document.getElementById('templateSelect');
+        if (select && select.value !== template._id) {
+            select.value = template._id;
+        }
+
+        this.renderForm();
+        this.initializeChart();
+        this.updateChart();
+
+        // Benchmarks are per template
+        this.benchmark = null;
+        if (this.showBenchmark) {
+            this.loadBenchmark();
+        }
+        this.renderComparison();
+        this.renderSelfAssessment();
+    }
+
+    /**
+     * Render the assessment form fieldsets from the current themes
+     */
+    renderForm() {
+        const form = document.getElementById('inputForm');
+        if (!form) return;
+
+        const { min, max, labels } = this.ratingScale;
+        const scaleText = `Rate from ${min}${labels[min] ? ` (${labels[min]})` : ''} to ${max}${labels[max] ? ` (${labels[max]})` : ''}`;
+
+        form.innerHTML = Object.entries(this.themes).map(([theme, themeData]) => `
+            <fieldset>
+                <legend>${theme}</legend>
+                ${themeData.metrics.map(metric => `
+                    <div class="field">
+                        <input type="number" id="${metric.id}" name="${metric.id}" min="${min}" max="${max}" value="${min}"
+                            aria-describedby="${metric.id}-desc">
+                        <label for="${metric.id}">
+                            <strong>${metric.label}:</strong>
+                            ${metric.description || ''}
+                        </label>
+                        <span id="${metric.id}-desc" class="sr-only">${scaleText}</span>
+                    </div>
+                `).join('')}
+            </fieldset>
+        `).join('');
+
+        this.addCommentFields();
+        this.renderGoals();
+    }
+
+    /**
+     * Add an expandable comment note to every metric field that lacks one
+     * Textareas have no name attribute so they stay out of the ratings CSV
+     */
+    addCommentFields() {
+        document.querySelectorAll('#inputForm .field').forEach(field => {
+            const input = field.querySelector('input[type="number"]');
+            if (!input || field.querySelector('.metric-note')) return;
+
+            const details = document.createElement('details');
+            details.className = 'metric-note';
+
+            const summary = document.createElement('summary');
+            summary.textContent = 'Add note';
+
+            const textarea = document.createElement('textarea');
+            textarea.id = `${input.id}-comment`;
+            textarea.dataset.metric = input.id;
+            textarea.rows = 3;
+            textarea.maxLength = 1000;
+            textarea.placeholder = 'Why this rating? Add examples or evidence.';
+            textarea.setAttribute('aria-label', `Comment for ${input.id}`);
+
+            details.append(summary, textarea);
+            field.appendChild(details);
+        });
+    }
+
+    /**
+     * Collect non-empty metric comments from the form
+     * @returns {Object} - Comments keyed by metric ID
+     */
+    collectComments() {
+        const comments = {};
+        document.querySelectorAll('#inputForm textarea[data-metric]').forEach(textarea => {
+            const value = textarea.value.trim();
+            if (value) {
+                comments[textarea.dataset.metric] = value;
+            }
+        });
+        return comments;
+    }
+
+    /**
+     * Fill metric comments and the overall summary into the form
+     * @param {Object} comments - Comments keyed by metric ID
+     * @param {string} summary - Overall summary
+     */
+    populateComments(comments = {}, summary = '') {
+        document.querySelectorAll('#inputForm textarea[data-metric]').forEach(textarea => {
+            const value = comments[textarea.dataset.metric] || '';
+            textarea.value = decodeText(value);
+            textarea.closest('details').open = Boolean(value);
+        });
+
+        const summaryInput = document.getElementById('assessmentSummary');
+        if (summaryInput) {
+            summaryInput.value = decodeText(summary);
+        }
     }
 
     /**
@@ -110,14 +266,14 @@ class PerformanceAssessment {
     /**
      * Validate and clamp input value between min and max
      * @param {string|number} value - Input value to validate
-     * @returns {number} - Validated value clamped between 0-5
+     * @returns {number} - Validated value clamped to the rating scale
      */
     validateInput(value) {
         const num = parseFloat(value);
         if (isNaN(num)) return 0;
         return Math.max(
-            ASSESSMENT_CONFIG.ratingScale.min,
-            Math.min(ASSESSMENT_CONFIG.ratingScale.max, num)
+            this.ratingScale.min,
+            Math.min(this.ratingScale.max, num)
         );
     }
 
@@ -132,6 +288,51 @@ class PerformanceAssessment {
         return div.innerHTML.trim();
     }
 
+    /**
+     * Search employees for the name field's autocomplete list
+     * @param {string} query - Text typed so far
+     */
+    async searchEmployees(query) {
+        const list = document.getElementById('employeeOptions');
+        if (!list || !query.trim() || !window.authManager || !window.authManager.isAuthenticated()) {
+            return;
+        }
+
+        try {
+            const { employees } = await api.getEmployees({ q: query.trim(), limit: 10 });
+            this.employeeOptions = employees;
+
+            list.innerHTML = '';
+            employees.forEach(employee => {
+                const option = document.createElement('option');
+                option.value = decodeText(employee.name);
+                option.label = [employee.jobTitle, employee.department]
+                    .filter(Boolean).map(text => decodeText(text)).join(', ');
+                list.appendChild(option);
+            });
+
+            // The typed name may now match a search result
+            this.matchEmployee(document.getElementById('employeeName').value);
+            this.loadComparisonOptions();
+            this.loadGoals();
+        } catch (error) {
+            console.error('Failed to search employees:', error);
+        }
+    }
+
+    /**
+     * Link the assessment to the employee whose name was picked or typed
+     * A name matching no employee is sent as free text and created on save
+     * @param {string} name - Current name field value
+     */
+    matchEmployee(name) {
+        const normalized = name.trim().replace(/\s+/g, ' ').toLowerCase();
+        const match = this.employeeOptions.find(employee =>
+            decodeText(employee.name).toLowerCase() === normalized
+        );
+        this.employeeId = match ? match._id : null;
+    }
+
     /**
      * Sanitize filename for downloads
      * @param {string} name - Raw filename
@@ -147,9 +348,15 @@ class PerformanceAssessment {
 
     /**
      * Initialize Chart.js polar area chart
+     * Rebuilds the chart if one already exists (e.g. after a template change)
      */
     initializeChart() {
         try {
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+
             const canvas = document.getElementById('performanceChart');
             if (!canvas) {
                 throw new Error('Canvas element not found');
@@ -183,8 +390,8 @@ class PerformanceAssessment {
                 options: {
                     scales: {
                         r: {
-                            min: ASSESSMENT_CONFIG.ratingScale.min,
-                            max: ASSESSMENT_CONFIG.ratingScale.max,
+                            min: this.ratingScale.min,
+                            max: this.ratingScale.max,
                             ticks: {
                                 stepSize: 1,
                                 display: true,
@@ -215,25 +422,38 @@ class PerformanceAssessment {
                         legend: {
                             position: 'top',
                             labels: {
-                                generateLabels: () => {
+                                generateLabels: (chart) => {
                                     // Return only the four main themes for the legend
-                                    return Object.entries(this.themes).map(([theme, themeData]) => ({
+                                    const items = Object.entries(this.themes).map(([theme, themeData]) => ({
                                         text: theme,
                                         fillStyle: themeData.color.replace('%a', '0.5'),
                                         strokeStyle: themeData.color.replace('%a', '1'),
                                         lineWidth: 1,
                                         hidden: false,
                                     }));
+                                    // Plus one entry per overlay dataset
+                                    chart.data.datasets.slice(1).forEach(dataset => {
+                                        items.push({
+                                            text: dataset.label,
+                                            fillStyle: dataset.backgroundColor,
+                                            strokeStyle: dataset.borderColor,
+                                            lineWidth: dataset.borderWidth,
+                                            hidden: false,
+                                        });
+                                    });
+                                    return items;
                                 }
                             },
                         },
                         title: {
                             display: true,
-                            text: 'Results'
+                            text: this.employeeName ? `${this.employeeName} - Results` : 'Results'
                         },
                         tooltip: {
                             callbacks: {
-                                label: (context) => `Score: ${context.formattedValue}`
+                                label: (context) => context.dataset.tooltipLabel
+                                    ? context.dataset.tooltipLabel(context)
+                                    : `Score: ${this.formatScoreWithDelta(context)}`
                             }
                         }
                     }
@@ -270,6 +490,298 @@ class PerformanceAssessment {
         this.chart.update();
     }
 
+    /**
+     * Get metric IDs in chart order
+     * @returns {string[]}
+     */
+    getChartMetricIds() {
+        return Object.values(this.themes).flatMap(themeData => themeData.metrics.map(metric => metric.id));
+    }
+
+    /**
+     * Show or hide the team median on the chart
+     * @param {boolean} show
+     */
+    async toggleBenchmark(show) {
+        this.showBenchmark = show;
+        if (show && !this.benchmark) {
+            await this.loadBenchmark();
+        } else {
+            this.renderBenchmark();
+        }
+    }
+
+    /**
+     * Limit the team median to assessments with a tag
+     * @param {string} tag - Empty for all assessments
+     */
+    async setBenchmarkTag(tag) {
+        this.benchmarkTag = tag.trim();
+        this.benchmark = null;
+        if (this.showBenchmark) {
+            await this.loadBenchmark();
+        }
+    }
+
+    /**
+     * Load benchmark statistics for the current template
+     * Uses each employee's latest assessment, excluding the assessed employee
+     */
+    async loadBenchmark() {
+        if (!window.authManager || !window.authManager.isAuthenticated()) {
+            this.showErrorMessage('Please login to compare with the team');
+            return;
+        }
+
+        try {
+            const filters = { latestOnly: true };
+            if (this.template) filters.templateId = this.template._id;
+            if (this.employeeId) filters.excludeEmployeeId = this.employeeId;
+            if (this.benchmarkTag) filters.tag = this.benchmarkTag;
+
+            this.benchmark = await api.getBenchmarks(filters);
+            this.renderBenchmark();
+        } catch (error) {
+            console.error('Failed to load benchmarks:', error);
+            this.showErrorMessage('Could not load team benchmark: ' + error.message);
+        }
+    }
+
+    /**
+     * Add or remove the team median dataset
+     */
+    renderBenchmark() {
+        if (!this.showBenchmark || !this.benchmark) {
+            this.setOverlay('benchmark', null);
+            return;
+        }
+
+        const stats = this.getChartMetricIds().map(id => this.benchmark.metrics[id] || null);
+        this.setOverlay('benchmark', {
+            label: `Team median${this.benchmarkTag ? ` of ${this.benchmarkTag}` : ''} (n=${this.benchmark.assessmentCount})`,
+            data: stats.map(stat => (stat ? stat.median : null)),
+            backgroundColor: 'rgba(0, 0, 0, 0.05)',
+            borderColor: 'rgba(0, 0, 0, 0.7)',
+            borderWidth: 2,
+            tooltipLabel: (context) => {
+                const stat = stats[context.dataIndex];
+                return stat
+                    ? `Team median: ${stat.median} (middle half ${stat.q1}–${stat.q3})`
+                    : 'Team median: no data';
+            }
+        });
+    }
+
+    /**
+     * Replace an overlay dataset on the chart
+     * @param {string} role - Overlay identifier, e.g. 'benchmark'
+     * @param {Object|null} dataset - Chart.js dataset, or null to remove the overlay
+     */
+    setOverlay(role, dataset) {
+        if (!this.chart) return;
+
+        const datasets = this.chart.data.datasets;
+        const index = datasets.findIndex(existing => existing.role === role);
+        if (index !== -1) {
+            datasets.splice(index, 1);
+        }
+        if (dataset) {
+            datasets.push({ ...dataset, role });
+        }
+
+        this.chart.update();
+    }
+
+    /**
+     * Format a short month and year, e.g. "Mar 2026"
+     * @param {string} dateString
+     * @returns {string}
+     */
+    formatMonth(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
+    /**
+     * Format a score with its change since the compared assessment
+     * e.g. "4 (+1 since Mar 2026)"
+     * @param {Object} context - Chart.js tooltip context
+     * @returns {string}
+     */
+    formatScoreWithDelta(context) {
+        if (!this.comparison) {
+            return context.formattedValue;
+        }
+
+        const metricId = this.getChartMetricIds()[context.dataIndex];
+        const previous = this.comparison.metrics[metricId];
+        if (typeof previous !== 'number') {
+            return context.formattedValue;
+        }
+
+        const change = context.raw - previous;
+        const sign = change > 0 ? '+' : change < 0 ? '' : '±';
+        return `${context.formattedValue} (${sign}${change} since ${this.formatMonth(this.comparison.assessmentDate)})`;
+    }
+
+    /**
+     * Populate the comparison dropdown with the employee's other assessments
+     */
+    async loadComparisonOptions() {
+        const select = document.getElementById('compareSelect');
+        if (!select || !window.authManager || !window.authManager.isAuthenticated()) {
+            return;
+        }
+
+        const name = decodeText(this.employeeName);
+        if (!this.employeeId && !name) {
+            this.comparisonOptions = [];
+            this.renderComparisonOptions();
+            return;
+        }
+
+        try {
+            const filters = this.employeeId
+                ? { employeeId: this.employeeId, limit: 50 }
+                : { employeeName: name, limit: 50 };
+            const { assessments } = await api.getAssessments(filters);
+
+            // The name filter matches substrings, so keep exact matches only
+            this.comparisonOptions = assessments.filter(assessment =>
+                assessment._id !== this.currentAssessmentId
+                && (this.employeeId || decodeText(assessment.employeeName).toLowerCase() === name.toLowerCase())
+            );
+            this.renderComparisonOptions();
+        } catch (error) {
+            console.error('Failed to load assessments to compare:', error);
+        }
+    }
+
+    /**
+     * Render the comparison dropdown, keeping the current selection if still available
+     */
+    renderComparisonOptions() {
+        const select = document.getElementById('compareSelect');
+        if (!select) return;
+
+        const selected = this.comparison ? this.comparison._id : '';
+        select.innerHTML = '<option value="">None</option>' + this.comparisonOptions.map(assessment => {
+            const date = new Date(assessment.assessmentDate).toLocaleDateString('en-US', {
+                year: 'numeric', month: 'short', day: 'numeric'
+            });
+            return `<option value="${assessment._id}">${date} (${assessment.status || 'draft'})</option>`;
+        }).join('');
+        select.disabled = this.comparisonOptions.length === 0;
+
+        const stillAvailable = this.comparisonOptions.some(assessment => assessment._id === selected);
+        select.value = stillAvailable ? selected : '';
+        if (!stillAvailable && this.comparison) {
+            this.setComparison(null);
+        }
+    }
+
+    /**
+     * Overlay an assessment on the chart, or remove the overlay
+     * @param {string|null} assessmentId - One of the comparison options
+     */
+    setComparison(assessmentId) {
+        this.comparison = this.comparisonOptions.find(assessment => assessment._id === assessmentId) || null;
+        this.renderComparison();
+    }
+
+    /**
+     * Add or remove the compared assessment dataset
+     */
+    renderComparison() {
+        if (!this.comparison) {
+            this.setOverlay('comparison', null);
+            return;
+        }
+
+        const metrics = this.comparison.metrics;
+        this.setOverlay('comparison', {
+            label: `Assessment of ${this.formatMonth(this.comparison.assessmentDate)}`,
+            data: this.getChartMetricIds().map(id => (typeof metrics[id] === 'number' ? metrics[id] : null)),
+            backgroundColor: 'rgba(128, 128, 128, 0.25)',
+            borderColor: 'rgba(96, 96, 96, 0.8)',
+            borderWidth: 1,
+            tooltipLabel: (context) => `${this.formatMonth(this.comparison.assessmentDate)}: ${context.formattedValue}`
+        });
+    }
+
+    /**
+     * Load the employee's latest self-assessment for the current assessment
+     */
+    async loadSelfAssessment() {
+        this.selfAssessment = null;
+        if (this.currentAssessmentId) {
+            try {
+                const { selfAssessment } = await api.getSelfAssessment(this.currentAssessmentId);
+                this.selfAssessment = selfAssessment;
+            } catch (error) {
+                console.error('Failed to load self-assessment:', error);
+            }
+        }
+        this.renderSelfAssessment();
+    }
+
+    /**
+     * Add or remove the self-assessment dataset
+     */
+    renderSelfAssessment() {
+        if (!this.selfAssessment) {
+            this.setOverlay('self', null);
+            return;
+        }
+
+        const metrics = this.selfAssessment.metrics;
+        this.setOverlay('self', {
+            label: `Self-assessment of ${this.formatMonth(this.selfAssessment.assessmentDate)}`,
+            data: this.getChartMetricIds().map(id => (typeof metrics[id] === 'number' ? metrics[id] : null)),
+            backgroundColor: 'rgba(33, 150, 243, 0.15)',
+            borderColor: 'rgba(33, 150, 243, 0.9)',
+            borderWidth: 2,
+            tooltipLabel: (context) => {
+                const own = this.chart.data.datasets[0].data[context.dataIndex];
+                return `Self-assessment: ${context.formattedValue} (your rating: ${own})`;
+            }
+        });
+    }
+
+    /**
+     * Issue an invitation link for the employee to rate themselves
+     * The link is copied to the clipboard, or shown to copy by hand
+     */
+    async inviteSelfAssessment() {
+        if (!window.authManager || !window.authManager.isAuthenticated()) {
+            this.showErrorMessage('Please login to invite a self-assessment');
+            return;
+        }
+        if (!this.employeeId) {
+            this.showErrorMessage('Pick an existing employee from the list first');
+            return;
+        }
+
+        try {
+            const { invitation, emailed, message } = await api.createInvitation({
+                employeeId: this.employeeId,
+                templateId: this.template ? this.template._id : undefined
+            });
+            const expires = new Date(invitation.expiresAt).toLocaleDateString();
+
+            try {
+                await navigator.clipboard.writeText(invitation.url);
+                this.showSuccessMessage(emailed
+                    ? `${message}; the link is also copied to the clipboard, valid until ${expires}`
+                    : `Invitation link copied to the clipboard, valid until ${expires}`);
+            } catch (clipboardError) {
+                window.prompt(`Send this link to ${this.employeeName} (valid until ${expires}):`, invitation.url);
+            }
+        } catch (error) {
+            console.error('Failed to create invitation:', error);
+            this.showErrorMessage('Could not create invitation: ' + error.message);
+        }
+    }
+
     /**
      * Debounce function to limit execution frequency
      * @param {Function} func - Function to debounce
@@ -302,8 +814,13 @@ class PerformanceAssessment {
 
             const data = {
                 employeeName: this.employeeName,
+                employeeId: this.employeeId,
+                templateId: this.template ? this.template._id : null,
                 date: new Date().toISOString(),
-                formData
+                formData,
+                comments: this.collectComments(),
+                summary: this.getSummary(),
+                tags: this.tags
             };
 
             localStorage.setItem('performanceAssessment', JSON.stringify(data));
@@ -334,6 +851,7 @@ class PerformanceAssessment {
             if (nameInput && data.employeeName) {
                 nameInput.value = data.employeeName;
                 this.employeeName = data.employeeName;
+                this.employeeId = data.employeeId || null;
             }
 
             // Restore form values
@@ -342,6 +860,17 @@ class PerformanceAssessment {
                 if (input) input.value = value;
             });
 
+            // Restore comments (stored unescaped locally)
+            document.querySelectorAll('#inputForm textarea[data-metric]').forEach(textarea => {
+                const value = (data.comments || {})[textarea.dataset.metric] || '';
+                textarea.value = value;
+                textarea.closest('details').open = Boolean(value);
+            });
+            const summaryInput = document.getElementById('assessmentSummary');
+            if (summaryInput) summaryInput.value = data.summary || '';
+            this.tags = data.tags || [];
+            this.renderTags();
+
             this.updateChart();
         } catch (error) {
             console.error('Failed to load saved data:', error);
@@ -350,7 +879,7 @@ class PerformanceAssessment {
 
     /**
      * Collect all form data as metrics object
-     * @returns {Object} - All 19 metrics with values
+     * @returns {Object} - Every template metric with its value
      */
     collectFormData() {
         const metrics = {};
@@ -367,12 +896,381 @@ class PerformanceAssessment {
         return metrics;
     }
 
+    /**
+     * Get the overall summary text
+     * @returns {string}
+     */
+    getSummary() {
+        const summaryInput = document.getElementById('assessmentSummary');
+        return summaryInput ? summaryInput.value.trim() : '';
+    }
+
+    /**
+     * Show the assessment's tags, removable unless read-only
+     */
+    renderTags() {
+        const list = document.getElementById('tagList');
+        if (!list) return;
+
+        list.replaceChildren(...this.tags.map(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag';
+            chip.textContent = tag;
+            if (!this.readOnly) {
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', `Remove tag ${tag}`);
+                remove.addEventListener('click', () => this.removeTag(tag));
+                chip.appendChild(remove);
+            }
+            return chip;
+        }));
+    }
+
+    /**
+     * Add a tag typed by the user; spaces become dashes
+     * @param {string} text - Typed tag
+     */
+    addTag(text) {
+        const tag = text.trim().replace(/\s+/g, '-');
+        if (!tag || this.tags.includes(tag)) return;
+
+        if (!TAG_PATTERN.test(tag)) {
+            this.showErrorMessage('Tags may only contain letters, digits, "-", "_" and "." (at most 40 characters)');
+            return;
+        }
+        if (this.tags.length >= MAX_TAGS) {
+            this.showErrorMessage(`An assessment can have at most ${MAX_TAGS} tags`);
+            return;
+        }
+
+        this.tags.push(tag);
+        this.renderTags();
+        this.saveTags();
+    }
+
+    /**
+     * Remove a tag from the assessment
+     * @param {string} tag
+     */
+    removeTag(tag) {
+        this.tags = this.tags.filter(existing => existing !== tag);
+        this.renderTags();
+        this.saveTags();
+    }
+
+    /**
+     * Save a tag change: right away once the assessment is saved, else with its first save
+     */
+    saveTags() {
+        if (this.currentAssessmentId) {
+            this.saveToMongoDB();
+        } else {
+            this.saveToLocalStorage();
+        }
+    }
+
+    /**
+     * Suggest the tags already used on the user's assessments
+     */
+    async loadTagOptions() {
+        const list = document.getElementById('tagOptions');
+        if (!list || !window.authManager || !window.authManager.isAuthenticated()) return;
+
+        try {
+            const { tags } = await api.getTags();
+            list.replaceChildren(...tags.map(tag => {
+                const option = document.createElement('option');
+                option.value = tag.name;
+                option.label = `${tag.name} (${tag.count})`;
+                return option;
+            }));
+        } catch (error) {
+            console.error('Failed to load tags:', error);
+        }
+    }
+
+    /**
+     * Load the development goals of the current employee
+     */
+    async loadGoals() {
+        this.goals = [];
+        if (this.employeeId && window.authManager && window.authManager.isAuthenticated()) {
+            try {
+                const { goals } = await api.getGoals({ employeeId: this.employeeId });
+                this.goals = goals;
+            } catch (error) {
+                console.error('Failed to load goals:', error);
+            }
+        }
+        this.renderGoals();
+    }
+
+    /**
+     * Show each goal next to its metric, and general goals (and goals on
+     * metrics the template lacks) in the goals section
+     * The section is only shown for saved employees
+     */
+    renderGoals() {
+        const section = document.getElementById('goalsSection');
+        if (!section) return;
+        section.hidden = !this.employeeId;
+
+        document.querySelectorAll('#inputForm .metric-goals').forEach(list => list.remove());
+
+        const general = [];
+        this.goals.forEach(goal => {
+            const input = goal.metricId ? document.getElementById(goal.metricId) : null;
+            const field = input && input.closest('#inputForm .field');
+            if (!field) {
+                general.push(goal);
+                return;
+            }
+            let list = field.querySelector('.metric-goals');
+            if (!list) {
+                list = document.createElement('div');
+                list.className = 'metric-goals';
+                field.insertBefore(list, field.querySelector('.metric-note'));
+            }
+            list.appendChild(this.renderGoal(goal));
+        });
+
+        const generalList = document.getElementById('generalGoals');
+        if (generalList) {
+            generalList.replaceChildren(...general.map(goal => this.renderGoal(goal)));
+        }
+
+        // Goal form: metrics of the current template and its rating scale
+        const metricSelect = document.getElementById('goalMetric');
+        if (metricSelect) {
+            const selected = metricSelect.value;
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'General (no metric)';
+            metricSelect.replaceChildren(none, ...Object.values(this.themes).flatMap(themeData =>
+                themeData.metrics.map(metric => {
+                    const option = document.createElement('option');
+                    option.value = metric.id;
+                    option.textContent = metric.label;
+                    return option;
+                })
+            ));
+            metricSelect.value = this.getChartMetricIds().includes(selected) ? selected : '';
+        }
+        const scoreInput = document.getElementById('goalTargetScore');
+        if (scoreInput) {
+            scoreInput.min = this.ratingScale.min;
+            scoreInput.max = this.ratingScale.max;
+        }
+    }
+
+    /**
+     * Render one goal: description, owner, target, progress against the
+     * target, and controls to change its status or delete it
+     * @param {Object} goal - Goal from the API
+     * @returns {HTMLElement}
+     */
+    renderGoal(goal) {
+        const item = document.createElement('div');
+        item.className = `goal goal-${goal.status}`;
+
+        const text = document.createElement('span');
+        text.className = 'goal-text';
+        const metric = goal.metricId && !this.getChartMetricIds().includes(goal.metricId) ? ` (${goal.metricId})` : '';
+        text.textContent = `Goal: ${decodeText(goal.description)}${metric}`;
+
+        const meta = document.createElement('span');
+        meta.className = 'goal-meta';
+        const target = typeof goal.targetScore === 'number' ? ` · target ${goal.targetScore}` : '';
+        meta.textContent = `${decodeText(goal.owner)} · by ${new Date(goal.targetDate).toLocaleDateString()}${target}`;
+
+        const status = document.createElement('select');
+        status.setAttribute('aria-label', 'Goal status');
+        status.replaceChildren(...Object.entries(GOAL_STATUSES).map(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
+        }));
+        status.value = goal.status;
+        status.addEventListener('change', () => this.changeGoalStatus(goal, status.value));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', 'Delete goal');
+        remove.addEventListener('click', () => this.deleteGoal(goal));
+
+        item.append(text, meta);
+        const progress = this.goalProgress(goal);
+        if (progress) {
+            const score = document.createElement('span');
+            score.className = `goal-score${progress.met === null ? '' : progress.met ? ' goal-met' : ' goal-missed'}`;
+            score.textContent = progress.text;
+            item.appendChild(score);
+        }
+        item.append(status, remove);
+        return item;
+    }
+
+    /**
+     * Compare a goal's metric with its target score: the rating on this page
+     * if this assessment comes after the goal was set, else the next
+     * assessment's score, else the baseline
+     * @param {Object} goal - Goal from the API
+     * @returns {Object|null} - { text, met } (met is null without a target)
+     */
+    goalProgress(goal) {
+        if (!goal.metricId) return null;
+        const hasTarget = typeof goal.targetScore === 'number';
+        const against = (score) => (hasTarget ? `${score} / target ${goal.targetScore}` : String(score));
+        const input = document.getElementById(goal.metricId);
+
+        const isSource = goal.assessmentId && goal.assessmentId === this.currentAssessmentId;
+        const isLater = !this.assessmentDate || new Date(this.assessmentDate) > new Date(goal.since);
+        if (input && !isSource && isLater) {
+            const score = Number(input.value);
+            return { text: `This assessment: ${against(score)}`, met: hasTarget ? score >= goal.targetScore : null };
+        }
+        if (goal.result) {
+            return {
+                text: `Next assessment (${this.formatMonth(goal.result.assessmentDate)}): ${against(goal.result.score)}`,
+                met: goal.result.met
+            };
+        }
+        if (typeof goal.baseline === 'number') {
+            return { text: `Baseline: ${against(goal.baseline)}`, met: null };
+        }
+        return null;
+    }
+
+    /**
+     * Add a goal for the current employee from the goal form
+     * Goals added while rating a saved assessment take it as their baseline
+     * @param {Event} event - Form submit event
+     */
+    async addGoal(event) {
+        event.preventDefault();
+        if (!this.employeeId) {
+            this.showErrorMessage('Pick an existing employee or save the assessment before adding goals');
+            return;
+        }
+
+        const form = event.target;
+        const targetScore = document.getElementById('goalTargetScore').value;
+        const metricId = document.getElementById('goalMetric').value;
+        try {
+            const { goal } = await api.createGoal({
+                employeeId: this.employeeId,
+                metricId: metricId || undefined,
+                description: document.getElementById('goalDescription').value.trim(),
+                owner: document.getElementById('goalOwner').value.trim(),
+                targetDate: document.getElementById('goalTargetDate').value,
+                targetScore: metricId && targetScore !== '' ? Number(targetScore) : undefined,
+                assessmentId: this.permission === 'owner' && this.currentAssessmentId ? this.currentAssessmentId : undefined
+            });
+            this.goals.push(goal);
+            this.renderGoals();
+            form.reset();
+            this.showSuccessMessage('Goal added');
+        } catch (error) {
+            console.error('Failed to add goal:', error);
+            this.showErrorMessage('Could not add goal: ' + error.message);
+        }
+    }
+
+    /**
+     * Move a goal to another progress status
+     * @param {Object} goal - Goal from the API
+     * @param {string} status - One of GOAL_STATUSES
+     */
+    async changeGoalStatus(goal, status) {
+        try {
+            // The server escapes text, so send it unescaped to avoid double escaping
+            const { goal: updated } = await api.updateGoal(goal._id, {
+                employeeId: goal.employeeId,
+                metricId: goal.metricId,
+                description: decodeText(goal.description),
+                owner: decodeText(goal.owner),
+                targetDate: goal.targetDate,
+                targetScore: goal.targetScore,
+                assessmentId: goal.assessmentId,
+                status
+            });
+            this.goals = this.goals.map(existing => (existing._id === goal._id ? updated : existing));
+        } catch (error) {
+            console.error('Failed to update goal:', error);
+            this.showErrorMessage('Could not update goal: ' + error.message);
+        }
+        this.renderGoals();
+    }
+
+    /**
+     * Delete a goal after confirmation
+     * @param {Object} goal - Goal from the API
+     */
+    async deleteGoal(goal) {
+        if (!confirm('Delete this goal?')) return;
+
+        try {
+            await api.deleteGoal(goal._id);
+            this.goals = this.goals.filter(existing => existing._id !== goal._id);
+            this.renderGoals();
+        } catch (error) {
+            console.error('Failed to delete goal:', error);
+            this.showErrorMessage('Could not delete goal: ' + error.message);
+        }
+    }
+
+    /**
+     * Fill the review cycle dropdown with the user's cycles
+     * Closed cycles are listed for assessments in them but cannot be picked
+     */
+    async loadCycleOptions() {
+        if (!window.authManager || !window.authManager.isAuthenticated()) return;
+
+        try {
+            const { cycles } = await api.getCycles();
+            this.cycles = cycles;
+            this.renderCycleOptions();
+        } catch (error) {
+            console.error('Failed to load review cycles:', error);
+        }
+    }
+
+    /**
+     * Show the review cycle options with the assessment's cycle selected
+     */
+    renderCycleOptions() {
+        const select = document.getElementById('cycleSelect');
+        if (!select) return;
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None';
+        select.replaceChildren(none, ...this.cycles.map(cycle => {
+            const option = document.createElement('option');
+            option.value = cycle._id;
+            option.textContent = decodeText(cycle.name) + (cycle.status === 'closed' ? ' (closed)' : '');
+            option.disabled = cycle.status === 'closed';
+            return option;
+        }));
+        select.value = this.cycleId || '';
+        select.disabled = this.readOnly;
+    }
+
     /**
      * Save assessment to MongoDB
      * Falls back to localStorage if API call fails
      */
     async saveToMongoDB() {
         try {
+            // Nothing to save while viewing or once finalized
+            if (this.readOnly) {
+                return;
+            }
+
             // Check if user is authenticated
             if (!window.authManager || !window.authManager.isAuthenticated()) {
                 console.warn('User not authenticated, saving to localStorage only');
@@ -381,22 +1279,43 @@ class PerformanceAssessment {
             }
 
             // Prepare assessment data
+            // The server escapes text, so send the name unescaped to avoid double escaping
             const data = {
-                employeeName: this.employeeName || 'Unknown',
-                assessmentDate: new Date().toISOString(),
-                metrics: this.collectFormData()
+                employeeId: this.employeeId || undefined,
+                employeeName: decodeText(this.employeeName) || 'Unknown',
+                templateId: this.template ? this.template._id : undefined,
+                metrics: this.collectFormData(),
+                comments: this.collectComments(),
+                summary: this.getSummary(),
+                tags: this.tags,
+                cycleId: this.cycleId || null
             };
 
             // Check if updating existing or creating new
             if (this.currentAssessmentId) {
-                // Update existing assessment
+                // Update existing assessment (keeps the original assessment date)
                 const response = await api.updateAssessment(this.currentAssessmentId, data);
+                this.employeeId = response.assessment.employeeId || null;
                 console.log('Assessment updated:', response);
                 this.showSuccessMessage('Assessment updated successfully');
             } else {
                 // Create new assessment
+                data.assessmentDate = new Date().toISOString();
+                if (this.reviewId) {
+                    data.reviewId = this.reviewId;
+                }
                 const response = await api.createAssessment(data);
                 this.currentAssessmentId = response.assessment._id;
+                this.employeeId = response.assessment.employeeId || null;
+                this.assessmentDate = response.assessment.assessmentDate;
+                this.loadComparisonOptions();
+                this.loadGoals();
+                this.lockTemplate(true);
+                this.renderStatus(response.assessment.status);
+                const historyButton = document.getElementById('revisionHistoryButton');
+                if (historyButton) {
+                    historyButton.hidden = false;
+                }
                 console.log('Assessment created:', response);
                 this.showSuccessMessage('Assessment saved to database');
             }
@@ -414,6 +1333,55 @@ class PerformanceAssessment {
         }
     }
 
+    /**
+     * Prepare the form for the user's submission to a 360-degree review
+     * Opens the existing submission if the user already started one
+     * @param {string} reviewId - Review ID
+     */
+    async startReviewSubmission(reviewId) {
+        try {
+            if (!window.authManager || !window.authManager.isAuthenticated()) {
+                this.showErrorMessage('Please login to take part in reviews');
+                return;
+            }
+
+            const review = await api.getReview(reviewId);
+            if (review.mySubmission) {
+                await this.loadAssessment(review.mySubmission._id);
+                return;
+            }
+            if (review.status !== 'open') {
+                this.showErrorMessage('This review is closed');
+                return;
+            }
+
+            const template = await api.getTemplate(review.templateId);
+            await this.loadTemplateOptions();
+            this.applyTemplate(template);
+            this.lockTemplate(true);
+
+            this.reviewId = review._id;
+            this.populateForm({ employeeId: review.employeeId, employeeName: review.employeeName, metrics: {} });
+            this.lockEmployee(true);
+
+            this.showSuccessMessage(`Rating ${this.employeeName} for review ${review.title || ''}`.trim());
+        } catch (error) {
+            console.error('Failed to load review:', error);
+            this.showErrorMessage('Could not load review: ' + error.message);
+        }
+    }
+
+    /**
+     * Prevent changing the employee, e.g. of a review submission
+     * @param {boolean} locked
+     */
+    lockEmployee(locked) {
+        const nameInput = document.getElementById('employeeName');
+        if (nameInput) {
+            nameInput.readOnly = locked;
+        }
+    }
+
     /**
      * Load assessment from MongoDB by ID
      * @param {string} assessmentId - Assessment ID to load
@@ -428,33 +1396,47 @@ class PerformanceAssessment {
 
             const assessment = await api.getAssessment(assessmentId);
 
-            // Populate employee name
-            const nameInput = document.getElementById('employeeName');
-            if (nameInput) {
-                nameInput.value = assessment.employeeName;
-                this.employeeName = assessment.employeeName;
-            }
-
-            // Update chart title
-            if (this.chart) {
-                this.chart.options.plugins.title.text = assessment.employeeName
-                    ? `${assessment.employeeName} - Results`
-                    : 'Results';
-            }
+            // Switch to the template the assessment was rated against
+            const template = assessment.templateId
+                ? await api.getTemplate(assessment.templateId)
+                : await api.getDefaultTemplate();
+            await this.loadTemplateOptions();
+            this.applyTemplate(template);
+            this.lockTemplate(true);
 
-            // Populate all metric inputs
-            Object.entries(assessment.metrics).forEach(([metricId, value]) => {
-                const input = document.getElementById(metricId);
-                if (input) {
-                    input.value = value;
-                }
-            });
+            this.populateForm(assessment);
+            this.reviewId = assessment.reviewId || null;
+            this.lockEmployee(Boolean(assessment.reviewId));
+            this.cycleId = assessment.cycleId || null;
 
             // Store assessment ID for updates
             this.currentAssessmentId = assessmentId;
+            this.assessmentDate = assessment.assessmentDate;
+            this.permission = assessment.permission || 'owner';
+            this.loadComparisonOptions();
+            this.loadGoals();
+
+            // Finalized assessments, those in a closed review cycle or 360-degree
+            // review, the employee's own self-assessments and assessments shared
+            // for viewing only are locked
+            this.renderStatus(assessment.status);
+            if (assessment.status === 'finalized' || assessment.cycleClosedAt || assessment.reviewClosed
+                || assessment.invitationId || this.permission === 'view') {
+                this.setReadOnlyMode(true);
+            }
 
-            // Update chart
-            this.updateChart();
+            // Show the employee's view next to the user's own rating
+            if (assessment.invitationId || this.permission !== 'owner') {
+                this.selfAssessment = null;
+                this.renderSelfAssessment();
+            } else {
+                this.loadSelfAssessment();
+            }
+
+            const historyButton = document.getElementById('revisionHistoryButton');
+            if (historyButton) {
+                historyButton.hidden = false;
+            }
 
             this.showSuccessMessage('Assessment loaded successfully');
 
@@ -464,21 +1446,295 @@ class PerformanceAssessment {
         }
     }
 
+    /**
+     * Fill the form and chart from an assessment (or revision snapshot)
+     * @param {Object} assessment - { employeeId?, employeeName, metrics, comments?, summary? }
+     */
+    populateForm(assessment) {
+        // Populate employee name
+        const nameInput = document.getElementById('employeeName');
+        if (nameInput) {
+            nameInput.value = decodeText(assessment.employeeName);
+            this.employeeName = this.sanitizeEmployeeName(nameInput.value);
+        }
+        this.employeeId = assessment.employeeId || null;
+
+        // Update chart title
+        if (this.chart) {
+            this.chart.options.plugins.title.text = this.employeeName
+                ? `${this.employeeName} - Results`
+                : 'Results';
+        }
+
+        // Populate all metric inputs
+        Object.entries(assessment.metrics).forEach(([metricId, value]) => {
+            const input = document.getElementById(metricId);
+            if (input) {
+                input.value = value;
+            }
+        });
+
+        // Populate comments and summary
+        this.populateComments(assessment.comments, assessment.summary);
+
+        // Revision snapshots have no tags; the current ones stay
+        if (assessment.tags) {
+            this.tags = [...assessment.tags];
+        }
+        this.renderTags();
+
+        // Update chart
+        this.updateChart();
+    }
+
+    /**
+     * Show the assessment status and the actions available from it
+     * @param {string} status - 'draft', 'submitted' or 'finalized'
+     */
+    renderStatus(status = 'draft') {
+        this.status = status;
+
+        const statusLabel = document.getElementById('assessmentStatus');
+        if (statusLabel) {
+            statusLabel.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+            statusLabel.className = `status-badge status-${status}`;
+        }
+
+        const container = document.getElementById('statusActions');
+        if (!container) return;
+        container.innerHTML = '';
+
+        // Actions only apply to saved assessments, and only their owner moves them along
+        if (!this.currentAssessmentId || this.permission !== 'owner') return;
+
+        const user = window.authManager ? window.authManager.getUser() : null;
+        const isAdmin = user && user.role === 'admin';
+        const actions = {
+            draft: [{ status: 'submitted', label: 'Submit' }],
+            submitted: [
+                { status: 'finalized', label: 'Finalize' },
+                { status: 'draft', label: 'Return to Draft' }
+            ],
+            finalized: isAdmin ? [{ status: 'draft', label: 'Reopen' }] : []
+        }[status] || [];
+
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = action.label;
+            button.addEventListener('click', () => this.changeStatus(action.status));
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Move the current assessment to a new status
+     * @param {string} status - Target status
+     */
+    async changeStatus(status) {
+        if (!this.currentAssessmentId) return;
+
+        if (status === 'finalized' && !confirm('Finalize this assessment? It can no longer be edited or deleted unless an admin reopens it.')) {
+            return;
+        }
+
+        try {
+            // Save pending edits before the assessment is locked
+            if (status === 'finalized') {
+                await this.saveToMongoDB();
+            }
+
+            const response = await api.changeAssessmentStatus(this.currentAssessmentId, status);
+            this.renderStatus(response.assessment.status);
+            this.setReadOnlyMode(response.assessment.status === 'finalized');
+            this.showSuccessMessage(response.message);
+        } catch (error) {
+            console.error('Failed to change status:', error);
+            this.showErrorMessage('Could not change status: ' + error.message);
+        }
+    }
+
+    /**
+     * Open the revision history drawer for the current assessment
+     */
+    async openRevisionHistory() {
+        const drawer = document.getElementById('revisionDrawer');
+        if (!drawer || !this.currentAssessmentId) return;
+
+        drawer.hidden = false;
+        const list = document.getElementById('revisionList');
+        list.innerHTML = '<p>Loading revisions...</p>';
+
+        try {
+            const { currentVersion, revisions } = await api.getRevisions(this.currentAssessmentId);
+            this.renderRevisions(revisions, currentVersion);
+        } catch (error) {
+            console.error('Failed to load revisions:', error);
+            list.innerHTML = '';
+            this.showErrorMessage('Could not load revision history: ' + error.message);
+        }
+    }
+
+    /**
+     * Close the revision history drawer
+     */
+    closeRevisionHistory() {
+        const drawer = document.getElementById('revisionDrawer');
+        if (drawer) {
+            drawer.hidden = true;
+        }
+    }
+
+    /**
+     * Get a readable label for a revision change field, e.g. 'metrics.strategy'
+     * @param {string} field - Changed field path
+     * @returns {string}
+     */
+    describeField(field) {
+        const [group, metricId] = field.split('.');
+        if (!metricId) {
+            return { employeeName: 'Name', assessmentDate: 'Date', templateId: 'Template', summary: 'Summary' }[group] || group;
+        }
+
+        let label = metricId;
+        Object.values(this.themes).forEach(themeData => {
+            const metric = themeData.metrics.find(m => m.id === metricId);
+            if (metric) label = metric.label;
+        });
+        return group === 'comments' ? `${label} (note)` : label;
+    }
+
+    /**
+     * Render revision list into the drawer
+     * @param {Object[]} revisions - Revisions, newest first
+     * @param {number} currentVersion - Version of the assessment as saved
+     */
+    renderRevisions(revisions, currentVersion) {
+        const list = document.getElementById('revisionList');
+        list.innerHTML = '';
+
+        if (revisions.length === 0) {
+            list.innerHTML = '<p>No revisions recorded yet.</p>';
+            return;
+        }
+
+        const formatValue = (value) => (value === null || value === '' ? '—' : decodeText(String(value)));
+
+        revisions.forEach(revision => {
+            const item = document.createElement('li');
+            item.className = 'revision-item';
+
+            const author = revision.userId
+                ? `${revision.userId.firstName} ${revision.userId.lastName}`
+                : 'Unknown user';
+            const action = revision.action === 'restore'
+                ? `Restored revision ${revision.restoredFrom}`
+                : revision.action === 'create' ? 'Created' : 'Updated';
+
+            const header = document.createElement('div');
+            header.className = 'revision-header';
+            header.textContent = `#${revision.number} · ${action} · ${new Date(revision.createdAt).toLocaleString()} · ${author}`;
+            item.appendChild(header);
+
+            const changes = document.createElement('ul');
+            changes.className = 'revision-changes';
+            revision.changes
+                .filter(change => revision.action !== 'create' || change.newValue !== null)
+                .forEach(change => {
+                    const li = document.createElement('li');
+                    li.textContent = revision.action === 'create'
+                        ? `${this.describeField(change.field)}: ${formatValue(change.newValue)}`
+                        : `${this.describeField(change.field)}: ${formatValue(change.oldValue)} → ${formatValue(change.newValue)}`;
+                    changes.appendChild(li);
+                });
+
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${revision.changes.length} field${revision.changes.length === 1 ? '' : 's'} changed`;
+            details.append(summary, changes);
+            item.appendChild(details);
+
+            if (revision.number === currentVersion || this.readOnly) {
+                if (revision.number === currentVersion) {
+                    const current = document.createElement('span');
+                    current.className = 'revision-current';
+                    current.textContent = 'Current version';
+                    item.appendChild(current);
+                }
+            } else {
+                const restoreButton = document.createElement('button');
+                restoreButton.type = 'button';
+                restoreButton.className = 'revision-restore';
+                restoreButton.textContent = 'Restore this revision';
+                restoreButton.addEventListener('click', () => this.restoreRevision(revision.number));
+                item.appendChild(restoreButton);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Restore the current assessment to an earlier revision
+     * @param {number} number - Revision number to restore
+     */
+    async restoreRevision(number) {
+        if (!confirm(`Restore revision ${number}? The current state stays available in the history.`)) {
+            return;
+        }
+
+        try {
+            const response = await api.restoreRevision(this.currentAssessmentId, number);
+            this.populateForm(response.assessment);
+            this.saveToLocalStorage();
+            this.showSuccessMessage(response.message);
+            await this.openRevisionHistory();
+        } catch (error) {
+            console.error('Failed to restore revision:', error);
+            this.showErrorMessage('Could not restore revision: ' + error.message);
+        }
+    }
+
     /**
      * Create new assessment (clear current and start fresh)
      */
     newAssessment() {
         this.currentAssessmentId = null;
+        this.assessmentDate = null;
+        this.permission = 'owner';
+        this.reviewId = null;
+        this.cycleId = null;
+        this.renderCycleOptions();
+        this.selfAssessment = null;
+        this.renderSelfAssessment();
+        this.lockTemplate(false);
+        this.lockEmployee(false);
+        this.closeRevisionHistory();
+        this.setReadOnlyMode(false);
+        this.renderStatus('draft');
         this.clearAll();
         this.showSuccessMessage('Ready for new assessment');
     }
 
+    /**
+     * Enable or disable the template dropdown
+     * The template cannot change once an assessment has been saved
+     * @param {boolean} locked - True to prevent template changes
+     */
+    lockTemplate(locked) {
+        const select = document.getElementById('templateSelect');
+        if (select) {
+            select.disabled = locked;
+        }
+    }
+
     /**
      * Set form to read-only mode
      * @param {boolean} readOnly - True to make read-only, false to enable editing
      */
     setReadOnlyMode(readOnly) {
-        const inputs = document.querySelectorAll('#inputForm input[type="number"], #employeeName');
+        this.readOnly = readOnly;
+        const inputs = document.querySelectorAll('#inputForm input[type="number"], #inputForm textarea, #employeeName, #assessmentSummary, #tagInput');
         inputs.forEach(input => {
             input.readOnly = readOnly;
             if (readOnly) {
@@ -490,6 +1746,13 @@ class PerformanceAssessment {
             }
         });
 
+        this.renderTags();
+
+        const cycleSelect = document.getElementById('cycleSelect');
+        if (cycleSelect) {
+            cycleSelect.disabled = readOnly;
+        }
+
         // Show message if in read-only mode
         if (readOnly) {
             this.showSuccessMessage('Viewing assessment in read-only mode');
@@ -502,10 +1765,17 @@ class PerformanceAssessment {
     saveToCSV() {
         try {
             const formData = new FormData(document.getElementById('inputForm'));
-            let csvContent = "Categories,Ratings\n";
+            const comments = this.collectComments();
+            const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+            let csvContent = "Categories,Ratings,Comments\n";
 
             for (let [key, value] of formData.entries()) {
-                csvContent += `${key},${value}\n`;
+                csvContent += `${key},${value},${comments[key] ? quote(comments[key]) : ''}\n`;
+            }
+
+            const summary = this.getSummary();
+            if (summary) {
+                csvContent += `summary,,${quote(summary)}\n`;
             }
 
             // Create and trigger download
@@ -537,14 +1807,26 @@ class PerformanceAssessment {
         // Clear all number inputs
         const numberInputs = document.querySelectorAll('#inputForm input[type="number"]');
         numberInputs.forEach(input => {
-            input.value = 0;
+            input.value = this.ratingScale.min;
         });
 
-        // Clear employee name
+        // Clear comments, summary and tags
+        this.populateComments();
+        this.tags = [];
+        this.renderTags();
+
+        // Clear employee name (a review submission stays with the review's employee)
         const nameInput = document.getElementById('employeeName');
-        if (nameInput) {
+        if (nameInput && !this.reviewId) {
             nameInput.value = '';
             this.employeeName = '';
+            this.employeeId = null;
+
+            // Nothing left to compare with, and no goals to show
+            this.comparisonOptions = [];
+            this.renderComparisonOptions();
+            this.goals = [];
+            this.renderGoals();
         }
 
         // Update chart title
@@ -580,7 +1862,7 @@ class PerformanceAssessment {
                         this.parseAndLoadCSV(event.target.result);
                     } catch (error) {
                         console.error('Failed to load CSV:', error);
-                        this.showErrorMessage('Failed to load CSV file. Please check the file format.');
+                        this.showErrorMessage('Failed to load CSV file: ' + error.message);
                     }
                 };
                 reader.readAsText(file);
@@ -594,43 +1876,189 @@ class PerformanceAssessment {
         input.click();
     }
 
+    /**
+     * Download the current (saved) assessment as an Excel workbook
+     */
+    async saveToExcel() {
+        if (!window.authManager || !window.authManager.isAuthenticated()) {
+            this.showErrorMessage('Please login to export to Excel');
+            return;
+        }
+        if (!this.currentAssessmentId) {
+            this.showErrorMessage('Save the assessment before exporting it to Excel');
+            return;
+        }
+
+        try {
+            const blob = await api.exportToXLSX({ ids: this.currentAssessmentId });
+
+            const sanitizedName = this.employeeName
+                ? this.sanitizeFilename(this.employeeName)
+                : 'user';
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.setAttribute('download', `${sanitizedName}_assessment_${new Date().toISOString().split('T')[0]}.xlsx`);
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Failed to export Excel file:', error);
+            this.showErrorMessage('Could not export to Excel: ' + error.message);
+        }
+    }
+
+    /**
+     * Import assessments from an Excel workbook in the layout of the export
+     * Each row becomes an assessment; a single imported assessment is opened
+     */
+    loadFromExcel() {
+        if (!window.authManager || !window.authManager.isAuthenticated()) {
+            this.showErrorMessage('Please login to import from Excel');
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.xlsx';
+        input.style.display = 'none';
+
+        input.onchange = async (e) => {
+            document.body.removeChild(input);
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const templateId = this.template ? this.template._id : undefined;
+            try {
+                const check = await api.importFromXLSX(file, templateId, { dryRun: true });
+                const problems = check.rowErrors.map(rowError => `Row ${rowError.row}: ${rowError.errors.join('; ')}`);
+                if (check.valid === 0) {
+                    this.showErrorMessage(`No rows can be imported. ${problems.slice(0, 3).join(' ')}`);
+                    return;
+                }
+                if (!confirm(`${check.message}.${problems.length > 0 ? `\n\nThese will be skipped:\n${problems.slice(0, 10).join('\n')}` : ''}\n\nImport now?`)) {
+                    return;
+                }
+
+                const result = await api.importFromXLSX(file, templateId);
+                if (result.assessments.length === 1) {
+                    await this.loadAssessment(result.assessments[0]._id);
+                }
+                this.showSuccessMessage(`${result.message}. See View History for the imported assessments`);
+            } catch (error) {
+                console.error('Failed to import Excel file:', error);
+                this.showErrorMessage('Could not import Excel file: ' + error.message);
+            }
+        };
+
+        document.body.appendChild(input);
+        input.click();
+    }
+
+    /**
+     * Split CSV text into rows of trimmed fields
+     * Handles quoted fields (including line breaks), CRLF line endings, a UTF-8
+     * BOM as written by Excel, and comma, semicolon or tab delimiters
+     * @param {string} text - Raw CSV file content
+     * @returns {string[][]} - Rows without blank lines
+     */
+    parseCSV(text) {
+        text = text.replace(/^\uFEFF/, '');
+
+        // Guess the delimiter from the header line, ignoring quoted text
+        const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            header.split(candidate).length > header.split(best).length ? candidate : best);
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const endRow = () => {
+            row.push(field.trim());
+            if (row.some(Boolean)) rows.push(row);
+            row = [];
+            field = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n') {
+                endRow();
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+        endRow();
+
+        return rows;
+    }
+
+    /**
+     * Find the metric ID for a CSV category: a metric ID, its label
+     * ("Shared Vision") or the chart label ("Theme: Shared Vision")
+     * @param {string} category - Category cell
+     * @returns {string|null} - Metric ID, or null if no metric matches
+     */
+    findMetricId(category) {
+        const normalize = (text) => decodeText(text).trim().replace(/\s+/g, ' ').toLowerCase();
+        const key = normalize(category);
+
+        for (const [theme, themeData] of Object.entries(this.themes)) {
+            const metric = themeData.metrics.find(metric =>
+                [metric.id, metric.label, `${theme}: ${metric.label}`].some(candidate => normalize(candidate) === key));
+            if (metric) return metric.id;
+        }
+        return null;
+    }
+
     /**
      * Parse CSV content and load into form
      * @param {string} csvContent - Raw CSV file content
      */
     parseAndLoadCSV(csvContent) {
-        const lines = csvContent.trim().split('\n');
+        const rows = this.parseCSV(csvContent);
 
         // Validate header
-        if (lines.length < 2) {
+        if (rows.length < 2) {
             throw new Error('CSV file is empty or invalid');
         }
 
-        const header = lines[0].toLowerCase();
-        if (!header.includes('categories') || !header.includes('ratings')) {
+        const header = rows[0].map(column => column.toLowerCase());
+        const categoryColumn = header.indexOf('categories');
+        const ratingColumn = header.indexOf('ratings');
+        if (categoryColumn === -1 || ratingColumn === -1) {
             throw new Error('Invalid CSV format. Expected "Categories,Ratings" header');
         }
 
         let loadedCount = 0;
-        const validMetricIds = new Set();
-
-        // Build set of valid metric IDs from configuration
-        Object.values(this.themes).forEach(themeData => {
-            themeData.metrics.forEach(metric => {
-                validMetricIds.add(metric.id);
-            });
-        });
+        const skipped = [];
 
         // Parse data rows
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
+        for (let i = 1; i < rows.length; i++) {
+            const category = rows[i][categoryColumn] || '';
+            const rating = rows[i][ratingColumn] || '';
 
-            const [category, rating] = line.split(',').map(s => s.trim());
+            // Summary row written by the export
+            if (category.toLowerCase() === 'summary') continue;
 
-            // Validate metric ID exists in our configuration
-            if (!validMetricIds.has(category)) {
-                console.warn(`Unknown category in CSV: ${category}`);
+            const metricId = this.findMetricId(category);
+            if (!metricId) {
+                skipped.push(`row ${i + 1} (${category})`);
                 continue;
             }
 
@@ -638,7 +2066,7 @@ class PerformanceAssessment {
             const value = this.validateInput(rating);
 
             // Update form field
-            const input = document.getElementById(category);
+            const input = document.getElementById(metricId);
             if (input) {
                 input.value = value;
                 loadedCount++;
@@ -653,8 +2081,11 @@ class PerformanceAssessment {
         this.updateChart();
         this.saveToLocalStorage();
 
-        // Show success message
+        // Show success message, and which rows did not match a metric
         this.showSuccessMessage(`Successfully loaded ${loadedCount} ratings from CSV`);
+        if (skipped.length > 0) {
+            this.showErrorMessage(`Skipped unknown categories: ${skipped.join(', ')}`);
+        }
     }
 
     /**
@@ -712,8 +2143,11 @@ class PerformanceAssessment {
         // Employee name input
         const nameInput = document.getElementById('employeeName');
         if (nameInput) {
+            const debouncedSearch = this.debounce(() => this.searchEmployees(nameInput.value), 300);
             nameInput.addEventListener('input', (e) => {
                 this.employeeName = this.sanitizeEmployeeName(e.target.value);
+                this.matchEmployee(e.target.value);
+                debouncedSearch.call(this);
 
                 // Update chart title
                 if (this.chart) {
@@ -731,9 +2165,69 @@ class PerformanceAssessment {
             this.saveToMongoDB(); // Auto-save to MongoDB (falls back to localStorage if offline)
         }, 5000); // 5 seconds after last change
 
-        document.querySelectorAll('input[type="number"]').forEach(input => {
-            input.addEventListener('input', debouncedUpdate.bind(this));
-        });
+        // Delegate from the form, since inputs are re-rendered when the template changes
+        const form = document.getElementById('inputForm');
+        if (form) {
+            form.addEventListener('input', (e) => {
+                if (e.target.matches('input[type="number"], textarea')) {
+                    debouncedUpdate.call(this);
+                }
+                // Goal targets are compared with the rating as it is typed
+                if (e.target.matches('input[type="number"]') && this.goals.length > 0) {
+                    this.renderGoals();
+                }
+            });
+        }
+
+        // Overall summary - auto-save like the metric inputs
+        const summaryInput = document.getElementById('assessmentSummary');
+        if (summaryInput) {
+            summaryInput.addEventListener('input', debouncedUpdate.bind(this));
+        }
+
+        // Development goals of the employee
+        const goalForm = document.getElementById('goalForm');
+        if (goalForm) {
+            goalForm.addEventListener('submit', (e) => this.addGoal(e));
+        }
+
+        // Tags - added with Enter or a comma
+        const tagInput = document.getElementById('tagInput');
+        if (tagInput) {
+            tagInput.addEventListener('keydown', (e) => {
+                if ((e.key === 'Enter' || e.key === ',') && !tagInput.readOnly) {
+                    e.preventDefault();
+                    this.addTag(tagInput.value);
+                    tagInput.value = '';
+                }
+            });
+        }
+
+        // Template selection - only possible before the assessment is first saved
+        const templateSelect = document.getElementById('templateSelect');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', async (e) => {
+                try {
+                    const template = await api.getTemplate(e.target.value);
+                    this.applyTemplate(template);
+                    this.saveToLocalStorage();
+                } catch (error) {
+                    console.error('Failed to switch template:', error);
+                    this.showErrorMessage('Could not load template: ' + error.message);
+                }
+            });
+        }
+
+        // Review cycle - saved right away once the assessment is saved, else with its first save
+        const cycleSelect = document.getElementById('cycleSelect');
+        if (cycleSelect) {
+            cycleSelect.addEventListener('change', (e) => {
+                this.cycleId = e.target.value || null;
+                if (this.currentAssessmentId) {
+                    this.saveToMongoDB();
+                }
+            });
+        }
 
         // Auto-save on employee name change
         if (nameInput) {
@@ -743,6 +2237,22 @@ class PerformanceAssessment {
             nameInput.addEventListener('input', debouncedSave.bind(this));
         }
 
+        // Compare with another assessment of the same employee
+        const compareSelect = document.getElementById('compareSelect');
+        if (compareSelect) {
+            compareSelect.addEventListener('change', (e) => this.setComparison(e.target.value));
+        }
+
+        // Team median overlay
+        const benchmarkToggle = document.getElementById('showBenchmark');
+        if (benchmarkToggle) {
+            benchmarkToggle.addEventListener('change', (e) => this.toggleBenchmark(e.target.checked));
+        }
+        const benchmarkTag = document.getElementById('benchmarkTag');
+        if (benchmarkTag) {
+            benchmarkTag.addEventListener('change', (e) => this.setBenchmarkTag(e.target.value));
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl/Cmd + S to save to MongoDB
@@ -775,6 +2285,18 @@ window.loadFromCSV = function () {
     }
 };
 
+window.saveToExcel = function () {
+    if (assessmentApp) {
+        assessmentApp.saveToExcel();
+    }
+};
+
+window.loadFromExcel = function () {
+    if (assessmentApp) {
+        assessmentApp.loadFromExcel();
+    }
+};
+
 window.clearAll = function () {
     if (assessmentApp) {
         assessmentApp.clearAll();
@@ -792,3 +2314,21 @@ window.newAssessment = function () {
         assessmentApp.newAssessment();
     }
 };
+
+window.openRevisionHistory = function () {
+    if (assessmentApp) {
+        assessmentApp.openRevisionHistory();
+    }
+};
+
+window.closeRevisionHistory = function () {
+    if (assessmentApp) {
+        assessmentApp.closeRevisionHistory();
+    }
+};
+
+window.inviteSelfAssessment = function () {
+    if (assessmentApp) {
+        assessmentApp.inviteSelfAssessment();
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Default assessment template
+ * Seeded into the templates collection the first time it is needed,
+ * and used for assessments created before templates existed.
+ * Also loaded by the assessment pages as their offline fallback
+ * (window.DEFAULT_TEMPLATE), so this file must stay plain browser JavaScript.
+ */
+const DEFAULT_TEMPLATE = {
+  name: 'Leadership Assessment',
+  description: '19 leadership metrics across 4 themes',
+  isDefault: true,
+
+  ratingScale: {
+    min: 0,
+    max: 5,
+    labels: {
+      0: 'Not Applicable',
+      1: 'Very Poor',
+      2: 'Poor',
+      3: 'Fair',
+      4: 'Good',
+      5: 'Excellent'
+    }
+  },
+
+  themes: [
+    {
+      name: 'Strategic Vision',
+      color: 'rgba(255, 99, 132, %a)',
+      metrics: [
+        { id: 'sharedVision', label: 'Shared Vision', description: 'Consistently demonstrates alignment between personal objectives and company vision through actions and decisions.' },
+        { id: 'strategy', label: 'Strategy', description: 'Effectively develops strategic plans and translates them into actionable tactical steps.' },
+        { id: 'businessAlignment', label: 'Business Alignment', description: 'Demonstrates clear connection between daily activities and broader company objectives.' },
+        { id: 'customerFocus', label: 'Customer Focus', description: 'Consistently prioritises customer needs and satisfaction in decision-making and actions.' }
+      ]
+    },
+    {
+      name: 'Focus and Engagement',
+      color: 'rgba(54, 162, 235, %a)',
+      metrics: [
+        { id: 'crossFunctionalTeams', label: 'Cross-Functional Teams', description: 'Successfully builds relationships and collaborates across teams and departments to achieve shared objectives.' },
+        { id: 'clarityInPriorities', label: 'Clarity in Priorities', description: 'Systematically evaluates and ranks tasks based on importance, ensuring efficient execution.' },
+        { id: 'acceptanceCriteria', label: 'Acceptance Criteria', description: 'Clearly defines and communicates quality standards for deliverables.' },
+        { id: 'enablingFocus', label: 'Enabling Focus', description: 'Creates clear roadmaps with specific milestones and maintains team focus on key objectives.' },
+        { id: 'engagement', label: 'Engagement', description: 'Shows consistent enthusiasm and dedication in approaching work responsibilities.' }
+      ]
+    },
+    {
+      name: 'Autonomy and Change',
+      color: 'rgba(255, 206, 86, %a)',
+      metrics: [
+        { id: 'feedback', label: 'Feedback', description: 'Delivers constructive feedback effectively while remaining open and responsive to receiving input from others.' },
+        { id: 'enablingAutonomy', label: 'Enabling Autonomy', description: 'Empowers team members to make decisions and innovate within appropriate boundaries.' },
+        { id: 'changeAndAmbiguity', label: 'Change and Ambiguity', description: 'Maintains effectiveness and adapts quickly when facing uncertain or changing circumstances.' },
+        { id: 'desiredCulture', label: 'Desired Culture', description: 'Demonstrates and promotes behaviours that align with and strengthen company values.' },
+        { id: 'workAutonomously', label: 'Works Autonomously', description: 'Effectively self-manages time and priorities to deliver optimal results independently.' }
+      ]
+    },
+    {
+      name: 'Stakeholders and Team',
+      color: 'rgba(75, 192, 192, %a)',
+      metrics: [
+        { id: 'stakeholders', label: 'Stakeholders', description: 'Identifies key stakeholders and demonstrates a deep understanding of their explicit and implicit needs.' },
+        { id: 'teamAttrition', label: 'Team Attrition', description: 'Maintains strong working relationships that inspire loyalty and respect from team members.' },
+        { id: 'teams', label: 'Teams', description: 'Consistently prioritises team success over individual recognition or achievement.' },
+        { id: 'developingPeople', label: 'Developing People', description: 'Actively identifies and creates opportunities for team members\' professional growth and skill development.' },
+        { id: 'subordinatesForSuccess', label: 'Subordinates for Success', description: 'Actively mentors and provides resources to direct reports to help them achieve their goals.' }
+      ]
+    }
+  ]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DEFAULT_TEMPLATE;
+} else {
+  window.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+}
@@ -7,6 +7,9 @@ const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 
+// Audience of self-assessment invitation tokens; login tokens lack it and cannot open invitations
+const INVITATION_AUDIENCE = 'self-assessment';
+
 /**
  * Generate JWT token for user
  * @param {Object} payload - User data to encode (userId, email, role)
@@ -28,9 +31,35 @@ function verifyToken(token) {
   return jwt.verify(token, JWT_SECRET);
 }
 
+/**
+ * Generate the token of a self-assessment invitation link
+ * @param {Object} invitation - Invitation with _id and expiresAt
+ * @returns {string} - JWT token expiring with the invitation
+ */
+function generateInvitationToken(invitation) {
+  return jwt.sign({
+    invitationId: invitation._id.toString(),
+    exp: Math.floor(invitation.expiresAt.getTime() / 1000)
+  }, JWT_SECRET, {
+    audience: INVITATION_AUDIENCE
+  });
+}
+
+/**
+ * Verify a self-assessment invitation token
+ * @param {string} token - JWT token from the invitation link
+ * @returns {Object} - Decoded payload ({ invitationId })
+ * @throws {Error} - If token is invalid, expired or not an invitation token
+ */
+function verifyInvitationToken(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: INVITATION_AUDIENCE });
+}
+
 module.exports = {
   JWT_SECRET,
   JWT_EXPIRES_IN,
   generateToken,
-  verifyToken
+  verifyToken,
+  generateInvitationToken,
+  verifyInvitationToken
 };
@@ -0,0 +1,47 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP configuration
+ * Mail is sent only when SMTP_HOST is set. For local testing, point it at a
+ * catcher such as MailHog: SMTP_HOST=localhost, SMTP_PORT=1025.
+ */
+
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+// true for implicit TLS (usually port 465); otherwise STARTTLS is used when the server offers it
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER || '';
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const MAIL_FROM = process.env.MAIL_FROM || 'Performance Assessment <no-reply@localhost>';
+
+let transport = null;
+
+/**
+ * Check whether mail is configured
+ * @returns {boolean}
+ */
+function isMailEnabled() {
+  return Boolean(SMTP_HOST);
+}
+
+/**
+ * Get the SMTP transport, created on first use
+ * @returns {Object} - Nodemailer transport
+ */
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+module.exports = {
+  MAIL_FROM,
+  isMailEnabled,
+  getTransport
+};
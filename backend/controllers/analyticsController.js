@@ -0,0 +1,447 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const Template = require('../models/Template');
+const Employee = require('../models/Employee');
+
+/**
+ * Round a score for display
+ * @param {number} value
+ * @returns {number|null}
+ */
+function round(value) {
+  return typeof value === 'number' && !isNaN(value) ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Difference between two scores, null if either is missing
+ * @param {number|null|undefined} current
+ * @param {number|null|undefined} previous
+ * @returns {number|null}
+ */
+function delta(current, previous) {
+  if (typeof current !== 'number' || typeof previous !== 'number') return null;
+  return round(current - previous);
+}
+
+/**
+ * Per-key differences between two score objects
+ * @param {Object} current - { key: score }
+ * @param {Object} previous - { key: score }
+ * @returns {Object} - { key: delta } for keys present in both
+ */
+function deltas(current, previous) {
+  const result = {};
+  Object.keys(current).forEach(key => {
+    const change = delta(current[key], previous[key]);
+    if (change !== null) result[key] = change;
+  });
+  return result;
+}
+
+/**
+ * Get one employee's scores over time
+ * GET /api/employees/:id/trends
+ * Query params: startDate, endDate, status
+ * Assessments may use different templates, so themes and metrics are the
+ * union of all templates involved, in order of first appearance.
+ */
+async function getEmployeeTrends(req, res) {
+  try {
+    const employee = await Employee.findById(req.params.id).lean();
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    // Self-assessments are the employee's own view, not part of their track record
+    const filter = { userId: req.userId, employeeId: employee._id, invitationId: { $exists: false } };
+
+    if (req.query.startDate || req.query.endDate) {
+      filter.assessmentDate = {};
+      if (req.query.startDate) {
+        filter.assessmentDate.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filter.assessmentDate.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(',') };
+    }
+
+    const assessments = await Assessment.find(filter)
+      .sort({ assessmentDate: 1 })
+      .select('assessmentDate status templateId metrics')
+      .lean();
+
+    const templates = await Template.loadFor(assessments);
+    const themes = new Map(); // name -> color
+    const metrics = new Map(); // id -> { id, label, theme }
+
+    let previous = null;
+    const points = assessments.map(assessment => {
+      const template = Template.pick(templates, assessment);
+
+      template.themes.forEach(theme => {
+        if (!themes.has(theme.name)) themes.set(theme.name, theme.color);
+      });
+      template.getMetrics().forEach(({ id, label, theme }) => {
+        if (!metrics.has(id)) metrics.set(id, { id, label, theme });
+      });
+
+      const themeAverages = {};
+      Object.entries(template.calculateThemeAverages(assessment.metrics)).forEach(([theme, average]) => {
+        themeAverages[theme] = round(average);
+      });
+
+      const overallAverage = round(template.calculateOverallAverage(assessment.metrics));
+      const point = {
+        assessmentId: assessment._id,
+        assessmentDate: assessment.assessmentDate,
+        status: assessment.status || 'draft',
+        templateId: template._id,
+        overallAverage,
+        themeAverages,
+        metrics: assessment.metrics,
+        change: previous ? {
+          since: previous.assessmentDate,
+          overallAverage: delta(overallAverage, previous.overallAverage),
+          themeAverages: deltas(themeAverages, previous.themeAverages),
+          metrics: deltas(assessment.metrics, previous.metrics)
+        } : null
+      };
+
+      previous = point;
+      return point;
+    });
+
+    // Scale wide enough for every template involved
+    const ratingScale = { min: 0, max: 0 };
+    templates.forEach(template => {
+      ratingScale.max = Math.max(ratingScale.max, template.ratingScale.max);
+    });
+
+    res.json({
+      employee,
+      ratingScale,
+      themes: Array.from(themes, ([name, color]) => ({ name, color })),
+      metrics: Array.from(metrics.values()),
+      points
+    });
+
+  } catch (error) {
+    console.error('Get employee trends error:', error);
+    res.status(500).json({ message: 'Failed to retrieve employee trends' });
+  }
+}
+
+/**
+ * Aggregation expression for a percentile of a sorted array field
+ * Interpolates linearly between the two nearest values
+ * @param {string} field - Sorted numeric array, e.g. '$values'
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {Object} - Aggregation expression
+ */
+function percentileExpr(field, p) {
+  const pos = { $multiply: [p, { $subtract: [{ $size: field }, 1] }] };
+  const lower = { $arrayElemAt: [field, { $floor: pos }] };
+  const upper = { $arrayElemAt: [field, { $ceil: pos }] };
+  return {
+    $add: [lower, { $multiply: [{ $subtract: [upper, lower] }, { $subtract: [pos, { $floor: pos }] }] }]
+  };
+}
+
+/**
+ * Build the pipeline computing benchmark statistics for one template
+ * Each assessment is unwound into one value per metric, per theme and
+ * overall, which are then grouped and summarised.
+ * @param {Template} template - Template the assessments are rated against
+ * @param {Object} options - { match, department?, latestOnly?, excludeEmployeeId? }
+ * @returns {Object[]} - Aggregation pipeline
+ */
+function benchmarkPipeline(template, options) {
+  const metricIds = template.getMetricIds();
+  const pipeline = [{ $match: options.match }];
+
+  if (options.excludeEmployeeId) {
+    pipeline.push({ $match: { employeeId: { $ne: options.excludeEmployeeId } } });
+  }
+
+  if (options.department) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Employee.collection.name,
+          localField: 'employeeId',
+          foreignField: '_id',
+          as: 'employee'
+        }
+      },
+      { $match: { 'employee.department': options.department } }
+    );
+  }
+
+  // Only each employee's most recent assessment
+  if (options.latestOnly) {
+    pipeline.push(
+      { $sort: { assessmentDate: -1, createdAt: -1 } },
+      {
+        $group: {
+          _id: { $ifNull: ['$employeeId', '$employeeName'] },
+          doc: { $first: '$$ROOT' }
+        }
+      },
+      { $replaceRoot: { newRoot: '$doc' } }
+    );
+  }
+
+  const metricValues = {
+    $map: {
+      input: {
+        $filter: {
+          input: { $objectToArray: '$metrics' },
+          as: 'metric',
+          cond: { $in: ['$$metric.k', metricIds] }
+        }
+      },
+      as: 'metric',
+      in: { kind: 'metric', key: '$$metric.k', value: '$$metric.v' }
+    }
+  };
+
+  const themeValues = template.themes.map(theme => ({
+    kind: 'theme',
+    key: theme.name,
+    value: { $avg: theme.metrics.map(metric => ({ $ifNull: [`$metrics.${metric.id}`, 0] })) }
+  }));
+
+  const overallValue = {
+    kind: 'overall',
+    key: 'overall',
+    value: { $avg: metricIds.map(id => ({ $ifNull: [`$metrics.${id}`, 0] })) }
+  };
+
+  pipeline.push(
+    { $project: { values: { $concatArrays: [metricValues, themeValues, [overallValue]] } } },
+    { $unwind: '$values' },
+    { $replaceRoot: { newRoot: '$values' } },
+    {
+      $group: {
+        _id: { kind: '$kind', key: '$key' },
+        count: { $sum: 1 },
+        mean: { $avg: '$value' },
+        stdDev: { $stdDevPop: '$value' },
+        min: { $min: '$value' },
+        max: { $max: '$value' },
+        values: { $push: '$value' }
+      }
+    },
+    // $push keeps no order, so sort each value array for the percentiles
+    { $set: { values: { $sortArray: { input: '$values', sortBy: 1 } } } },
+    {
+      $project: {
+        _id: 0,
+        kind: '$_id.kind',
+        key: '$_id.key',
+        count: 1,
+        mean: 1,
+        stdDev: 1,
+        min: 1,
+        max: 1,
+        q1: percentileExpr('$values', 0.25),
+        median: percentileExpr('$values', 0.5),
+        q3: percentileExpr('$values', 0.75)
+      }
+    }
+  );
+
+  return pipeline;
+}
+
+/**
+ * Get benchmark statistics across a set of assessments
+ * GET /api/analytics/benchmarks
+ * Query params: templateId, startDate, endDate, status, department, tag,
+ *               latestOnly (true|false), excludeEmployeeId
+ * Statistics are per metric, per theme and overall, for assessments rated
+ * against one template (the default template unless templateId is given).
+ */
+async function getBenchmarks(req, res) {
+  try {
+    const { templateId, department, excludeEmployeeId } = req.query;
+    const tags = req.query.tag ? String(req.query.tag).split(',') : [];
+
+    if (excludeEmployeeId && !mongoose.isValidObjectId(excludeEmployeeId)) {
+      return res.status(400).json({ message: 'Invalid employee ID' });
+    }
+
+    if (!tags.every(tag => Assessment.TAG_PATTERN.test(tag))) {
+      return res.status(400).json({ message: 'Invalid tag' });
+    }
+
+    const template = await Template.resolve(templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    // Assessments without a templateId use the default template
+    const match = {
+      userId: new mongoose.Types.ObjectId(req.userId),
+      templateId: template.isDefault ? { $in: [template._id, null] } : template._id,
+      invitationId: { $exists: false } // Team figures exclude self-assessments
+    };
+
+    if (req.query.startDate || req.query.endDate) {
+      match.assessmentDate = {};
+      if (req.query.startDate) {
+        match.assessmentDate.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        match.assessmentDate.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    if (req.query.status) {
+      match.status = { $in: String(req.query.status).split(',') };
+    }
+
+    // Comma-separated tags must all be present
+    if (tags.length > 0) {
+      match.tags = { $all: tags };
+    }
+
+    const rows = await Assessment.aggregate(benchmarkPipeline(template, {
+      match,
+      department,
+      latestOnly: req.query.latestOnly === 'true',
+      excludeEmployeeId: excludeEmployeeId && new mongoose.Types.ObjectId(excludeEmployeeId)
+    })).allowDiskUse(true);
+
+    const result = { metrics: {}, themes: {}, overall: null };
+    rows.forEach(({ kind, key, ...stats }) => {
+      ['mean', 'stdDev', 'min', 'max', 'q1', 'median', 'q3'].forEach(stat => {
+        stats[stat] = round(stats[stat]);
+      });
+      if (kind === 'metric') result.metrics[key] = stats;
+      else if (kind === 'theme') result.themes[key] = stats;
+      else result.overall = stats;
+    });
+
+    res.json({
+      template: { _id: template._id, name: template.name },
+      assessmentCount: result.overall ? result.overall.count : 0,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Get benchmarks error:', error);
+    res.status(500).json({ message: 'Failed to calculate benchmarks' });
+  }
+}
+
+/**
+ * Compare two to four assessments side by side
+ * GET /api/assessments/compare?ids=a,b[,c,d]
+ * Assessments are ordered oldest first; each delta is the change from the
+ * previous assessment in that order (null for the first one or when the
+ * metric is missing from either, e.g. across templates).
+ */
+async function compareAssessments(req, res) {
+  try {
+    const ids = [...new Set((req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ids.length < 2 || ids.length > 4) {
+      return res.status(400).json({ message: 'Provide between 2 and 4 assessment IDs' });
+    }
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid assessment ID' });
+    }
+
+    const assessments = await Assessment.find({ _id: { $in: ids }, userId: req.userId })
+      .sort({ assessmentDate: 1, createdAt: 1 })
+      .lean();
+
+    if (assessments.length !== ids.length) {
+      return res.status(404).json({ message: 'One or more assessments not found' });
+    }
+
+    const templates = await Template.loadFor(assessments);
+    const themes = new Map(); // name -> { name, color, metrics: Map(id -> label) }
+
+    const summaries = assessments.map(assessment => {
+      const template = Template.pick(templates, assessment);
+
+      template.themes.forEach(theme => {
+        if (!themes.has(theme.name)) {
+          themes.set(theme.name, { name: theme.name, color: theme.color, metrics: new Map() });
+        }
+        theme.metrics.forEach(metric => {
+          const known = themes.get(theme.name).metrics;
+          if (!known.has(metric.id)) known.set(metric.id, metric.label);
+        });
+      });
+
+      const themeAverages = {};
+      Object.entries(template.calculateThemeAverages(assessment.metrics)).forEach(([theme, average]) => {
+        themeAverages[theme] = round(average);
+      });
+
+      return {
+        _id: assessment._id,
+        employeeId: assessment.employeeId,
+        employeeName: assessment.employeeName,
+        assessmentDate: assessment.assessmentDate,
+        status: assessment.status || 'draft',
+        templateId: template._id,
+        ratingScale: template.ratingScale,
+        overallAverage: round(template.calculateOverallAverage(assessment.metrics)),
+        themeAverages,
+        metrics: assessment.metrics
+      };
+    });
+
+    /**
+     * Align one value across the assessments with deltas to the previous one
+     * @param {Function} read - summary => value
+     * @returns {Object} - { values[], deltas[] }
+     */
+    const align = read => {
+      const values = summaries.map(summary => {
+        const value = read(summary);
+        return typeof value === 'number' ? value : null;
+      });
+      return {
+        values,
+        deltas: values.map((value, index) => (index === 0 ? null : delta(value, values[index - 1])))
+      };
+    };
+
+    const themeRows = Array.from(themes.values()).map(theme => ({
+      name: theme.name,
+      color: theme.color,
+      ...align(summary => summary.themeAverages[theme.name]),
+      metrics: Array.from(theme.metrics, ([id, label]) => ({
+        id,
+        label,
+        ...align(summary => summary.metrics[id])
+      }))
+    }));
+
+    res.json({
+      assessments: summaries.map(({ metrics, themeAverages, ...summary }) => summary),
+      themes: themeRows,
+      overall: align(summary => summary.overallAverage)
+    });
+
+  } catch (error) {
+    console.error('Compare assessments error:', error);
+    res.status(500).json({ message: 'Failed to compare assessments' });
+  }
+}
+
+module.exports = {
+  getEmployeeTrends,
+  getBenchmarks,
+  compareAssessments
+};
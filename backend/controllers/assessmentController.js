@@ -1,12 +1,185 @@
 const Assessment = require('../models/Assessment');
+const Template = require('../models/Template');
+const Revision = require('../models/Revision');
+const Employee = require('../models/Employee');
+const Review = require('../models/Review');
+const Group = require('../models/Group');
+const Cycle = require('../models/Cycle');
 const csvParser = require('csv-parser');
 const { format } = require('fast-csv');
 const { Readable } = require('stream');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { decodeText, escapeText } = require('../utils/html');
+const { notifyAssessmentFinalized } = require('../mail/notifications');
+
+// Drafts left in a 360-degree review when it closed stay out of its results
+const CLOSED_REVIEW_MESSAGE = 'Submissions to a closed review cannot be changed';
+
+// Optional columns of the multi-assessment export (columns query param)
+const EXPORT_COLUMNS = ['themeAverages', 'overallAverage', 'createdAt', 'updatedAt', 'assessor'];
+
+/**
+ * Round an average for export
+ * @param {number} value
+ * @returns {number}
+ */
+function roundAverage(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Write a row to a CSV stream, waiting while the client catches up
+ * @param {Stream} csvStream - fast-csv formatter
+ * @param {Array} row - Field values
+ */
+async function writeRow(csvStream, row) {
+  if (!csvStream.write(row)) {
+    await once(csvStream, 'drain');
+  }
+}
+
+/**
+ * Convert a validated range query, e.g. { gte: '3', lt: '4' }, to a Mongo range
+ * @param {Object} range
+ * @returns {Object} - e.g. { $gte: 3, $lt: 4 }
+ */
+function toMongoRange(range) {
+  return Object.fromEntries(Object.entries(range).map(([operator, value]) => [`$${operator}`, Number(value)]));
+}
+
+/**
+ * Build the assessment list filter shared by the list and export endpoints
+ * shared=true selects other users' assessments shared with the user
+ * Average, theme and metric ranges (average[gte]=3, theme[name][lt]=2.5,
+ * metric[id][gte]=4) and tags are checked by validateAssessmentQuery
+ * @param {Object} req - Express request
+ * @param {ObjectId[]} groupIds - Groups the logged-in user belongs to
+ * @returns {Object} - Mongo filter scoped to the logged-in user
+ */
+function buildAssessmentFilter(req, groupIds) {
+  const filter = req.query.shared === 'true'
+    ? Assessment.sharedWithFilter(req.userId, groupIds)
+    : { userId: req.userId };
+
+  if (req.query.employeeId) {
+    filter.employeeId = req.query.employeeId;
+  } else if (req.query.employeeName) {
+    filter.employeeName = { $regex: req.query.employeeName, $options: 'i' };
+  }
+
+  if (req.query.startDate || req.query.endDate) {
+    filter.assessmentDate = {};
+    if (req.query.startDate) {
+      filter.assessmentDate.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      filter.assessmentDate.$lte = new Date(req.query.endDate);
+    }
+  }
+
+  if (req.query.status) {
+    filter.status = { $in: String(req.query.status).split(',') };
+  }
+
+  if (req.query.cycleId) {
+    filter.cycleId = req.query.cycleId;
+  }
+
+  // Comma-separated tags must all be present
+  if (req.query.tag) {
+    filter.tags = { $all: String(req.query.tag).split(',') };
+  }
+
+  if (req.query.average) {
+    filter.overallAverage = toMongoRange(req.query.average);
+  }
+
+  Object.entries(req.query.metric || {}).forEach(([metricId, range]) => {
+    filter[`metrics.${metricId}`] = toMongoRange(range);
+  });
+
+  // Theme names are stored escaped, like the template's
+  const themeFilters = Object.entries(req.query.theme || {}).map(([theme, range]) => ({
+    themeAverages: { $elemMatch: { theme: escapeText(theme), average: toMongoRange(range) } }
+  }));
+  if (themeFilters.length > 0) {
+    filter.$and = themeFilters;
+  }
+
+  return filter;
+}
+
+/**
+ * Find assessments in the order of the sort and order query params
+ * Defaults to the newest assessment first; ties are broken by ID so pages don't overlap
+ * @param {Object} filter - Mongo filter
+ * @param {Object} req - Express request
+ * @returns {Query}
+ */
+function findSorted(filter, req) {
+  const field = req.query.sort || 'assessmentDate';
+  const direction = (req.query.order || (req.query.sort ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+  const query = Assessment.find(filter).sort({ [field]: direction, _id: direction });
+  if (field === 'employeeName') {
+    // Names sort case-insensitively
+    query.collation({ locale: 'en', strength: 2 });
+  }
+  return query;
+}
+
+/**
+ * Build the export filter: specific assessments by IDs (own or shared with
+ * the user), otherwise the list filters
+ * @param {Object} req - Express request
+ * @param {ObjectId[]} groupIds - Groups the logged-in user belongs to
+ * @returns {Object} - Mongo filter
+ */
+function buildExportFilter(req, groupIds) {
+  return req.query.ids
+    ? { _id: { $in: String(req.query.ids).split(',').map(id => id.trim()) }, ...Assessment.accessFilter(req.userId, groupIds, 'view') }
+    : buildAssessmentFilter(req, groupIds);
+}
+
+/**
+ * Load the templates of the assessments an export covers, up front so the
+ * header can be written before the first row
+ * @param {Object} filter - Export filter
+ * @returns {Promise<Object>} - { templates: Map for Template.pick, used: templates in use, in order }
+ */
+async function loadExportTemplates(filter) {
+  // distinct() skips assessments without a template, which use the default
+  const templateIds = await Assessment.distinct('templateId', filter);
+  if (await Assessment.exists({ $and: [filter, { templateId: null }] })) {
+    templateIds.push(null);
+  }
+  const templates = await Template.loadFor(templateIds.map(templateId => ({ templateId })));
+  const used = [...new Set(templateIds.map(templateId => Template.pick(templates, { templateId })))];
+
+  return { templates, used };
+}
+
+/**
+ * Resolve the employee an assessment is for
+ * Prefers an explicit employeeId; otherwise finds or creates one by name
+ * @param {Object} body - { employeeId?, employeeName? }
+ * @param {string} userId - Logged-in user
+ * @returns {Promise<Employee|null>} - null if employeeId does not exist
+ */
+async function resolveEmployee(body, userId) {
+  if (body.employeeId) {
+    return Employee.findById(body.employeeId);
+  }
+  return Employee.findOrCreateByName(body.employeeName, userId);
+}
 
 /**
  * Get all assessments for logged-in user
  * GET /api/assessments
- * Query params: page, limit, employeeName, startDate, endDate
+ * Query params: page, limit, employeeId, employeeName, startDate, endDate, status, shared,
+ * average[op], theme[name][op], metric[id][op] (op: lt, lte, gt, gte), sort, order (asc or desc)
+ * Shared assessments include their owner and the user's permission
  */
 async function getAssessments(req, res) {
   try {
@@ -14,35 +187,30 @@ async function getAssessments(req, res) {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Build filter query
-    const filter = { userId: req.userId };
-
-    if (req.query.employeeName) {
-      filter.employeeName = { $regex: req.query.employeeName, $options: 'i' };
-    }
-
-    if (req.query.startDate || req.query.endDate) {
-      filter.assessmentDate = {};
-      if (req.query.startDate) {
-        filter.assessmentDate.$gte = new Date(req.query.startDate);
-      }
-      if (req.query.endDate) {
-        filter.assessmentDate.$lte = new Date(req.query.endDate);
-      }
-    }
+    const groupIds = await Group.idsFor(req.userId);
+    const filter = buildAssessmentFilter(req, groupIds);
+    const shared = req.query.shared === 'true';
 
     // Get total count for pagination
     const total = await Assessment.countDocuments(filter);
 
     // Get assessments
-    const assessments = await Assessment.find(filter)
-      .sort({ assessmentDate: -1 })
+    const query = findSorted(filter, req)
       .skip(skip)
-      .limit(limit)
-      .lean();
+      .limit(limit);
+    if (shared) {
+      query.populate('userId', 'firstName lastName email');
+    }
+    const assessments = await query.lean();
 
     res.json({
-      assessments,
+      assessments: shared
+        ? assessments.map(({ shares, ...assessment }) => ({
+          ...assessment,
+          // Who else it's shared with is the owner's business
+          permission: Assessment.permissionFor({ ...assessment, shares }, req.userId, groupIds)
+        }))
+        : assessments,
       pagination: {
         page,
         limit,
@@ -60,19 +228,24 @@ async function getAssessments(req, res) {
 /**
  * Get single assessment by ID
  * GET /api/assessments/:id
+ * Owners and users with a view or edit grant; includes the user's permission
+ * and reviewClosed for submissions to a closed 360-degree review
  */
 async function getAssessment(req, res) {
   try {
-    const assessment = await Assessment.findOne({
-      _id: req.params.id,
-      userId: req.userId // Ensure user can only access their own assessments
-    });
+    const groupIds = await Group.idsFor(req.userId);
+    const assessment = await Assessment.findAccessible(req.params.id, req.userId, groupIds, 'view');
 
     if (!assessment) {
       return res.status(404).json({ message: 'Assessment not found' });
     }
 
-    res.json(assessment);
+    const permission = Assessment.permissionFor(assessment, req.userId, groupIds);
+    const { shares, ...data } = assessment.toJSON();
+    data.reviewClosed = (await Assessment.closedReviewIds([assessment])).size > 0;
+
+    // Only the owner sees who else it's shared with
+    res.json(permission === 'owner' ? { ...data, shares, permission } : { ...data, permission });
 
   } catch (error) {
     console.error('Get assessment error:', error);
@@ -80,22 +253,113 @@ async function getAssessment(req, res) {
   }
 }
 
+/**
+ * Get the employee's latest self-assessment next to one of the user's assessments
+ * GET /api/assessments/:id/self-assessment
+ * Only self-assessments from invitations the user issued are considered;
+ * responds with { selfAssessment: null } if the employee has none
+ */
+async function getSelfAssessment(req, res) {
+  try {
+    const assessment = await Assessment.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    }).select('employeeId').lean();
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const selfAssessment = assessment.employeeId
+      ? await Assessment.findOne({
+        userId: req.userId,
+        employeeId: assessment.employeeId,
+        invitationId: { $exists: true },
+        _id: { $ne: assessment._id }
+      }).sort({ assessmentDate: -1 })
+      : null;
+
+    res.json({ selfAssessment });
+
+  } catch (error) {
+    console.error('Get self-assessment error:', error);
+    res.status(500).json({ message: 'Failed to retrieve self-assessment' });
+  }
+}
+
 /**
  * Create new assessment
  * POST /api/assessments
  */
 async function createAssessment(req, res) {
   try {
-    const { employeeName, assessmentDate, metrics } = req.body;
+    const { assessmentDate, metrics, comments, summary, tags, reviewId, cycleId } = req.body;
+
+    // A review submission is for the review's employee, on the review's template
+    let review = null;
+    if (reviewId) {
+      review = await Review.findById(reviewId);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      if (!review.getRater(req.userId)) {
+        return res.status(403).json({ message: 'You are not a rater in this review' });
+      }
+      if (!review.isOpen()) {
+        return res.status(409).json({ message: 'This review is closed' });
+      }
+      if (!review.templateId.equals(req.template._id)) {
+        return res.status(400).json({ message: 'Review submissions must use the review template' });
+      }
+      // One submission per rater, counting one in the trash
+      const submitted = await Assessment.findOne({ reviewId: review._id, userId: req.userId })
+        .setOptions({ withDeleted: true })
+        .select('deletedAt');
+      if (submitted) {
+        return res.status(409).json({
+          message: submitted.isDeleted()
+            ? 'Your submission to this review is in the trash. Restore it instead.'
+            : 'You have already submitted to this review'
+        });
+      }
+    }
+
+    const employee = review
+      ? await Employee.findById(review.employeeId)
+      : await resolveEmployee(req.body, req.userId);
+    if (!employee) {
+      return res.status(400).json({ message: 'Employee not found' });
+    }
+
+    let cycle = null;
+    if (cycleId) {
+      const found = await Cycle.findAttachable(cycleId, req.userId, employee._id);
+      if (!found.cycle) {
+        return res.status(found.status).json({ message: found.message });
+      }
+      cycle = found.cycle;
+    }
 
     const assessment = new Assessment({
       userId: req.userId,
-      employeeName,
+      employeeId: employee._id,
+      employeeName: employee.name,
       assessmentDate: assessmentDate || new Date(),
-      metrics
+      templateId: req.template._id, // Resolved by validateAssessment
+      metrics,
+      comments: comments || {},
+      summary: summary || '',
+      tags: tags || [],
+      cycleId: cycle ? cycle._id : undefined
     });
 
+    if (review) {
+      assessment.reviewId = review._id;
+      assessment.raterRole = review.getRater(req.userId).role;
+    }
+
     await assessment.save();
+    await Revision.record(assessment, req.userId);
 
     res.status(201).json({
       message: 'Assessment created successfully',
@@ -103,6 +367,16 @@ async function createAssessment(req, res) {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    // Another request submitted to the same review first
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already submitted to this review' });
+    }
     console.error('Create assessment error:', error);
     res.status(500).json({ message: 'Failed to create assessment' });
   }
@@ -111,26 +385,85 @@ async function createAssessment(req, res) {
 /**
  * Update existing assessment
  * PUT /api/assessments/:id
+ * Owners and users with an edit grant
  */
 async function updateAssessment(req, res) {
   try {
-    const { employeeName, assessmentDate, metrics } = req.body;
+    const { employeeId, employeeName, assessmentDate, metrics, comments, summary, tags, cycleId } = req.body;
 
-    const assessment = await Assessment.findOne({
-      _id: req.params.id,
-      userId: req.userId
-    });
+    const groupIds = await Group.idsFor(req.userId);
+    const assessment = await Assessment.findAccessible(req.params.id, req.userId, groupIds, 'edit');
 
     if (!assessment) {
       return res.status(404).json({ message: 'Assessment not found' });
     }
 
+    if (assessment.isLocked()) {
+      return res.status(409).json({ message: assessment.lockMessage() });
+    }
+
+    if (assessment.isSelfAssessment()) {
+      return res.status(409).json({ message: 'Self-assessments are the employee\'s own ratings and cannot be changed' });
+    }
+
+    if ((await Assessment.closedReviewIds([assessment])).size > 0) {
+      return res.status(409).json({ message: CLOSED_REVIEW_MESSAGE });
+    }
+
+    await Revision.ensureBaseline(assessment);
+    const before = assessment.toSnapshot();
+
     // Update fields
-    if (employeeName !== undefined) assessment.employeeName = employeeName;
+    if (employeeId !== undefined || employeeName !== undefined) {
+      const employee = await resolveEmployee(req.body, req.userId);
+      if (!employee) {
+        return res.status(400).json({ message: 'Employee not found' });
+      }
+      if (assessment.reviewId && !employee._id.equals(assessment.employeeId)) {
+        return res.status(400).json({ message: 'The employee of a review submission cannot be changed' });
+      }
+      assessment.setEmployee(employee);
+    }
     if (assessmentDate !== undefined) assessment.assessmentDate = assessmentDate;
     if (metrics !== undefined) assessment.metrics = metrics;
+    if (comments !== undefined) assessment.comments = comments;
+    if (summary !== undefined) assessment.summary = summary;
+
+    // Attach to a review cycle, or detach with null; the assessment must stay
+    // with one of the cycle's employees
+    const cycleBefore = String(assessment.cycleId || '');
+    if (cycleId !== undefined) assessment.cycleId = cycleId || undefined;
+    const cycleChanged = String(assessment.cycleId || '') !== cycleBefore;
+    if (assessment.cycleId && (cycleChanged || assessment.isModified('employeeId'))) {
+      const found = await Cycle.findAttachable(assessment.cycleId, req.userId, assessment.employeeId);
+      if (!found.cycle) {
+        return res.status(found.status).json({ message: found.message });
+      }
+    }
 
+    // Tags and the cycle are saved without a revision
+    const tagsBefore = assessment.tags.join(',');
+    if (tags !== undefined) assessment.tags = tags;
+    const labelsChanged = cycleChanged || assessment.tags.join(',') !== tagsBefore;
+
+    // Auto-save sends unchanged data regularly; only real changes create a revision
+    if (Revision.diff(before, assessment.toSnapshot()).length === 0) {
+      if (labelsChanged) {
+        await assessment.save();
+        return res.json({
+          message: 'Assessment updated successfully',
+          assessment
+        });
+      }
+      return res.json({
+        message: 'No changes to save',
+        assessment
+      });
+    }
+
+    assessment.nextVersion();
     await assessment.save();
+    await Revision.record(assessment, req.userId, { before });
 
     res.json({
       message: 'Assessment updated successfully',
@@ -138,27 +471,120 @@ async function updateAssessment(req, res) {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ message: Assessment.VERSION_CONFLICT_MESSAGE });
+    }
     console.error('Update assessment error:', error);
     res.status(500).json({ message: 'Failed to update assessment' });
   }
 }
 
 /**
- * Delete assessment
+ * Check whether a user may delete an assessment
+ * @param {Assessment} assessment
+ * @param {string|ObjectId} userId - Logged-in user
+ * @returns {Object|null} - { status, message } if not allowed
+ */
+function deleteError(assessment, userId) {
+  if (!assessment.userId.equals(userId)) {
+    return { status: 403, message: 'Only the owner can delete an assessment' };
+  }
+  if (assessment.isLocked()) {
+    return { status: 409, message: assessment.lockMessage('deleted') };
+  }
+  return null;
+}
+
+/**
+ * Move assessments to the trash, where they are kept with their revisions
+ * until restored or purged
+ * @param {ObjectId[]} ids
+ * @param {string|ObjectId} userId - Logged-in user
+ * @returns {Promise<void>}
+ */
+function moveToTrash(ids, userId) {
+  return Assessment.updateMany(
+    { _id: { $in: ids } },
+    { deletedAt: new Date(), deletedBy: userId },
+    { timestamps: false }
+  );
+}
+
+/**
+ * Apply a status change to an assessment, unsaved
+ * Admins may only return other users' assessments to draft (reopening); nothing
+ * changes while the assessment's review cycle or 360-degree review is closed
+ * @param {Assessment} assessment
+ * @param {string} status - Target status
+ * @param {Object} context - { userId, isAdmin, closedReviewIds } (see Assessment.closedReviewIds)
+ * @returns {Object|null} - { status, message } if not allowed
+ */
+function applyStatusChange(assessment, status, { userId, isAdmin, closedReviewIds }) {
+  if (assessment.cycleClosedAt) {
+    return { status: 409, message: assessment.lockMessage() };
+  }
+
+  if (assessment.reviewId && closedReviewIds.has(assessment.reviewId.toString())) {
+    return { status: 409, message: CLOSED_REVIEW_MESSAGE };
+  }
+
+  if (!assessment.canTransitionTo(status)) {
+    return { status: 409, message: `Cannot change status from ${assessment.status} to ${status}` };
+  }
+
+  if (assessment.status === 'finalized' && !isAdmin) {
+    return { status: 403, message: 'Only an admin can reopen a finalized assessment' };
+  }
+
+  // Admins act on other users' assessments only to return them to draft
+  if (!assessment.userId.equals(userId) && status !== 'draft') {
+    return { status: 403, message: 'Insufficient permissions' };
+  }
+
+  assessment.status = status;
+  if (status === 'submitted') {
+    assessment.submittedAt = new Date();
+  }
+  if (status === 'finalized') {
+    assessment.finalizedAt = new Date();
+    assessment.finalizedBy = userId;
+  }
+  if (status === 'draft') {
+    assessment.submittedAt = undefined;
+    assessment.finalizedAt = undefined;
+    assessment.finalizedBy = undefined;
+  }
+  return null;
+}
+
+/**
+ * Delete assessment: move it to the trash
  * DELETE /api/assessments/:id
+ * Owner only; an edit grant allows changes but not deletion
  */
 async function deleteAssessment(req, res) {
   try {
-    const assessment = await Assessment.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.userId
-    });
+    const groupIds = await Group.idsFor(req.userId);
+    const assessment = await Assessment.findAccessible(req.params.id, req.userId, groupIds, 'view');
 
     if (!assessment) {
       return res.status(404).json({ message: 'Assessment not found' });
     }
 
-    res.json({ message: 'Assessment deleted successfully' });
+    const error = deleteError(assessment, req.userId);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    await moveToTrash([assessment._id], req.userId);
+
+    res.json({ message: 'Assessment moved to trash' });
 
   } catch (error) {
     console.error('Delete assessment error:', error);
@@ -166,10 +592,94 @@ async function deleteAssessment(req, res) {
   }
 }
 
+/**
+ * Change assessment status (draft -> submitted -> finalized)
+ * POST /api/assessments/:id/status
+ * Reopening a finalized assessment requires the admin role
+ * Finalizing e-mails the users it is shared with and its cycle's organizer
+ */
+async function changeStatus(req, res) {
+  try {
+    const { status } = req.body;
+    const isAdmin = req.userRole === 'admin';
+
+    // Admins may reopen assessments they do not own
+    const filter = { _id: req.params.id };
+    if (!isAdmin) {
+      filter.userId = req.userId;
+    }
+
+    const assessment = await Assessment.findOne(filter);
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const closedReviewIds = await Assessment.closedReviewIds([assessment]);
+    const error = applyStatusChange(assessment, status, { userId: req.userId, isAdmin, closedReviewIds });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    await assessment.save();
+
+    if (status === 'finalized') {
+      notifyAssessmentFinalized(assessment, req.userId);
+    }
+
+    res.json({
+      message: `Assessment ${status === 'draft' ? 'returned to draft' : status}`,
+      assessment
+    });
+
+  } catch (error) {
+    console.error('Change status error:', error);
+    res.status(500).json({ message: 'Failed to change assessment status' });
+  }
+}
+
+/**
+ * Guess the delimiter from the header line: comma, semicolon (European
+ * spreadsheet exports) or tab, ignoring quoted text
+ * @param {string} text - CSV content
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: header.split(delimiter).length }));
+  return counts.reduce((best, entry) => (entry.count > best.count ? entry : best)).delimiter;
+}
+
+/**
+ * Parse an uploaded CSV file into rows of trimmed fields
+ * Handles quoted fields (including line breaks), CRLF line endings, a UTF-8
+ * BOM as written by Excel, and comma, semicolon or tab delimiters
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<string[][]>} - Rows without blank lines
+ */
+function parseCSV(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const rows = [];
+
+  return new Promise((resolve, reject) => {
+    Readable.from([text])
+      .pipe(csvParser({ separator: detectDelimiter(text), headers: false }))
+      .on('data', row => {
+        const fields = Object.values(row).map(value => value.trim());
+        if (fields.some(Boolean)) rows.push(fields);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
 /**
  * Import assessments from CSV
  * POST /api/assessments/import-csv
  * Content-Type: multipart/form-data
+ * Accepts the single-assessment "Categories,Ratings" format and the
+ * multi-assessment "Employee Name,Assessment Date,..." format of the export.
+ * dryRun=true validates the file without saving anything
  */
 async function importFromCSV(req, res) {
   try {
@@ -177,50 +687,64 @@ async function importFromCSV(req, res) {
       return res.status(400).json({ message: 'CSV file is required' });
     }
 
-    const employeeName = req.body.employeeName || 'Unknown';
-    const results = [];
-    const errors = [];
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    const template = await Template.resolve(req.body.templateId);
+    if (!template) {
+      return res.status(400).json({ message: 'Template not found' });
+    }
 
     // Parse CSV
-    const csvData = req.file.buffer.toString();
-    const lines = csvData.trim().split('\n');
+    const rows = await parseCSV(req.file.buffer);
 
     // Validate header
-    if (lines.length < 2) {
+    if (rows.length < 2) {
       return res.status(400).json({ message: 'CSV file is empty or invalid' });
     }
 
-    const header = lines[0].toLowerCase();
-    if (!header.includes('categories') || !header.includes('ratings')) {
+    const header = rows[0].map(column => column.toLowerCase());
+    if (header[0] === 'employee name' && header[1] === 'assessment date') {
+      return importAssessmentRows(req, res, { rows, template, dryRun });
+    }
+
+    const categoryColumn = header.indexOf('categories');
+    const ratingColumn = header.indexOf('ratings');
+    if (categoryColumn === -1 || ratingColumn === -1) {
       return res.status(400).json({
-        message: 'Invalid CSV format. Expected "Categories,Ratings" header'
+        message: 'Invalid CSV format. Expected a "Categories,Ratings" or "Employee Name,Assessment Date,..." header'
       });
     }
 
-    // Parse metrics from CSV
+    const errors = [];
+    const { min, max } = template.ratingScale;
+    const findMetricId = template.getMetricLookup();
+
+    // Parse metrics from CSV; categories may be metric IDs or labels
     const metrics = {};
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
+    for (let i = 1; i < rows.length; i++) {
+      const category = rows[i][categoryColumn] || '';
+      const rating = rows[i][ratingColumn] || '';
 
-      const [category, rating] = line.split(',').map(s => s.trim());
-      const value = parseInt(rating);
+      // Summary row written by the single-assessment export
+      if (category.toLowerCase() === 'summary') continue;
+
+      const metricId = findMetricId(category);
+      if (!metricId) {
+        errors.push(`Row ${i + 1}: Unknown metric: ${category}`);
+        continue;
+      }
 
-      if (isNaN(value) || value < 0 || value > 5) {
-        errors.push(`Invalid rating for ${category}: ${rating}`);
+      const value = Number(rating);
+      if (!rating || !Number.isInteger(value) || value < min || value > max) {
+        errors.push(`Row ${i + 1}: Invalid rating for ${category}: ${rating || '(empty)'}`);
         continue;
       }
 
-      metrics[category] = value;
+      metrics[metricId] = value;
     }
 
-    // Validate that we have all 19 metrics
-    const requiredMetrics = [
-      'sharedVision', 'strategy', 'businessAlignment', 'customerFocus',
-      'crossFunctionalTeams', 'clarityInPriorities', 'acceptanceCriteria', 'enablingFocus', 'engagement',
-      'feedback', 'enablingAutonomy', 'changeAndAmbiguity', 'desiredCulture', 'workAutonomously',
-      'stakeholders', 'teamAttrition', 'teams', 'developingPeople', 'subordinatesForSuccess'
-    ];
+    // Validate that we have every metric in the template
+    const requiredMetrics = template.getMetricIds();
 
     const missingMetrics = requiredMetrics.filter(metric => metrics[metric] === undefined);
     if (missingMetrics.length > 0) {
@@ -230,15 +754,38 @@ async function importFromCSV(req, res) {
       });
     }
 
+    // A dry run must not create the employee either
+    if (dryRun) {
+      if (req.body.employeeId && !(await Employee.exists({ _id: req.body.employeeId }))) {
+        return res.status(400).json({ message: 'Employee not found' });
+      }
+      return res.json({
+        message: 'CSV is valid',
+        dryRun: true,
+        errors: errors.length > 0 ? errors : undefined
+      });
+    }
+
+    const employee = await resolveEmployee({
+      employeeId: req.body.employeeId,
+      employeeName: escapeText(req.body.employeeName || 'Unknown')
+    }, req.userId);
+    if (!employee) {
+      return res.status(400).json({ message: 'Employee not found' });
+    }
+
     // Create assessment
     const assessment = new Assessment({
       userId: req.userId,
-      employeeName,
+      employeeId: employee._id,
+      employeeName: employee.name,
       assessmentDate: new Date(),
+      templateId: template._id,
       metrics
     });
 
     await assessment.save();
+    await Revision.record(assessment, req.userId);
 
     res.status(201).json({
       message: 'CSV imported successfully',
@@ -247,95 +794,547 @@ async function importFromCSV(req, res) {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
     console.error('Import CSV error:', error);
     res.status(500).json({ message: 'Failed to import CSV' });
   }
 }
 
+/**
+ * Import the multi-assessment export: one assessment per row
+ * Columns: Employee Name, Assessment Date, <metric>..., <metric>_comment..., Summary
+ * Metric columns may be headed by metric IDs or labels.
+ * Valid rows are imported and invalid ones reported with their row number
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { rows, template, dryRun }
+ */
+async function importAssessmentRows(req, res, { rows: csvRows, template, dryRun }) {
+  const { min, max } = template.ratingScale;
+  const metricIds = template.getMetricIds();
+  const findMetricId = template.getMetricLookup();
+
+  // Map each column after name and date to a metric, comment or the summary
+  const errors = [];
+  const columns = csvRows[0].slice(2).map(column => {
+    if (column.toLowerCase() === 'summary') return { type: 'summary' };
+    const metricId = findMetricId(column);
+    if (metricId) return { type: 'metric', id: metricId };
+    const commentOf = column.replace(/_comment$/i, '');
+    if (column !== commentOf && findMetricId(commentOf)) return { type: 'comment', id: findMetricId(commentOf) };
+    errors.push(`Unknown column ignored: ${column}`);
+    return { type: 'unknown' };
+  });
+
+  const missingMetrics = metricIds.filter(id => !columns.some(column => column.type === 'metric' && column.id === id));
+  if (missingMetrics.length > 0) {
+    return res.status(400).json({
+      message: 'Missing required metrics',
+      missing: missingMetrics
+    });
+  }
+
+  // Validate every row before saving any
+  const rows = [];
+  const rowErrors = [];
+  for (let i = 1; i < csvRows.length; i++) {
+    const [name, date, ...fields] = csvRows[i];
+    const problems = [];
+    const data = { metrics: {}, comments: {}, summary: '' };
+
+    if (!name) {
+      problems.push('Employee name is required');
+    } else if (name.length > 100) {
+      problems.push('Employee name must be at most 100 characters');
+    }
+    data.employeeName = escapeText(name || '');
+
+    data.assessmentDate = new Date(date);
+    if (!date || isNaN(data.assessmentDate.getTime())) {
+      problems.push(`Invalid assessment date: ${date || '(empty)'}`);
+    }
+
+    columns.forEach((column, index) => {
+      const value = fields[index] || '';
+      if (column.type === 'metric') {
+        const rating = Number(value);
+        if (!value || !Number.isInteger(rating) || rating < min || rating > max) {
+          problems.push(`Invalid rating for ${column.id}: ${value || '(empty)'}`);
+        } else {
+          data.metrics[column.id] = rating;
+        }
+      } else if (column.type === 'comment' && value) {
+        if (value.length > 1000) {
+          problems.push(`Comment for ${column.id} must be at most 1000 characters`);
+        }
+        data.comments[column.id] = escapeText(value);
+      } else if (column.type === 'summary' && value) {
+        if (value.length > 2000) {
+          problems.push('Summary must be at most 2000 characters');
+        }
+        data.summary = escapeText(value);
+      }
+    });
+
+    // Row numbers count the header as row 1
+    if (problems.length > 0) {
+      rowErrors.push({ row: i + 1, errors: problems });
+    } else {
+      rows.push({ row: i + 1, data });
+    }
+  }
+
+  const total = rows.length + rowErrors.length;
+  if (total === 0) {
+    return res.status(400).json({ message: 'CSV file has no assessment rows' });
+  }
+
+  if (dryRun) {
+    return res.json({
+      message: `${rows.length} of ${total} rows can be imported`,
+      dryRun: true,
+      valid: rows.length,
+      total,
+      rowErrors,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  }
+
+  const assessments = [];
+  for (const { row, data } of rows) {
+    try {
+      const employee = await resolveEmployee({ employeeName: data.employeeName }, req.userId);
+      const assessment = new Assessment({
+        userId: req.userId,
+        employeeId: employee._id,
+        employeeName: employee.name,
+        assessmentDate: data.assessmentDate,
+        templateId: template._id,
+        metrics: data.metrics,
+        comments: data.comments,
+        summary: data.summary
+      });
+
+      await assessment.save();
+      await Revision.record(assessment, req.userId);
+      assessments.push(assessment);
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      rowErrors.push({ row, errors: Object.values(error.errors).map(e => e.message) });
+    }
+  }
+  rowErrors.sort((a, b) => a.row - b.row);
+
+  res.status(assessments.length > 0 ? 201 : 400).json({
+    message: `Imported ${assessments.length} of ${total} assessments`,
+    imported: assessments.length,
+    total,
+    assessments,
+    rowErrors,
+    errors: errors.length > 0 ? errors : undefined
+  });
+}
+
 /**
  * Export assessments to CSV
  * GET /api/assessments/export-csv
- * Query params: ids (comma-separated) OR employeeName, startDate, endDate
+ * Query params: ids (comma-separated) OR the list filters and sort;
+ * columns (comma-separated): themeAverages, overallAverage, createdAt, updatedAt, assessor
+ * Includes assessments shared with the user (view or edit grant).
+ * Several assessments (or any optional column) give one row per assessment,
+ * streamed from a cursor so large exports are never held in memory
  */
 async function exportToCSV(req, res) {
   try {
-    let assessments;
-
-    // Export specific assessments by IDs
-    if (req.query.ids) {
-      const ids = req.query.ids.split(',');
-      assessments = await Assessment.find({
-        _id: { $in: ids },
-        userId: req.userId
+    const groupIds = await Group.idsFor(req.userId);
+
+    const columns = req.query.columns ? String(req.query.columns).split(',').map(column => column.trim()) : [];
+    const unknownColumns = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({
+        message: `Unknown export columns: ${unknownColumns.join(', ')}. Available: ${EXPORT_COLUMNS.join(', ')}`
       });
     }
-    // Export filtered assessments
-    else {
-      const filter = { userId: req.userId };
 
-      if (req.query.employeeName) {
-        filter.employeeName = { $regex: req.query.employeeName, $options: 'i' };
+    const filter = buildExportFilter(req, groupIds);
+
+    const count = await Assessment.countDocuments(filter);
+    if (count === 0) {
+      return res.status(404).json({ message: 'No assessments found' });
+    }
+
+    const { templates, used: exportTemplates } = await loadExportTemplates(filter);
+
+    const csvStream = format();
+
+    // If single assessment, use simple format
+    if (count === 1 && columns.length === 0) {
+      const assessment = await Assessment.findOne(filter);
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${assessment.downloadFilename('assessment.csv')}"`);
+      csvStream.pipe(res);
+
+      // Text is stored escaped; the file gets it as typed (import escapes it again)
+      await writeRow(csvStream, ['Categories', 'Ratings', 'Comments']);
+      for (const key of Template.pick(templates, assessment).getMetricIds()) {
+        await writeRow(csvStream, [key, assessment.metrics.get(key), decodeText(assessment.comments.get(key))]);
+      }
+      if (assessment.summary) {
+        await writeRow(csvStream, ['summary', '', decodeText(assessment.summary)]);
       }
+      csvStream.end();
+      return;
+    }
 
-      if (req.query.startDate || req.query.endDate) {
-        filter.assessmentDate = {};
-        if (req.query.startDate) {
-          filter.assessmentDate.$gte = new Date(req.query.startDate);
-        }
-        if (req.query.endDate) {
-          filter.assessmentDate.$lte = new Date(req.query.endDate);
-        }
+    // Multiple assessments, include employee name and date.
+    // Columns cover every metric and theme of every template in the export, in template order
+    const metricKeys = [...new Set(exportTemplates.flatMap(template => template.getMetricIds()))];
+    const themeNames = [...new Set(exportTemplates.flatMap(template => template.themes.map(theme => theme.name)))];
+
+    const header = ['Employee Name', 'Assessment Date', ...metricKeys, ...metricKeys.map(key => `${key}_comment`), 'Summary'];
+    if (columns.includes('themeAverages')) header.push(...themeNames.map(name => `${decodeText(name)} Average`));
+    if (columns.includes('overallAverage')) header.push('Overall Average');
+    if (columns.includes('createdAt')) header.push('Created At');
+    if (columns.includes('updatedAt')) header.push('Updated At');
+    if (columns.includes('assessor')) header.push('Assessor');
+
+    const query = findSorted(filter, req);
+    if (columns.includes('assessor')) {
+      query.populate('userId', 'firstName lastName');
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="assessments_export_${new Date().toISOString().split('T')[0]}.csv"`);
+    csvStream.pipe(res);
+    await writeRow(csvStream, header);
+
+    for await (const assessment of query.cursor()) {
+      const template = Template.pick(templates, assessment);
+      const row = [
+        decodeText(assessment.employeeName),
+        assessment.assessmentDate.toISOString().split('T')[0],
+        ...metricKeys.map(key => assessment.metrics.get(key) ?? ''),
+        ...metricKeys.map(key => decodeText(assessment.comments.get(key))),
+        decodeText(assessment.summary)
+      ];
+
+      if (columns.includes('themeAverages')) {
+        const averages = template.calculateThemeAverages(assessment.metrics);
+        row.push(...themeNames.map(name => (averages[name] === undefined ? '' : roundAverage(averages[name]))));
+      }
+      if (columns.includes('overallAverage')) row.push(roundAverage(template.calculateOverallAverage(assessment.metrics)));
+      if (columns.includes('createdAt')) row.push(assessment.createdAt.toISOString());
+      if (columns.includes('updatedAt')) row.push(assessment.updatedAt.toISOString());
+      if (columns.includes('assessor')) {
+        const assessor = assessment.userId;
+        row.push(assessor && assessor.firstName ? decodeText(`${assessor.firstName} ${assessor.lastName}`) : '');
       }
 
-      assessments = await Assessment.find(filter).sort({ assessmentDate: -1 });
+      await writeRow(csvStream, row);
     }
+    csvStream.end();
 
-    if (assessments.length === 0) {
+  } catch (error) {
+    console.error('Export CSV error:', error);
+    // Once streaming has started the status is sent; cut the download short instead
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ message: 'Failed to export CSV' });
+  }
+}
+
+/**
+ * Read a worksheet into rows of trimmed text fields
+ * Date cells become ISO dates (YYYY-MM-DD)
+ * @param {Worksheet} sheet - ExcelJS worksheet
+ * @returns {string[][]} - Rows without blank lines
+ */
+function readSheetRows(sheet) {
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, row => {
+    const fields = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      const cell = row.getCell(column);
+      fields.push(cell.value instanceof Date
+        ? cell.value.toISOString().split('T')[0]
+        : (cell.text || '').trim());
+    }
+    if (fields.some(Boolean)) rows.push(fields);
+  });
+  return rows;
+}
+
+/**
+ * Export assessments to an Excel workbook
+ * GET /api/assessments/export-xlsx
+ * Query params: as for export-csv (ids OR list filters, sort)
+ * Sheet "Metrics" has one row per assessment with the ratings under the metric
+ * labels; sheet "Theme Averages" has the theme and overall averages
+ */
+async function exportToXLSX(req, res) {
+  try {
+    const groupIds = await Group.idsFor(req.userId);
+    const filter = buildExportFilter(req, groupIds);
+
+    if (!(await Assessment.exists(filter))) {
       return res.status(404).json({ message: 'No assessments found' });
     }
 
-    // If single assessment, use simple format
-    if (assessments.length === 1) {
-      const assessment = assessments[0];
-      let csv = 'Categories,Ratings\n';
+    const { templates, used } = await loadExportTemplates(filter);
+
+    // Columns cover every metric and theme of every template in the export, in template order
+    const metrics = [];
+    used.flatMap(template => template.getMetrics()).forEach(metric => {
+      if (!metrics.some(known => known.id === metric.id)) metrics.push(metric);
+    });
+    const themeNames = [...new Set(used.flatMap(template => template.themes.map(theme => theme.name)))];
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const dateColumns = [
+      { header: 'Employee Name', key: 'employeeName', width: 30 },
+      { header: 'Assessment Date', key: 'assessmentDate', width: 16, style: { numFmt: 'yyyy-mm-dd' } }
+    ];
+
+    const metricSheet = workbook.addWorksheet('Metrics', { views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }] });
+    metricSheet.columns = [
+      ...dateColumns,
+      ...metrics.map(metric => ({ header: decodeText(metric.label), key: metric.id, width: 14 }))
+    ];
+
+    const averageSheet = workbook.addWorksheet('Theme Averages', { views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }] });
+    averageSheet.columns = [
+      ...dateColumns,
+      ...themeNames.map(name => ({ header: decodeText(name), key: name, width: 18, style: { numFmt: '0.00' } })),
+      { header: 'Overall Average', key: 'overallAverage', width: 16, style: { numFmt: '0.00' } }
+    ];
+
+    [metricSheet, averageSheet].forEach(sheet => {
+      sheet.getRow(1).font = { bold: true };
+    });
 
-      Object.entries(assessment.metrics).forEach(([key, value]) => {
-        csv += `${key},${value}\n`;
+    for await (const assessment of findSorted(filter, req).cursor()) {
+      const template = Template.pick(templates, assessment);
+      const names = {
+        employeeName: decodeText(assessment.employeeName),
+        assessmentDate: assessment.assessmentDate
+      };
+
+      metricSheet.addRow({
+        ...names,
+        ...Object.fromEntries(metrics.map(metric => [metric.id, assessment.metrics.get(metric.id)]))
       });
 
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="${assessment.employeeName}_assessment_${assessment.assessmentDate.toISOString().split('T')[0]}.csv"`);
-      res.send(csv);
-    }
-    // Multiple assessments, include employee name and date
-    else {
-      let csv = 'Employee Name,Assessment Date,';
-      const metricKeys = Object.keys(assessments[0].metrics);
-      csv += metricKeys.join(',') + '\n';
-
-      assessments.forEach(assessment => {
-        const date = assessment.assessmentDate.toISOString().split('T')[0];
-        const values = metricKeys.map(key => assessment.metrics[key]);
-        csv += `"${assessment.employeeName}",${date},${values.join(',')}\n`;
+      const averages = template.calculateThemeAverages(assessment.metrics);
+      averageSheet.addRow({
+        ...names,
+        ...Object.fromEntries(themeNames.map(name => [name, averages[name]])),
+        overallAverage: template.calculateOverallAverage(assessment.metrics)
       });
+    }
 
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="assessments_export_${new Date().toISOString().split('T')[0]}.csv"`);
-      res.send(csv);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="assessments_export_${new Date().toISOString().split('T')[0]}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
+
+  } catch (error) {
+    console.error('Export XLSX error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ message: 'Failed to export Excel file' });
+  }
+}
+
+/**
+ * Import assessments from an Excel workbook in the layout of the export
+ * POST /api/assessments/import-xlsx
+ * Content-Type: multipart/form-data
+ * Reads the "Metrics" sheet (or the first sheet): Employee Name, Assessment
+ * Date and one column per metric, headed by metric labels or IDs.
+ * dryRun=true validates the file without saving anything
+ */
+async function importFromXLSX(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Excel file is required' });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    const template = await Template.resolve(req.body.templateId);
+    if (!template) {
+      return res.status(400).json({ message: 'Template not found' });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid Excel file' });
     }
 
+    const sheet = workbook.getWorksheet('Metrics') || workbook.worksheets[0];
+    const rows = sheet ? readSheetRows(sheet) : [];
+    if (rows.length < 2) {
+      return res.status(400).json({ message: 'Excel file is empty or invalid' });
+    }
+
+    const header = rows[0].map(column => column.toLowerCase());
+    if (header[0] !== 'employee name' || header[1] !== 'assessment date') {
+      return res.status(400).json({
+        message: 'Invalid Excel format. Expected "Employee Name", "Assessment Date" and one column per metric'
+      });
+    }
+
+    return importAssessmentRows(req, res, { rows, template, dryRun });
+
   } catch (error) {
-    console.error('Export CSV error:', error);
-    res.status(500).json({ message: 'Failed to export CSV' });
+    console.error('Import XLSX error:', error);
+    res.status(500).json({ message: 'Failed to import Excel file' });
+  }
+}
+
+/**
+ * Apply one action to several assessments
+ * POST /api/assessments/bulk
+ * Body: { action: delete | status | tag | untag | export, ids[], status (for status),
+ *   tags[] (for tag and untag), format (csv or xlsx) and columns (for export) }
+ * Each assessment follows the rules of its single-assessment endpoint and the
+ * response lists the outcome per ID; export responds with the file instead,
+ * leaving out IDs the user cannot view. Tags can be changed on assessments the
+ * user can edit that are not locked (finalized or in a closed review cycle)
+ */
+async function bulkAssessments(req, res) {
+  try {
+    const { action, status, tags } = req.body;
+    const ids = [...new Set(req.body.ids)];
+
+    if (action === 'export') {
+      req.query = { ...req.query, ids: ids.join(','), columns: req.body.columns };
+      return req.body.format === 'xlsx' ? exportToXLSX(req, res) : exportToCSV(req, res);
+    }
+
+    // Same lookups as the single endpoints: status changes on own assessments
+    // (any for admins), deletes on visible ones so non-owners get a 403,
+    // tags on ones the user can edit
+    const isAdmin = req.userRole === 'admin';
+    let access;
+    if (action === 'status') {
+      access = isAdmin ? {} : { userId: req.userId };
+    } else {
+      const permission = action === 'delete' ? 'view' : 'edit';
+      access = Assessment.accessFilter(req.userId, await Group.idsFor(req.userId), permission);
+    }
+    const assessments = await Assessment.find({ _id: { $in: ids }, ...access });
+    const byId = new Map(assessments.map(assessment => [assessment._id.toString(), assessment]));
+    const closedReviewIds = action === 'status' ? await Assessment.closedReviewIds(assessments) : null;
+
+    // Failures carry the HTTP status the single endpoint would have answered with
+    const results = [];
+    const fail = (id, code, message) => results.push({ id, success: false, code, message });
+    // Deletes and tag changes are applied together once every ID is checked
+    const accepted = [];
+    for (const id of ids) {
+      const assessment = byId.get(id);
+      if (!assessment) {
+        fail(id, 404, 'Assessment not found');
+        continue;
+      }
+
+      if (action === 'delete') {
+        const error = deleteError(assessment, req.userId);
+        if (error) {
+          fail(id, error.status, error.message);
+          continue;
+        }
+        accepted.push(assessment._id);
+        results.push({ id, success: true });
+        continue;
+      }
+
+      if (action === 'tag' || action === 'untag') {
+        if (assessment.isLocked()) {
+          fail(id, 409, assessment.lockMessage());
+          continue;
+        }
+        if (action === 'tag' && new Set([...assessment.tags, ...tags]).size > Assessment.MAX_TAGS) {
+          fail(id, 400, `An assessment can have at most ${Assessment.MAX_TAGS} tags`);
+          continue;
+        }
+        accepted.push(assessment._id);
+        results.push({ id, success: true });
+        continue;
+      }
+
+      const error = applyStatusChange(assessment, status, { userId: req.userId, isAdmin, closedReviewIds });
+      if (error) {
+        fail(id, error.status, error.message);
+        continue;
+      }
+      try {
+        await assessment.save();
+        results.push({ id, success: true });
+        if (status === 'finalized') {
+          notifyAssessmentFinalized(assessment, req.userId);
+        }
+      } catch (saveError) {
+        if (saveError.name !== 'ValidationError') throw saveError;
+        fail(id, 400, Object.values(saveError.errors).map(e => e.message).join('; '));
+      }
+    }
+
+    if (accepted.length > 0 && action === 'delete') {
+      await moveToTrash(accepted, req.userId);
+    } else if (accepted.length > 0) {
+      await Assessment.updateMany(
+        { _id: { $in: accepted } },
+        action === 'tag' ? { $addToSet: { tags: { $each: tags } } } : { $pull: { tags: { $in: tags } } },
+        { timestamps: false }
+      );
+    }
+
+    const outcomes = { delete: 'moved to trash', status: 'updated', tag: 'tagged', untag: 'untagged' };
+    const succeeded = results.filter(result => result.success).length;
+    res.json({
+      message: `${succeeded} of ${ids.length} assessment(s) ${outcomes[action]}`,
+      succeeded,
+      failed: ids.length - succeeded,
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk assessment error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ message: 'Failed to process assessments' });
   }
 }
 
 module.exports = {
   getAssessments,
   getAssessment,
+  getSelfAssessment,
   createAssessment,
   updateAssessment,
   deleteAssessment,
+  changeStatus,
   importFromCSV,
-  exportToCSV
+  exportToCSV,
+  importFromXLSX,
+  exportToXLSX,
+  bulkAssessments
 };
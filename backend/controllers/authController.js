@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const { generateToken } = require('../config/jwt');
+const { isMailEnabled } = require('../config/mail');
 
 /**
  * Register a new user
@@ -125,7 +126,8 @@ async function getCurrentUser(req, res) {
         lastName: req.user.lastName,
         role: req.user.role,
         createdAt: req.user.createdAt,
-        lastLogin: req.user.lastLogin
+        lastLogin: req.user.lastLogin,
+        notifications: req.user.notifications
       }
     });
   } catch (error) {
@@ -150,6 +152,49 @@ async function getAuthConfig(req, res) {
   }
 }
 
+/**
+ * Get the logged-in user's e-mail notification settings
+ * GET /api/auth/notifications
+ */
+async function getNotifications(req, res) {
+  try {
+    res.json({
+      notifications: req.user.notifications,
+      mailEnabled: isMailEnabled()
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Failed to get notification settings' });
+  }
+}
+
+/**
+ * Turn the logged-in user's e-mail notifications on or off
+ * PUT /api/auth/notifications
+ * Events left out of the body keep their setting
+ */
+async function updateNotifications(req, res) {
+  try {
+    const user = req.user;
+    User.NOTIFICATION_EVENTS.forEach(event => {
+      if (req.body[event] !== undefined) {
+        user.notifications[event] = req.body[event];
+      }
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Notification settings saved',
+      notifications: user.notifications,
+      mailEnabled: isMailEnabled()
+    });
+  } catch (error) {
+    console.error('Update notifications error:', error);
+    res.status(500).json({ message: 'Failed to save notification settings' });
+  }
+}
+
 /**
  * Logout user (client-side token removal)
  * POST /api/auth/logout
@@ -165,5 +210,7 @@ module.exports = {
   login,
   getCurrentUser,
   getAuthConfig,
+  getNotifications,
+  updateNotifications,
   logout
 };
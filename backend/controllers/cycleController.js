@@ -0,0 +1,404 @@
+const Cycle = require('../models/Cycle');
+const Assessment = require('../models/Assessment');
+const Employee = require('../models/Employee');
+const User = require('../models/User');
+
+// Assessment progress, least to most advanced
+const PROGRESS = ['draft', 'submitted', 'finalized'];
+
+/**
+ * Resolve assessor emails to users
+ * @param {string[]} emails
+ * @returns {Promise<Object>} - { assessorIds: [ObjectId], unknown: [email] }
+ */
+async function resolveAssessors(emails) {
+  const users = await User.find({ email: { $in: emails } }).select('email');
+  const byEmail = new Map(users.map(user => [user.email, user._id]));
+
+  return {
+    assessorIds: emails.filter(email => byEmail.has(email)).map(email => byEmail.get(email)),
+    unknown: emails.filter(email => !byEmail.has(email))
+  };
+}
+
+/**
+ * Check that all employees exist
+ * @param {string[]} employeeIds
+ * @returns {Promise<boolean>}
+ */
+async function employeesExist(employeeIds) {
+  const count = await Employee.countDocuments({ _id: { $in: employeeIds } });
+  return count === new Set(employeeIds).size;
+}
+
+/**
+ * Find a cycle the logged-in user organizes or assesses in
+ * @param {Object} req - Express request
+ * @returns {Promise<Cycle|null>}
+ */
+async function findParticipatingCycle(req) {
+  const cycle = await Cycle.findById(req.params.id);
+  return cycle && cycle.isParticipant(req.userId) ? cycle : null;
+}
+
+/**
+ * Send a Mongoose validation error, if that's what this is
+ * @returns {boolean} - true if a response was sent
+ */
+function sendValidationError(error, res) {
+  if (error.name !== 'ValidationError') return false;
+  res.status(400).json({
+    message: 'Validation error',
+    errors: Object.values(error.errors).map(e => e.message)
+  });
+  return true;
+}
+
+/**
+ * Work out how far each employee of a cycle is: the most advanced status of
+ * their assessments in the cycle, or missing without one
+ * Counts are per employee, not per (employee, assessor) pair: a cycle does
+ * not assign employees to assessors, so one finalized assessment from any
+ * assessor completes the employee. Responses say so with countedPer.
+ * Scores are not included, so assessors can see the whole cycle
+ * @param {Cycle} cycle
+ * @returns {Promise<Object>} - { countedPer: 'employee', counts: { employees, assessed, missing, draft, submitted, finalized },
+ *   overdue, employees: [{ employeeId, state, assessments: [{ _id, status, assessorId }] }] }
+ */
+async function completionFor(cycle) {
+  const assessments = await Assessment.find({ cycleId: cycle._id })
+    .select('employeeId userId status')
+    .lean();
+
+  const byEmployee = new Map();
+  assessments.forEach(assessment => {
+    const key = String(assessment.employeeId);
+    byEmployee.set(key, [...(byEmployee.get(key) || []), assessment]);
+  });
+
+  const employees = cycle.employeeIds.map(employeeId => {
+    const own = byEmployee.get(employeeId.toString()) || [];
+    const state = own.length === 0
+      ? 'missing'
+      : own.map(assessment => assessment.status || 'draft')
+        .reduce((best, status) => (PROGRESS.indexOf(status) > PROGRESS.indexOf(best) ? status : best));
+    return {
+      employeeId,
+      state,
+      assessments: own.map(assessment => ({
+        _id: assessment._id,
+        status: assessment.status || 'draft',
+        assessorId: assessment.userId
+      }))
+    };
+  });
+
+  const count = state => employees.filter(employee => employee.state === state).length;
+  const counts = {
+    employees: employees.length,
+    assessed: employees.length - count('missing'),
+    missing: count('missing'),
+    draft: count('draft'),
+    submitted: count('submitted'),
+    finalized: count('finalized')
+  };
+
+  return {
+    countedPer: 'employee',
+    counts,
+    // Past the due date with employees not yet finalized
+    overdue: cycle.isOpen() && cycle.dueDate < new Date() && counts.finalized < counts.employees,
+    employees
+  };
+}
+
+/**
+ * Get cycles the logged-in user organizes or assesses in, latest due first,
+ * with their completion counts
+ * GET /api/cycles
+ * Query params: status (open|closed)
+ */
+async function getCycles(req, res) {
+  try {
+    const filter = {
+      $or: [{ createdBy: req.userId }, { assessorIds: req.userId }]
+    };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const cycles = await Cycle.find(filter)
+      .sort({ dueDate: -1, createdAt: -1 })
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({
+      cycles: await Promise.all(cycles.map(async cycle => {
+        const { countedPer, counts, overdue } = await completionFor(cycle);
+        return { ...cycle.toObject(), countedPer, counts, overdue };
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get cycles error:', error);
+    res.status(500).json({ message: 'Failed to retrieve cycles' });
+  }
+}
+
+/**
+ * Get a cycle with its completion dashboard
+ * GET /api/cycles/:id
+ */
+async function getCycle(req, res) {
+  try {
+    const cycle = await findParticipatingCycle(req);
+
+    if (!cycle) {
+      return res.status(404).json({ message: 'Review cycle not found' });
+    }
+
+    const completion = await completionFor(cycle);
+    const isOrganizer = cycle.createdBy.toString() === req.userId.toString();
+
+    await cycle.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'employeeIds', select: 'name department jobTitle' },
+      { path: 'assessorIds', select: 'firstName lastName email' }
+    ]);
+
+    const { employeeIds, assessorIds, ...rest } = cycle.toObject();
+    const employeeById = new Map(employeeIds.filter(Boolean).map(employee => [employee._id.toString(), employee]));
+
+    res.json({
+      ...rest,
+      assessors: assessorIds,
+      completion: {
+        countedPer: completion.countedPer,
+        counts: completion.counts,
+        overdue: completion.overdue,
+        employees: completion.employees.map(({ employeeId, ...progress }) => ({
+          employee: employeeById.get(employeeId.toString()) || { _id: employeeId, name: 'Unknown employee' },
+          ...progress
+        }))
+      },
+      isOrganizer
+    });
+
+  } catch (error) {
+    console.error('Get cycle error:', error);
+    res.status(500).json({ message: 'Failed to retrieve cycle' });
+  }
+}
+
+/**
+ * Create a review cycle; the creator organizes it
+ * POST /api/cycles
+ */
+async function createCycle(req, res) {
+  try {
+    const { name, startDate, endDate, dueDate, employeeIds, assessorEmails } = req.body;
+
+    if (!await employeesExist(employeeIds)) {
+      return res.status(400).json({ message: 'Employee not found' });
+    }
+
+    const { assessorIds, unknown } = await resolveAssessors(assessorEmails);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `No user with email: ${unknown.join(', ')}` });
+    }
+
+    const cycle = new Cycle({
+      name,
+      startDate,
+      endDate,
+      dueDate,
+      employeeIds,
+      assessorIds,
+      createdBy: req.userId
+    });
+
+    await cycle.save();
+
+    res.status(201).json({
+      message: 'Review cycle created successfully',
+      cycle
+    });
+
+  } catch (error) {
+    if (sendValidationError(error, res)) return;
+    console.error('Create cycle error:', error);
+    res.status(500).json({ message: 'Failed to create cycle' });
+  }
+}
+
+/**
+ * Update an open cycle (organizer only)
+ * PUT /api/cycles/:id
+ * Employees with assessments in the cycle cannot be removed
+ */
+async function updateCycle(req, res) {
+  try {
+    const cycle = await Cycle.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!cycle) {
+      return res.status(404).json({ message: 'Review cycle not found' });
+    }
+
+    if (!cycle.isOpen()) {
+      return res.status(409).json({ message: 'Closed review cycles cannot be changed' });
+    }
+
+    const { name, startDate, endDate, dueDate, employeeIds, assessorEmails } = req.body;
+
+    if (!await employeesExist(employeeIds)) {
+      return res.status(400).json({ message: 'Employee not found' });
+    }
+
+    const { assessorIds, unknown } = await resolveAssessors(assessorEmails);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `No user with email: ${unknown.join(', ')}` });
+    }
+
+    // Assessments in the trash count, since they can still be restored
+    const assessed = await Assessment.find({ cycleId: cycle._id }).setOptions({ withDeleted: true }).distinct('employeeId');
+    const keptIds = new Set(employeeIds);
+    if (assessed.some(id => !keptIds.has(id.toString()))) {
+      return res.status(409).json({ message: 'Employees with assessments in the cycle cannot be removed' });
+    }
+
+    cycle.name = name;
+    cycle.startDate = startDate;
+    cycle.endDate = endDate;
+    cycle.dueDate = dueDate;
+    cycle.employeeIds = employeeIds;
+    cycle.assessorIds = assessorIds;
+
+    // A new due date gets its own reminder
+    if (cycle.isModified('dueDate')) {
+      cycle.reminderSentAt = undefined;
+    }
+
+    await cycle.save();
+
+    res.json({
+      message: 'Review cycle updated successfully',
+      cycle
+    });
+
+  } catch (error) {
+    if (sendValidationError(error, res)) return;
+    console.error('Update cycle error:', error);
+    res.status(500).json({ message: 'Failed to update cycle' });
+  }
+}
+
+/**
+ * Close a cycle and make its assessments read-only (organizer only)
+ * POST /api/cycles/:id/close
+ */
+async function closeCycle(req, res) {
+  try {
+    const cycle = await Cycle.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!cycle) {
+      return res.status(404).json({ message: 'Review cycle not found' });
+    }
+
+    if (!cycle.isOpen()) {
+      return res.status(409).json({ message: 'Review cycle is already closed' });
+    }
+
+    cycle.status = 'closed';
+    cycle.closedAt = new Date();
+    await cycle.save();
+
+    // Including assessments in the trash, so they are locked if restored
+    await Assessment.updateMany(
+      { cycleId: cycle._id },
+      { cycleClosedAt: cycle.closedAt },
+      { timestamps: false }
+    );
+
+    res.json({
+      message: 'Review cycle closed',
+      cycle
+    });
+
+  } catch (error) {
+    console.error('Close cycle error:', error);
+    res.status(500).json({ message: 'Failed to close cycle' });
+  }
+}
+
+/**
+ * Reopen a closed cycle and unlock its assessments (organizer only)
+ * POST /api/cycles/:id/reopen
+ * Finalized assessments stay finalized
+ */
+async function reopenCycle(req, res) {
+  try {
+    const cycle = await Cycle.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!cycle) {
+      return res.status(404).json({ message: 'Review cycle not found' });
+    }
+
+    if (cycle.isOpen()) {
+      return res.status(409).json({ message: 'Review cycle is already open' });
+    }
+
+    cycle.status = 'open';
+    cycle.closedAt = undefined;
+    await cycle.save();
+
+    await Assessment.updateMany(
+      { cycleId: cycle._id },
+      { $unset: { cycleClosedAt: 1 } },
+      { timestamps: false }
+    );
+
+    res.json({
+      message: 'Review cycle reopened',
+      cycle
+    });
+
+  } catch (error) {
+    console.error('Reopen cycle error:', error);
+    res.status(500).json({ message: 'Failed to reopen cycle' });
+  }
+}
+
+/**
+ * Delete a cycle without assessments (organizer only)
+ * DELETE /api/cycles/:id
+ */
+async function deleteCycle(req, res) {
+  try {
+    const cycle = await Cycle.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!cycle) {
+      return res.status(404).json({ message: 'Review cycle not found' });
+    }
+
+    if (await Assessment.exists({ cycleId: cycle._id }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({ message: 'Review cycle has assessments and cannot be deleted' });
+    }
+
+    await cycle.deleteOne();
+
+    res.json({ message: 'Review cycle deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete cycle error:', error);
+    res.status(500).json({ message: 'Failed to delete cycle' });
+  }
+}
+
+module.exports = {
+  getCycles,
+  getCycle,
+  createCycle,
+  updateCycle,
+  closeCycle,
+  reopenCycle,
+  deleteCycle
+};
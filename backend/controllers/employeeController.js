@@ -0,0 +1,316 @@
+const Employee = require('../models/Employee');
+const Assessment = require('../models/Assessment');
+const Review = require('../models/Review');
+const Goal = require('../models/Goal');
+const Cycle = require('../models/Cycle');
+const Invitation = require('../models/Invitation');
+
+/**
+ * Pick the editable employee fields from a request body
+ * Empty email/manager values clear the field
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function employeeFields(body) {
+  const { name, email, department, jobTitle, managerId, active } = body;
+  return {
+    name,
+    email: email === '' || email === null ? null : email,
+    department,
+    jobTitle,
+    managerId: managerId === '' || managerId === null ? null : managerId,
+    active
+  };
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Send a Mongoose validation or duplicate email error, if that's what this is
+ * @returns {boolean} - true if a response was sent
+ */
+function sendSaveError(error, res) {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(409).json({ message: 'An employee with this email already exists' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get employees, for pickers and management
+ * GET /api/employees
+ * Query params: q (name search), department, active (true|false|all), page, limit
+ */
+async function getEmployees(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.q) {
+      filter.normalizedName = {
+        $regex: escapeRegex(Employee.normalizeName(req.query.q))
+      };
+    }
+
+    if (req.query.department) {
+      filter.department = req.query.department;
+    }
+
+    // Active employees only unless asked otherwise
+    if (req.query.active !== 'all') {
+      filter.active = req.query.active !== 'false';
+    }
+
+    const total = await Employee.countDocuments(filter);
+
+    const employees = await Employee.find(filter)
+      .sort({ normalizedName: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('managerId', 'name')
+      .lean();
+
+    res.json({
+      employees,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get employees error:', error);
+    res.status(500).json({ message: 'Failed to retrieve employees' });
+  }
+}
+
+/**
+ * Get single employee by ID
+ * GET /api/employees/:id
+ */
+async function getEmployee(req, res) {
+  try {
+    const employee = await Employee.findById(req.params.id)
+      .populate('managerId', 'name')
+      .lean();
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    res.json(employee);
+
+  } catch (error) {
+    console.error('Get employee error:', error);
+    res.status(500).json({ message: 'Failed to retrieve employee' });
+  }
+}
+
+/**
+ * Create new employee
+ * POST /api/employees
+ */
+async function createEmployee(req, res) {
+  try {
+    const fields = employeeFields(req.body);
+    Object.keys(fields).forEach(key => {
+      if (fields[key] === undefined || fields[key] === null) delete fields[key];
+    });
+
+    const employee = new Employee({
+      ...fields,
+      createdBy: req.userId
+    });
+
+    await employee.save();
+
+    res.status(201).json({
+      message: 'Employee created successfully',
+      employee
+    });
+
+  } catch (error) {
+    if (sendSaveError(error, res)) return;
+    console.error('Create employee error:', error);
+    res.status(500).json({ message: 'Failed to create employee' });
+  }
+}
+
+/**
+ * Update existing employee
+ * PUT /api/employees/:id
+ * A rename is copied to the employeeName of all their assessments and reviews
+ */
+async function updateEmployee(req, res) {
+  try {
+    const employee = await Employee.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    Object.entries(employeeFields(req.body)).forEach(([key, value]) => {
+      if (value !== undefined) employee[key] = value === null ? undefined : value;
+    });
+
+    const renamed = employee.isModified('name');
+    await employee.save();
+
+    if (renamed) {
+      await Assessment.updateMany(
+        { employeeId: employee._id },
+        { employeeName: employee.name }
+      );
+      await Review.updateMany(
+        { employeeId: employee._id },
+        { employeeName: employee.name }
+      );
+    }
+
+    res.json({
+      message: 'Employee updated successfully',
+      employee
+    });
+
+  } catch (error) {
+    if (sendSaveError(error, res)) return;
+    console.error('Update employee error:', error);
+    res.status(500).json({ message: 'Failed to update employee' });
+  }
+}
+
+/**
+ * Delete employee
+ * DELETE /api/employees/:id
+ * Employees with assessments must be deactivated or merged instead
+ */
+async function deleteEmployee(req, res) {
+  try {
+    const employee = await Employee.findById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    // Assessments in the trash count, since they can still be restored
+    if (await Assessment.exists({ employeeId: employee._id }).setOptions({ withDeleted: true })
+      || await Review.exists({ employeeId: employee._id })) {
+      return res.status(409).json({
+        message: 'Employee has assessments. Deactivate or merge them instead.'
+      });
+    }
+
+    await Employee.updateMany({ managerId: employee._id }, { $unset: { managerId: 1 } });
+    await Goal.deleteMany({ employeeId: employee._id });
+    await employee.deleteOne();
+
+    res.json({ message: 'Employee deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete employee error:', error);
+    res.status(500).json({ message: 'Failed to delete employee' });
+  }
+}
+
+/**
+ * Merge duplicate employees into one
+ * POST /api/employees/:id/merge
+ * Body: { sourceIds[] } - employees folded into :id and then removed
+ */
+async function mergeEmployees(req, res) {
+  try {
+    const target = await Employee.findById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const sourceIds = [...new Set(req.body.sourceIds)]
+      .filter(id => id !== target._id.toString());
+
+    if (sourceIds.length === 0) {
+      return res.status(400).json({ message: 'No employees to merge' });
+    }
+
+    const sources = await Employee.find({ _id: { $in: sourceIds } }).select('_id');
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({ message: 'One or more employees to merge were not found' });
+    }
+
+    const ids = sources.map(source => source._id);
+
+    const result = await Assessment.updateMany(
+      { employeeId: { $in: ids } },
+      { employeeId: target._id, employeeName: target.name }
+    );
+    await Review.updateMany(
+      { employeeId: { $in: ids } },
+      { employeeId: target._id, employeeName: target.name }
+    );
+    await Goal.updateMany(
+      { employeeId: { $in: ids } },
+      { employeeId: target._id }
+    );
+    await Invitation.updateMany(
+      { employeeId: { $in: ids } },
+      { employeeId: target._id }
+    );
+    // Cycles list each employee once: add the target, then drop the merged ones
+    await Cycle.updateMany(
+      { employeeIds: { $in: ids } },
+      { $addToSet: { employeeIds: target._id } }
+    );
+    await Cycle.updateMany(
+      { employeeIds: { $in: ids } },
+      { $pull: { employeeIds: { $in: ids } } }
+    );
+    await Employee.updateMany(
+      { managerId: { $in: ids }, _id: { $ne: target._id } },
+      { managerId: target._id }
+    );
+    if (target.managerId && ids.some(id => id.equals(target.managerId))) {
+      target.managerId = undefined;
+      await target.save();
+    }
+    await Employee.deleteMany({ _id: { $in: ids } });
+
+    res.json({
+      message: `Merged ${ids.length} employee(s) into ${target.name}`,
+      employee: target,
+      assessmentsMoved: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Merge employees error:', error);
+    res.status(500).json({ message: 'Failed to merge employees' });
+  }
+}
+
+module.exports = {
+  getEmployees,
+  getEmployee,
+  createEmployee,
+  updateEmployee,
+  deleteEmployee,
+  mergeEmployees
+};
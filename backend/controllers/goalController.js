@@ -0,0 +1,245 @@
+const Goal = require('../models/Goal');
+const Assessment = require('../models/Assessment');
+const Employee = require('../models/Employee');
+const Template = require('../models/Template');
+
+/**
+ * Check that some template has a metric with this ID
+ * @param {string} metricId
+ * @returns {Promise<boolean>}
+ */
+async function metricExists(metricId) {
+  const defaultTemplate = await Template.getDefault();
+  return defaultTemplate.getMetricIds().includes(metricId)
+    || Boolean(await Template.exists({ 'themes.metrics.id': metricId }));
+}
+
+/**
+ * Send a Mongoose validation error, if that's what this is
+ * @returns {boolean} - true if a response was sent
+ */
+function sendValidationError(error, res) {
+  if (error.name !== 'ValidationError') return false;
+  res.status(400).json({
+    message: 'Validation error',
+    errors: Object.values(error.errors).map(e => e.message)
+  });
+  return true;
+}
+
+/**
+ * Check a goal's employee, metric and source assessment
+ * @param {Object} fields - { employeeId, metricId, assessmentId }
+ * @param {string} userId - Logged-in user
+ * @returns {Promise<Object|null>} - { status, message } if invalid
+ */
+async function checkGoalFields({ employeeId, metricId, assessmentId }, userId) {
+  if (!await Employee.exists({ _id: employeeId })) {
+    return { status: 400, message: 'Employee not found' };
+  }
+  if (metricId && !await metricExists(metricId)) {
+    return { status: 400, message: `Unknown metric: ${metricId}` };
+  }
+  if (assessmentId && !await Assessment.exists({ _id: assessmentId, userId, employeeId })) {
+    return { status: 400, message: 'Assessment not found for this employee' };
+  }
+  return null;
+}
+
+/**
+ * Compare goals on a metric with the user's assessments of the employee:
+ * the source assessment's score is the baseline, and the first assessment
+ * after the goal was set (the source assessment's date, else its creation)
+ * is the result
+ * Self-assessments and assessments in the trash are left out
+ * @param {Goal[]} goals
+ * @param {string} userId - Logged-in user
+ * @returns {Promise<Object[]>} - Goals with since, baseline and result ({ assessmentId, assessmentDate, score, met } or null)
+ */
+async function withResults(goals, userId) {
+  const employeeIds = [...new Set(goals.filter(goal => goal.metricId).map(goal => goal.employeeId.toString()))];
+  const assessments = employeeIds.length === 0 ? [] : await Assessment.find({
+    userId,
+    employeeId: { $in: employeeIds },
+    invitationId: { $exists: false }
+  })
+    .sort({ assessmentDate: 1 })
+    .select('employeeId assessmentDate metrics')
+    .lean();
+
+  const scoreIn = (assessment, metricId) => {
+    const score = assessment.metrics ? assessment.metrics[metricId] : undefined;
+    return typeof score === 'number' ? score : null;
+  };
+
+  return goals.map(goal => {
+    const source = goal.assessmentId
+      ? assessments.find(assessment => assessment._id.equals(goal.assessmentId))
+      : null;
+    const since = source ? source.assessmentDate : goal.createdAt;
+    const result = {
+      ...goal.toObject(),
+      since,
+      baseline: source && goal.metricId ? scoreIn(source, goal.metricId) : null,
+      result: null
+    };
+    if (!goal.metricId) return result;
+
+    const next = assessments.find(assessment =>
+      assessment.employeeId.equals(goal.employeeId)
+      && assessment.assessmentDate > since
+      && scoreIn(assessment, goal.metricId) !== null
+    );
+    if (next) {
+      const score = scoreIn(next, goal.metricId);
+      result.result = {
+        assessmentId: next._id,
+        assessmentDate: next.assessmentDate,
+        score,
+        met: typeof goal.targetScore === 'number' ? score >= goal.targetScore : null
+      };
+    }
+    return result;
+  });
+}
+
+/**
+ * Get the logged-in user's goals, soonest target date first, with the
+ * next assessment's score against the target
+ * GET /api/goals
+ * Query params: employeeId, metricId, status (comma-separated)
+ */
+async function getGoals(req, res) {
+  try {
+    const filter = { createdBy: req.userId };
+    if (req.query.employeeId) {
+      filter.employeeId = req.query.employeeId;
+    }
+    if (req.query.metricId) {
+      filter.metricId = req.query.metricId;
+    }
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(',') };
+    }
+
+    const goals = await Goal.find(filter).sort({ targetDate: 1, createdAt: 1 });
+
+    res.json({ goals: await withResults(goals, req.userId) });
+
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({ message: 'Failed to retrieve goals' });
+  }
+}
+
+/**
+ * Create a goal
+ * POST /api/goals
+ */
+async function createGoal(req, res) {
+  try {
+    const { employeeId, metricId, description, owner, targetDate, targetScore, status, assessmentId } = req.body;
+
+    const invalid = await checkGoalFields({ employeeId, metricId, assessmentId }, req.userId);
+    if (invalid) {
+      return res.status(invalid.status).json({ message: invalid.message });
+    }
+
+    const goal = new Goal({
+      employeeId,
+      metricId: metricId || undefined,
+      description,
+      owner,
+      targetDate,
+      targetScore: targetScore ?? undefined,
+      status,
+      assessmentId: assessmentId || undefined,
+      createdBy: req.userId
+    });
+
+    await goal.save();
+
+    const [created] = await withResults([goal], req.userId);
+    res.status(201).json({
+      message: 'Goal created successfully',
+      goal: created
+    });
+
+  } catch (error) {
+    if (sendValidationError(error, res)) return;
+    console.error('Create goal error:', error);
+    res.status(500).json({ message: 'Failed to create goal' });
+  }
+}
+
+/**
+ * Update a goal
+ * PUT /api/goals/:id
+ */
+async function updateGoal(req, res) {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const { employeeId, metricId, description, owner, targetDate, targetScore, status, assessmentId } = req.body;
+
+    goal.employeeId = employeeId;
+    goal.metricId = metricId || undefined;
+    goal.description = description;
+    goal.owner = owner;
+    goal.targetDate = targetDate;
+    goal.targetScore = targetScore ?? undefined;
+    if (status) goal.status = status;
+    goal.assessmentId = assessmentId || undefined;
+
+    if (goal.isModified('employeeId') || goal.isModified('metricId') || goal.isModified('assessmentId')) {
+      const invalid = await checkGoalFields(goal, req.userId);
+      if (invalid) {
+        return res.status(invalid.status).json({ message: invalid.message });
+      }
+    }
+
+    await goal.save();
+
+    const [updated] = await withResults([goal], req.userId);
+    res.json({
+      message: 'Goal updated successfully',
+      goal: updated
+    });
+
+  } catch (error) {
+    if (sendValidationError(error, res)) return;
+    console.error('Update goal error:', error);
+    res.status(500).json({ message: 'Failed to update goal' });
+  }
+}
+
+/**
+ * Delete a goal
+ * DELETE /api/goals/:id
+ */
+async function deleteGoal(req, res) {
+  try {
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, createdBy: req.userId });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({ message: 'Goal deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({ message: 'Failed to delete goal' });
+  }
+}
+
+module.exports = {
+  getGoals,
+  createGoal,
+  updateGoal,
+  deleteGoal
+};
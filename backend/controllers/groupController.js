@@ -0,0 +1,155 @@
+const Group = require('../models/Group');
+const Assessment = require('../models/Assessment');
+const User = require('../models/User');
+
+/**
+ * Resolve member emails to user IDs
+ * @param {string[]} emails
+ * @returns {Promise<Object>} - { members: [ObjectId], unknown: [email] }
+ */
+async function resolveMembers(emails = []) {
+  const users = await User.find({ email: { $in: emails } }).select('email');
+  const known = new Set(users.map(user => user.email));
+  return {
+    members: users.map(user => user._id),
+    unknown: emails.filter(email => !known.has(email))
+  };
+}
+
+/**
+ * Send a duplicate-name or Mongoose validation error, if that's what this is
+ * @returns {boolean} - true if a response was sent
+ */
+function sendSaveError(error, res) {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(409).json({ message: 'A group with this name already exists' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get all groups, e.g. to pick one to share with
+ * GET /api/groups
+ */
+async function getGroups(req, res) {
+  try {
+    const groups = await Group.find()
+      .sort({ name: 1 })
+      .populate('members', 'firstName lastName email')
+      .lean();
+
+    res.json({ groups });
+
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({ message: 'Failed to retrieve groups' });
+  }
+}
+
+/**
+ * Create new group
+ * POST /api/groups
+ */
+async function createGroup(req, res) {
+  try {
+    const { members, unknown } = await resolveMembers(req.body.memberEmails);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `No user with email: ${unknown.join(', ')}` });
+    }
+
+    const group = await Group.create({
+      name: req.body.name,
+      description: req.body.description,
+      members,
+      createdBy: req.userId
+    });
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+
+  } catch (error) {
+    if (sendSaveError(error, res)) return;
+    console.error('Create group error:', error);
+    res.status(500).json({ message: 'Failed to create group' });
+  }
+}
+
+/**
+ * Update group name, description and members
+ * PUT /api/groups/:id
+ * Members who are removed lose access to assessments shared with the group
+ */
+async function updateGroup(req, res) {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (req.body.memberEmails !== undefined) {
+      const { members, unknown } = await resolveMembers(req.body.memberEmails);
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `No user with email: ${unknown.join(', ')}` });
+      }
+      group.members = members;
+    }
+    group.name = req.body.name;
+    if (req.body.description !== undefined) group.description = req.body.description;
+
+    await group.save();
+
+    res.json({
+      message: 'Group updated successfully',
+      group
+    });
+
+  } catch (error) {
+    if (sendSaveError(error, res)) return;
+    console.error('Update group error:', error);
+    res.status(500).json({ message: 'Failed to update group' });
+  }
+}
+
+/**
+ * Delete group and remove it from every assessment it was shared with
+ * DELETE /api/groups/:id
+ */
+async function deleteGroup(req, res) {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    await Assessment.updateMany(
+      { 'shares.groupId': group._id },
+      { $pull: { shares: { groupId: group._id } } }
+    );
+    await group.deleteOne();
+
+    res.json({ message: 'Group deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({ message: 'Failed to delete group' });
+  }
+}
+
+module.exports = {
+  getGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup
+};
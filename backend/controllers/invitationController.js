@@ -0,0 +1,233 @@
+const Invitation = require('../models/Invitation');
+const Assessment = require('../models/Assessment');
+const Employee = require('../models/Employee');
+const Template = require('../models/Template');
+const User = require('../models/User');
+const { generateInvitationToken } = require('../config/jwt');
+const { sendSelfAssessmentInvitation } = require('../mail/notifications');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+
+/**
+ * Build the self-assessment page URL for an invitation
+ * @param {Invitation} invitation
+ * @returns {string}
+ */
+function invitationUrl(invitation) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8000';
+  return `${frontendUrl}/self-assessment.html?token=${generateInvitationToken(invitation)}`;
+}
+
+/**
+ * Describe an invitation for its assessor
+ * The link is only included while it can still be used
+ * @param {Invitation} invitation
+ * @returns {Object}
+ */
+function describeInvitation(invitation) {
+  const status = invitation.getStatus();
+  return {
+    ...invitation.toObject(),
+    status,
+    url: status === 'pending' ? invitationUrl(invitation) : null
+  };
+}
+
+/**
+ * Get self-assessment invitations issued by the logged-in user
+ * GET /api/invitations
+ * Query params: employeeId
+ */
+async function getInvitations(req, res) {
+  try {
+    const filter = { assessorId: req.userId };
+    if (req.query.employeeId) {
+      filter.employeeId = req.query.employeeId;
+    }
+
+    const invitations = await Invitation.find(filter).sort({ createdAt: -1 });
+
+    res.json({ invitations: invitations.map(describeInvitation) });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Failed to retrieve invitations' });
+  }
+}
+
+/**
+ * Issue a self-assessment invitation link
+ * POST /api/invitations
+ * The link is also e-mailed to employees with an e-mail address
+ */
+async function createInvitation(req, res) {
+  try {
+    const { employeeId, templateId, expiresInDays } = req.body;
+
+    const employee = await Employee.findById(employeeId);
+    if (!employee) {
+      return res.status(400).json({ message: 'Employee not found' });
+    }
+
+    const template = await Template.resolve(templateId);
+    if (!template) {
+      return res.status(400).json({ message: 'Template not found' });
+    }
+
+    const days = expiresInDays || DEFAULT_EXPIRY_DAYS;
+    const invitation = await Invitation.create({
+      employeeId: employee._id,
+      employeeName: employee.name,
+      assessorId: req.userId,
+      templateId: template._id,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    const described = describeInvitation(invitation);
+    const emailed = await sendSelfAssessmentInvitation(invitation, employee, described.url);
+
+    res.status(201).json({
+      message: emailed ? `Invitation sent to ${employee.email}` : 'Invitation created successfully',
+      invitation: described,
+      emailed
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Failed to create invitation' });
+  }
+}
+
+/**
+ * Revoke an unused invitation (assessor only)
+ * DELETE /api/invitations/:id
+ */
+async function revokeInvitation(req, res) {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, assessorId: req.userId });
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.submittedAt) {
+      return res.status(409).json({ message: 'The self-assessment has already been submitted' });
+    }
+
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+
+    res.json({
+      message: 'Invitation revoked',
+      invitation: describeInvitation(invitation)
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Failed to revoke invitation' });
+  }
+}
+
+/**
+ * Get what the employee needs to fill in their self-assessment
+ * GET /api/invitations/token/:token
+ * Public; the invitation is resolved by authenticateInvitation
+ */
+async function getInvitationForm(req, res) {
+  try {
+    const { invitation } = req;
+    const [assessor, template] = await Promise.all([
+      User.findById(invitation.assessorId).select('firstName lastName').lean(),
+      Template.resolve(invitation.templateId)
+    ]);
+
+    if (!template) {
+      return res.status(410).json({ message: 'The assessment template no longer exists' });
+    }
+
+    const { name, ratingScale, themes } = template.toJSON();
+
+    res.json({
+      employeeName: invitation.employeeName,
+      assessorName: assessor ? `${assessor.firstName} ${assessor.lastName}` : '',
+      expiresAt: invitation.expiresAt,
+      template: { name, ratingScale, themes }
+    });
+
+  } catch (error) {
+    console.error('Get invitation form error:', error);
+    res.status(500).json({ message: 'Failed to load self-assessment' });
+  }
+}
+
+/**
+ * Submit a self-assessment via an invitation link
+ * POST /api/invitations/token/:token/submit
+ * Public; stored as a submitted assessment owned by the assessor. Each link
+ * can be used once. No revision is recorded, since the employee has no user
+ * account and the self-assessment cannot be edited afterwards.
+ */
+async function submitSelfAssessment(req, res) {
+  const { invitation } = req;
+  const now = new Date();
+
+  try {
+    // Claim the invitation first so a link cannot be submitted twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, submittedAt: { $exists: false } },
+      { submittedAt: now },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'This self-assessment has already been submitted' });
+    }
+
+    const employee = await Employee.findById(invitation.employeeId);
+
+    const assessment = new Assessment({
+      userId: invitation.assessorId,
+      employeeId: invitation.employeeId,
+      employeeName: employee ? employee.name : invitation.employeeName,
+      assessmentDate: now,
+      templateId: req.template._id, // The invitation's template, resolved by validateSelfAssessment
+      metrics: req.body.metrics,
+      comments: req.body.comments || {},
+      summary: req.body.summary || '',
+      raterRole: 'self',
+      invitationId: invitation._id,
+      status: 'submitted',
+      submittedAt: now
+    });
+
+    try {
+      await assessment.save();
+    } catch (error) {
+      // Release the invitation so the employee can correct and resubmit
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { submittedAt: 1 } });
+      throw error;
+    }
+
+    claimed.assessmentId = assessment._id;
+    await claimed.save();
+
+    res.status(201).json({ message: 'Thank you, your self-assessment has been submitted' });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Submit self-assessment error:', error);
+    res.status(500).json({ message: 'Failed to submit self-assessment' });
+  }
+}
+
+module.exports = {
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  getInvitationForm,
+  submitSelfAssessment
+};
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const Template = require('../models/Template');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { decodeText } = require('../utils/html');
+const { buildAssessmentReport } = require('../reports/assessmentReport');
+const { layoutPolarChart, renderPolarChartSVG, renderPolarChartPNG } = require('../reports/polarChart');
+
+const CHART_SIZE = { min: 100, max: 2000, default: 500 };
+
+/**
+ * Find an assessment the logged-in user may view, with its template
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { assessment, template, groupIds }, or null if not found
+ */
+async function findReportAssessment(req) {
+  const groupIds = await Group.idsFor(req.userId);
+  const assessment = await Assessment.findAccessible(req.params.id, req.userId, groupIds, 'view');
+  if (!assessment) return null;
+
+  const templates = await Template.loadFor([assessment]);
+  return { assessment, template: Template.pick(templates, assessment), groupIds };
+}
+
+/**
+ * PDF report of an assessment
+ * GET /api/assessments/:id/report.pdf
+ * Query params: brand (std or 3t logo)
+ * Owners and users the assessment is shared with
+ */
+async function getAssessmentReport(req, res) {
+  try {
+    const found = await findReportAssessment(req);
+
+    if (!found) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const { assessment, template } = found;
+    const assessor = await User.findById(assessment.userId).select('firstName lastName').lean();
+
+    const doc = buildAssessmentReport(assessment, template, {
+      brand: req.query.brand,
+      assessor
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${assessment.downloadFilename('report.pdf')}"`);
+    doc.pipe(res);
+    doc.end();
+
+  } catch (error) {
+    console.error('Assessment report error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ message: 'Failed to create report' });
+  }
+}
+
+/**
+ * Lay out the chart of an assessment from the chart query params
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { chart, assessment }, or { status, message } if the request can't be served
+ */
+async function buildChart(req) {
+  const size = req.query.size === undefined ? CHART_SIZE.default : Number(req.query.size);
+  if (!Number.isInteger(size) || size < CHART_SIZE.min || size > CHART_SIZE.max) {
+    return { status: 400, message: `size must be a whole number from ${CHART_SIZE.min} to ${CHART_SIZE.max}` };
+  }
+  if (req.query.overlay && !mongoose.isValidObjectId(req.query.overlay)) {
+    return { status: 400, message: 'Invalid overlay assessment ID' };
+  }
+
+  const found = await findReportAssessment(req);
+  if (!found) {
+    return { status: 404, message: 'Assessment not found' };
+  }
+  const { assessment, template, groupIds } = found;
+
+  // The overlay is outlined like the comparison on the assessment page
+  const overlays = [];
+  if (req.query.overlay) {
+    const overlay = await Assessment.findAccessible(req.query.overlay, req.userId, groupIds, 'view');
+    if (!overlay) {
+      return { status: 404, message: 'Overlay assessment not found' };
+    }
+    const month = overlay.assessmentDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    overlays.push({ label: `Assessment of ${month}`, metrics: overlay.metrics });
+  }
+
+  const chart = layoutPolarChart(template, assessment.metrics, {
+    size,
+    title: `${decodeText(assessment.employeeName)} - Results`,
+    showLabels: !['false', '0'].includes(req.query.labels),
+    overlays
+  });
+  return { chart, assessment };
+}
+
+/**
+ * Polar area chart of an assessment as SVG
+ * GET /api/assessments/:id/chart.svg
+ * Query params: size (100-2000 px, default 500), overlay (assessment ID), labels (false to hide)
+ * Owners and users the assessment is shared with
+ */
+async function getChartSVG(req, res) {
+  try {
+    const result = await buildChart(req);
+
+    if (!result.chart) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.setHeader('Content-Disposition', `inline; filename="${result.assessment.downloadFilename('chart.svg')}"`);
+    res.send(renderPolarChartSVG(result.chart));
+
+  } catch (error) {
+    console.error('Chart SVG error:', error);
+    res.status(500).json({ message: 'Failed to render chart' });
+  }
+}
+
+/**
+ * Polar area chart of an assessment as PNG
+ * GET /api/assessments/:id/chart.png
+ * Query params: as for chart.svg
+ * Owners and users the assessment is shared with
+ */
+async function getChartPNG(req, res) {
+  try {
+    const result = await buildChart(req);
+
+    if (!result.chart) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Disposition', `inline; filename="${result.assessment.downloadFilename('chart.png')}"`);
+    res.send(renderPolarChartPNG(result.chart));
+
+  } catch (error) {
+    console.error('Chart PNG error:', error);
+    res.status(500).json({ message: 'Failed to render chart' });
+  }
+}
+
+module.exports = {
+  getAssessmentReport,
+  getChartSVG,
+  getChartPNG
+};
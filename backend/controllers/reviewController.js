@@ -0,0 +1,440 @@
+const Review = require('../models/Review');
+const Assessment = require('../models/Assessment');
+const Employee = require('../models/Employee');
+const Template = require('../models/Template');
+const User = require('../models/User');
+const { notifyAssessmentFinalized } = require('../mail/notifications');
+
+// Submissions count towards the combined result once the rater submits them
+const SUBMITTED = ['submitted', 'finalized'];
+
+/**
+ * Round a score for display
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Summarise a list of scores
+ * @param {number[]} values
+ * @returns {Object|null} - { mean, min, max, spread, count }
+ */
+function summarise(values) {
+  if (values.length === 0) return null;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return {
+    mean: round(values.reduce((a, b) => a + b, 0) / values.length),
+    min: round(min),
+    max: round(max),
+    spread: round(max - min),
+    count: values.length
+  };
+}
+
+/**
+ * Resolve rater emails to users
+ * @param {Object[]} raters - [{ email, role }]
+ * @returns {Promise<Object>} - { raters: [{ userId, role }], unknown: [email] }
+ */
+async function resolveRaters(raters) {
+  const emails = raters.map(rater => rater.email);
+  const users = await User.find({ email: { $in: emails } }).select('email');
+  const byEmail = new Map(users.map(user => [user.email, user._id]));
+
+  return {
+    raters: raters
+      .filter(rater => byEmail.has(rater.email))
+      .map(rater => ({ userId: byEmail.get(rater.email), role: rater.role })),
+    unknown: emails.filter(email => !byEmail.has(email))
+  };
+}
+
+/**
+ * Find a review the logged-in user organizes or rates in
+ * @param {Object} req - Express request
+ * @returns {Promise<Review|null>}
+ */
+async function findParticipatingReview(req) {
+  const review = await Review.findById(req.params.id);
+  return review && review.isParticipant(req.userId) ? review : null;
+}
+
+/**
+ * Send a Mongoose validation error, if that's what this is
+ * @returns {boolean} - true if a response was sent
+ */
+function sendValidationError(error, res) {
+  if (error.name !== 'ValidationError') return false;
+  res.status(400).json({
+    message: 'Validation error',
+    errors: Object.values(error.errors).map(e => e.message)
+  });
+  return true;
+}
+
+/**
+ * Get reviews the logged-in user organizes or rates in
+ * GET /api/reviews
+ * Query params: status (open|closed)
+ */
+async function getReviews(req, res) {
+  try {
+    const filter = {
+      $or: [{ createdBy: req.userId }, { 'raters.userId': req.userId }]
+    };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const reviews = await Review.find(filter)
+      .sort({ periodEnd: -1, createdAt: -1 })
+      .populate('createdBy', 'firstName lastName email')
+      .lean();
+
+    // Submission counts per review
+    const counts = await Assessment.aggregate([
+      { $match: { reviewId: { $in: reviews.map(review => review._id) }, status: { $in: SUBMITTED } } },
+      { $group: { _id: '$reviewId', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      reviews: reviews.map(review => ({
+        ...review,
+        submittedCount: countById.get(review._id.toString()) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ message: 'Failed to retrieve reviews' });
+  }
+}
+
+/**
+ * Get a single review with each rater's submission state
+ * GET /api/reviews/:id
+ * Scores are not included; raters see their own via the assessment API
+ */
+async function getReview(req, res) {
+  try {
+    const review = await findParticipatingReview(req);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const isOrganizer = review.createdBy.toString() === req.userId.toString();
+    const raterIds = review.raters.map(rater => rater.userId.toString());
+
+    await review.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'raters.userId', select: 'firstName lastName email' }
+    ]);
+
+    const submissions = await Assessment.find({ reviewId: review._id })
+      .select('userId status')
+      .lean();
+    const byRater = new Map(submissions.map(s => [s.userId.toString(), s]));
+    const mine = byRater.get(req.userId.toString());
+
+    res.json({
+      ...review.toObject(),
+      raters: review.raters.map((rater, index) => {
+        const submission = byRater.get(raterIds[index]);
+        return {
+          user: rater.userId,
+          role: rater.role,
+          submitted: Boolean(submission && SUBMITTED.includes(submission.status))
+        };
+      }),
+      mySubmission: mine ? { _id: mine._id, status: mine.status } : null,
+      isOrganizer
+    });
+
+  } catch (error) {
+    console.error('Get review error:', error);
+    res.status(500).json({ message: 'Failed to retrieve review' });
+  }
+}
+
+/**
+ * Create new review
+ * POST /api/reviews
+ */
+async function createReview(req, res) {
+  try {
+    const { title, employeeId, templateId, periodStart, periodEnd } = req.body;
+
+    const employee = await Employee.findById(employeeId);
+    if (!employee) {
+      return res.status(400).json({ message: 'Employee not found' });
+    }
+
+    const template = await Template.resolve(templateId);
+    if (!template) {
+      return res.status(400).json({ message: 'Template not found' });
+    }
+
+    const { raters, unknown } = await resolveRaters(req.body.raters);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `No user with email: ${unknown.join(', ')}` });
+    }
+
+    const review = new Review({
+      title,
+      employeeId: employee._id,
+      employeeName: employee.name,
+      templateId: template._id,
+      periodStart,
+      periodEnd,
+      createdBy: req.userId,
+      raters
+    });
+
+    await review.save();
+
+    res.status(201).json({
+      message: 'Review created successfully',
+      review
+    });
+
+  } catch (error) {
+    if (sendValidationError(error, res)) return;
+    console.error('Create review error:', error);
+    res.status(500).json({ message: 'Failed to create review' });
+  }
+}
+
+/**
+ * Update an open review (organizer only)
+ * PUT /api/reviews/:id
+ * The employee and template cannot change once raters have submitted
+ */
+async function updateReview(req, res) {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (!review.isOpen()) {
+      return res.status(409).json({ message: 'Closed reviews cannot be changed' });
+    }
+
+    const { raters, unknown } = await resolveRaters(req.body.raters);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `No user with email: ${unknown.join(', ')}` });
+    }
+
+    const submitters = await Assessment.find({ reviewId: review._id }).distinct('userId');
+    const keptIds = new Set(raters.map(rater => rater.userId.toString()));
+    if (submitters.some(id => !keptIds.has(id.toString()))) {
+      return res.status(409).json({ message: 'Raters who have started a submission cannot be removed' });
+    }
+
+    const employeeChanged = req.body.employeeId !== review.employeeId.toString();
+    const templateChanged = req.body.templateId && req.body.templateId !== review.templateId.toString();
+    if ((employeeChanged || templateChanged) && submitters.length > 0) {
+      return res.status(409).json({ message: 'The employee and template cannot change once raters have started' });
+    }
+
+    if (employeeChanged) {
+      const employee = await Employee.findById(req.body.employeeId);
+      if (!employee) {
+        return res.status(400).json({ message: 'Employee not found' });
+      }
+      review.employeeId = employee._id;
+      review.employeeName = employee.name;
+    }
+
+    if (templateChanged) {
+      const template = await Template.resolve(req.body.templateId);
+      if (!template) {
+        return res.status(400).json({ message: 'Template not found' });
+      }
+      review.templateId = template._id;
+    }
+
+    if (req.body.title !== undefined) review.title = req.body.title;
+    review.periodStart = req.body.periodStart;
+    review.periodEnd = req.body.periodEnd;
+    review.raters = raters;
+
+    await review.save();
+
+    res.json({
+      message: 'Review updated successfully',
+      review
+    });
+
+  } catch (error) {
+    if (sendValidationError(error, res)) return;
+    console.error('Update review error:', error);
+    res.status(500).json({ message: 'Failed to update review' });
+  }
+}
+
+/**
+ * Close a review and lock its submissions (organizer only)
+ * POST /api/reviews/:id/close
+ * Submitted assessments are finalized, with the usual e-mail for each; drafts
+ * are left out of the result and can no longer be changed or submitted
+ * (see Assessment.closedReviewIds)
+ */
+async function closeReview(req, res) {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (!review.isOpen()) {
+      return res.status(409).json({ message: 'Review is already closed' });
+    }
+
+    review.status = 'closed';
+    review.closedAt = new Date();
+    await review.save();
+
+    const submitted = await Assessment.find({ reviewId: review._id, status: 'submitted' });
+    await Assessment.updateMany(
+      { _id: { $in: submitted.map(assessment => assessment._id) }, status: 'submitted' },
+      { status: 'finalized', finalizedAt: review.closedAt, finalizedBy: req.userId }
+    );
+    submitted.forEach(assessment => notifyAssessmentFinalized(assessment, req.userId));
+
+    res.json({
+      message: 'Review closed',
+      review
+    });
+
+  } catch (error) {
+    console.error('Close review error:', error);
+    res.status(500).json({ message: 'Failed to close review' });
+  }
+}
+
+/**
+ * Delete a review nobody has submitted to (organizer only)
+ * DELETE /api/reviews/:id
+ */
+async function deleteReview(req, res) {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, createdBy: req.userId });
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    // Submissions in the trash count, since they can still be restored
+    if (await Assessment.exists({ reviewId: review._id }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({ message: 'Review has submissions and cannot be deleted' });
+    }
+
+    await review.deleteOne();
+
+    res.json({ message: 'Review deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ message: 'Failed to delete review' });
+  }
+}
+
+/**
+ * Get the combined result of a closed review
+ * GET /api/reviews/:id/results
+ * Per metric and theme: mean, min, max and spread across submissions,
+ * plus the mean per rater role. Individual submissions are not exposed.
+ */
+async function getReviewResults(req, res) {
+  try {
+    const review = await findParticipatingReview(req);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.isOpen()) {
+      return res.status(403).json({ message: 'Results are available once the review is closed' });
+    }
+
+    const template = await Template.resolve(review.templateId);
+    const submissions = await Assessment.find({ reviewId: review._id, status: { $in: SUBMITTED } })
+      .select('metrics raterRole')
+      .lean();
+
+    /**
+     * Summarise one score across submissions, overall and per rater role
+     * @param {Function} read - submission => score
+     */
+    const combine = read => {
+      const byRole = {};
+      submissions.forEach(submission => {
+        const role = submission.raterRole || 'other';
+        (byRole[role] = byRole[role] || []).push(read(submission));
+      });
+      Object.keys(byRole).forEach(role => {
+        byRole[role] = summarise(byRole[role]).mean;
+      });
+      return { ...summarise(submissions.map(read)), byRole };
+    };
+
+    const themeAverages = submissions.map(submission => template.calculateThemeAverages(submission.metrics));
+    const indexOf = new Map(submissions.map((submission, index) => [submission, index]));
+
+    res.json({
+      review: {
+        _id: review._id,
+        title: review.title,
+        employeeId: review.employeeId,
+        employeeName: review.employeeName,
+        periodStart: review.periodStart,
+        periodEnd: review.periodEnd,
+        closedAt: review.closedAt
+      },
+      template: {
+        _id: template._id,
+        name: template.name,
+        ratingScale: template.ratingScale
+      },
+      submissionCount: submissions.length,
+      raterCount: review.raters.length,
+      metrics: submissions.length === 0 ? [] : template.getMetrics().map(metric => ({
+        id: metric.id,
+        label: metric.label,
+        theme: metric.theme,
+        color: metric.color,
+        ...combine(submission => Template.readMetric(submission.metrics, metric.id) || 0)
+      })),
+      themes: submissions.length === 0 ? [] : template.themes.map(theme => ({
+        name: theme.name,
+        color: theme.color,
+        ...combine(submission => themeAverages[indexOf.get(submission)][theme.name])
+      })),
+      overall: submissions.length === 0 ? null
+        : combine(submission => template.calculateOverallAverage(submission.metrics))
+    });
+
+  } catch (error) {
+    console.error('Get review results error:', error);
+    res.status(500).json({ message: 'Failed to retrieve review results' });
+  }
+}
+
+module.exports = {
+  getReviews,
+  getReview,
+  createReview,
+  updateReview,
+  closeReview,
+  deleteReview,
+  getReviewResults
+};
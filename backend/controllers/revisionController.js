@@ -0,0 +1,176 @@
+const Assessment = require('../models/Assessment');
+const Revision = require('../models/Revision');
+const Group = require('../models/Group');
+const Employee = require('../models/Employee');
+const Cycle = require('../models/Cycle');
+
+/**
+ * Find an assessment the logged-in user owns or has been granted access to
+ * @param {Object} req - Express request
+ * @param {string} permission - 'view' or 'edit'
+ * @returns {Promise<Assessment|null>}
+ */
+async function findAccessibleAssessment(req, permission) {
+  const groupIds = await Group.idsFor(req.userId);
+  return Assessment.findAccessible(req.params.id, req.userId, groupIds, permission);
+}
+
+/**
+ * List revisions of an assessment, newest first
+ * GET /api/assessments/:id/revisions
+ */
+async function getRevisions(req, res) {
+  try {
+    const assessment = await findAccessibleAssessment(req, 'view');
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const revisions = await Revision.find({ assessmentId: assessment._id })
+      .sort({ number: -1 })
+      .select('-snapshot')
+      .populate('userId', 'firstName lastName email')
+      .lean();
+
+    res.json({
+      currentVersion: assessment.version,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ message: 'Failed to retrieve revisions' });
+  }
+}
+
+/**
+ * Get a single revision including the full snapshot
+ * GET /api/assessments/:id/revisions/:n
+ */
+async function getRevision(req, res) {
+  try {
+    const assessment = await findAccessibleAssessment(req, 'view');
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const revision = await Revision.findOne({
+      assessmentId: assessment._id,
+      number: parseInt(req.params.n)
+    })
+      .populate('userId', 'firstName lastName email')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ message: 'Failed to retrieve revision' });
+  }
+}
+
+/**
+ * Restore an assessment to the state of an earlier revision
+ * Recorded as a new revision, so the restore itself can be undone. A revision
+ * of an employee that no longer exists (merged) keeps the current employee
+ * POST /api/assessments/:id/revisions/:n/restore
+ */
+async function restoreRevision(req, res) {
+  try {
+    const assessment = await findAccessibleAssessment(req, 'edit');
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const number = parseInt(req.params.n);
+    const revision = await Revision.findOne({
+      assessmentId: assessment._id,
+      number
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    if (assessment.isLocked()) {
+      return res.status(409).json({ message: assessment.lockMessage() });
+    }
+
+    if (assessment.isSelfAssessment()) {
+      return res.status(409).json({ message: 'Self-assessments are the employee\'s own ratings and cannot be changed' });
+    }
+
+    if ((await Assessment.closedReviewIds([assessment])).size > 0) {
+      return res.status(409).json({ message: 'Submissions to a closed review cannot be changed' });
+    }
+
+    await Revision.ensureBaseline(assessment);
+    const before = assessment.toSnapshot();
+    const currentEmployeeId = assessment.employeeId;
+
+    assessment.applySnapshot(revision.snapshot);
+    // The revision's employee may have been merged into another since
+    if (assessment.employeeId && !await Employee.exists({ _id: assessment.employeeId })) {
+      assessment.employeeId = currentEmployeeId;
+    }
+    await assessment.syncEmployeeName(); // The employee may have been renamed since
+
+    // Same rules as an update for a different employee
+    const employeeChanged = String(assessment.employeeId || '') !== String(currentEmployeeId || '');
+    if (employeeChanged && assessment.reviewId) {
+      return res.status(400).json({ message: 'The employee of a review submission cannot be changed' });
+    }
+    if (employeeChanged && assessment.cycleId) {
+      const found = await Cycle.findAttachable(assessment.cycleId, req.userId, assessment.employeeId);
+      if (!found.cycle) {
+        return res.status(found.status).json({ message: found.message });
+      }
+    }
+
+    if (Revision.diff(before, assessment.toSnapshot()).length === 0) {
+      return res.json({
+        message: 'Assessment already matches this revision',
+        assessment
+      });
+    }
+
+    assessment.nextVersion();
+    await assessment.save();
+    await Revision.record(assessment, req.userId, {
+      before,
+      action: 'restore',
+      restoredFrom: number
+    });
+
+    res.json({
+      message: `Assessment restored to revision ${number}`,
+      assessment
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ message: Assessment.VERSION_CONFLICT_MESSAGE });
+    }
+    console.error('Restore revision error:', error);
+    res.status(500).json({ message: 'Failed to restore revision' });
+  }
+}
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  restoreRevision
+};
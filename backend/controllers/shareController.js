@@ -0,0 +1,140 @@
+const Assessment = require('../models/Assessment');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { notifyAssessmentShared } = require('../mail/notifications');
+
+/**
+ * Find an assessment owned by the logged-in user with its shares populated
+ * Only the owner manages who an assessment is shared with
+ * @param {Object} req - Express request
+ * @returns {Promise<Assessment|null>}
+ */
+function findOwnAssessment(req) {
+  return Assessment.findOne({ _id: req.params.id, userId: req.userId })
+    .populate('shares.userId', 'firstName lastName email')
+    .populate('shares.groupId', 'name');
+}
+
+/**
+ * List who an assessment is shared with (owner only)
+ * GET /api/assessments/:id/shares
+ */
+async function getShares(req, res) {
+  try {
+    const assessment = await findOwnAssessment(req);
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    res.json({ shares: assessment.shares });
+
+  } catch (error) {
+    console.error('Get shares error:', error);
+    res.status(500).json({ message: 'Failed to retrieve shares' });
+  }
+}
+
+/**
+ * Share an assessment with a user (by email) or a group (owner only)
+ * POST /api/assessments/:id/shares
+ * Sharing again with the same user or group changes the permission
+ * New shares are e-mailed to the user or the group's members
+ */
+async function addShare(req, res) {
+  try {
+    const { email, groupId, permission } = req.body;
+
+    const assessment = await findOwnAssessment(req);
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    let principal;
+    if (email) {
+      const user = await User.findOne({ email }).select('firstName lastName email');
+      if (!user) {
+        return res.status(400).json({ message: `No user with email: ${email}` });
+      }
+      if (user._id.equals(req.userId)) {
+        return res.status(400).json({ message: 'You already own this assessment' });
+      }
+      principal = { userId: user };
+    } else {
+      const group = await Group.findById(groupId).select('name');
+      if (!group) {
+        return res.status(400).json({ message: 'Group not found' });
+      }
+      principal = { groupId: group };
+    }
+
+    // Shares are populated, so compare the referenced documents' IDs
+    const [field, target] = Object.entries(principal)[0];
+    const existing = assessment.shares.find(share => share[field] && share[field]._id.equals(target._id));
+
+    if (existing) {
+      existing.permission = permission;
+    } else {
+      assessment.shares.push({ [field]: target, permission, sharedBy: req.userId });
+    }
+
+    await assessment.save();
+
+    if (!existing) {
+      notifyAssessmentShared(assessment, assessment.shares[assessment.shares.length - 1], req.userId);
+    }
+
+    res.status(existing ? 200 : 201).json({
+      message: `Assessment shared with ${email || target.name}`,
+      shares: assessment.shares
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Add share error:', error);
+    res.status(500).json({ message: 'Failed to share assessment' });
+  }
+}
+
+/**
+ * Stop sharing an assessment with a user or group (owner only)
+ * DELETE /api/assessments/:id/shares/:shareId
+ */
+async function removeShare(req, res) {
+  try {
+    const assessment = await findOwnAssessment(req);
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const share = assessment.shares.id(req.params.shareId);
+    if (!share) {
+      return res.status(404).json({ message: 'Share not found' });
+    }
+
+    share.deleteOne();
+    await assessment.save();
+
+    res.json({
+      message: 'Share removed',
+      shares: assessment.shares
+    });
+
+  } catch (error) {
+    console.error('Remove share error:', error);
+    res.status(500).json({ message: 'Failed to remove share' });
+  }
+}
+
+module.exports = {
+  getShares,
+  addShare,
+  removeShare
+};
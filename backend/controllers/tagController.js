@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+
+/**
+ * List the tags on the logged-in user's assessments with how many use each,
+ * in alphabetical order
+ * GET /api/assessments/tags
+ */
+async function getTags(req, res) {
+  try {
+    const tags = await Assessment.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.userId) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      tags: tags
+        .map(tag => ({ name: tag._id, count: tag.count }))
+        .sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }))
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ message: 'Failed to retrieve tags' });
+  }
+}
+
+/**
+ * Rename a tag on all of the logged-in user's assessments, including those in
+ * the trash. Renaming to a tag already in use merges the two.
+ * PUT /api/assessments/tags/:tag
+ * Body: { name }
+ */
+async function renameTag(req, res) {
+  try {
+    const from = req.params.tag;
+    const to = req.body.name;
+    const owned = { userId: req.userId };
+
+    const count = await Assessment.countDocuments({ ...owned, tags: from }).setOptions({ withDeleted: true });
+    if (count === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    if (from === to) {
+      return res.json({ message: 'Tag unchanged', name: to, merged: false, count });
+    }
+
+    const merged = Boolean(await Assessment.exists({ ...owned, tags: to }).setOptions({ withDeleted: true }));
+
+    // Add the new tag before removing the old one, so an interrupted rename loses nothing
+    await Assessment.updateMany({ ...owned, tags: from }, { $addToSet: { tags: to } }, { timestamps: false });
+    await Assessment.updateMany({ ...owned, tags: from }, { $pull: { tags: from } }, { timestamps: false });
+
+    res.json({
+      message: merged ? `Merged "${from}" into "${to}"` : `Renamed "${from}" to "${to}"`,
+      name: to,
+      merged,
+      count
+    });
+
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({ message: 'Failed to rename tag' });
+  }
+}
+
+module.exports = {
+  getTags,
+  renameTag
+};
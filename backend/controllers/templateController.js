@@ -0,0 +1,213 @@
+const Template = require('../models/Template');
+const Assessment = require('../models/Assessment');
+const Review = require('../models/Review');
+const Invitation = require('../models/Invitation');
+
+/**
+ * Pick the editable template fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function templateFields(body) {
+  const { name, description, ratingScale, themes } = body;
+  return { name, description, ratingScale, themes };
+}
+
+/**
+ * Get all templates
+ * GET /api/templates
+ */
+async function getTemplates(req, res) {
+  try {
+    // Make sure the default template exists before listing
+    await Template.getDefault();
+
+    const templates = await Template.find()
+      .sort({ isDefault: -1, name: 1 })
+      .lean();
+
+    res.json({ templates });
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ message: 'Failed to retrieve templates' });
+  }
+}
+
+/**
+ * Get the default template
+ * GET /api/templates/default
+ */
+async function getDefaultTemplate(req, res) {
+  try {
+    const template = await Template.getDefault();
+    res.json(template);
+
+  } catch (error) {
+    console.error('Get default template error:', error);
+    res.status(500).json({ message: 'Failed to retrieve default template' });
+  }
+}
+
+/**
+ * Get single template by ID
+ * GET /api/templates/:id
+ */
+async function getTemplate(req, res) {
+  try {
+    const template = await Template.resolve(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json(template);
+
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({ message: 'Failed to retrieve template' });
+  }
+}
+
+/**
+ * Create new template
+ * POST /api/templates
+ */
+async function createTemplate(req, res) {
+  try {
+    const template = new Template({
+      ...templateFields(req.body),
+      createdBy: req.userId
+    });
+
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A template with this name already exists' });
+    }
+    console.error('Create template error:', error);
+    res.status(500).json({ message: 'Failed to create template' });
+  }
+}
+
+/**
+ * Update existing template
+ * PUT /api/templates/:id
+ * Metric IDs cannot change and the rating scale cannot narrow once assessments
+ * use the template (for the default template, also those without a templateId);
+ * changed themes recalculate the averages stored on its assessments
+ */
+async function updateTemplate(req, res) {
+  try {
+    const template = await Template.resolve(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const previousIds = template.getMetricIds().slice().sort().join(',');
+    const previousScale = { min: template.ratingScale.min, max: template.ratingScale.max };
+    const fields = templateFields(req.body);
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) template[key] = value;
+    });
+
+    const metricsChanged = template.getMetricIds().slice().sort().join(',') !== previousIds;
+    // Stored ratings could fall outside a narrower scale
+    const scaleNarrowed = template.ratingScale.min > previousScale.min || template.ratingScale.max < previousScale.max;
+
+    if ((metricsChanged || scaleNarrowed)
+      && await Assessment.exists(Assessment.templateFilter(template)).setOptions({ withDeleted: true })) {
+      return res.status(409).json({
+        message: metricsChanged
+          ? 'Metric IDs cannot be changed on a template that is in use. Create a new template instead.'
+          : 'The rating scale of a template that is in use can only be widened. Create a new template instead.'
+      });
+    }
+
+    await template.save();
+
+    // Theme names and groupings feed the stored averages
+    if (fields.themes !== undefined) {
+      await Assessment.refreshAverages(template);
+    }
+
+    res.json({
+      message: 'Template updated successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A template with this name already exists' });
+    }
+    console.error('Update template error:', error);
+    res.status(500).json({ message: 'Failed to update template' });
+  }
+}
+
+/**
+ * Delete template
+ * DELETE /api/templates/:id
+ * The default template and templates in use (by assessments, reviews or
+ * invitations) cannot be deleted
+ */
+async function deleteTemplate(req, res) {
+  try {
+    const template = await Template.resolve(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (template.isDefault) {
+      return res.status(409).json({ message: 'The default template cannot be deleted' });
+    }
+
+    // Assessments in the trash count, since they can still be restored
+    if (await Assessment.exists({ templateId: template._id }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({ message: 'Template is used by existing assessments' });
+    }
+
+    // Reviews and self-assessment links rate against it too, closed or used ones included
+    if (await Review.exists({ templateId: template._id }) || await Invitation.exists({ templateId: template._id })) {
+      return res.status(409).json({ message: 'Template is used by 360-degree reviews or self-assessment invitations' });
+    }
+
+    await template.deleteOne();
+
+    res.json({ message: 'Template deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ message: 'Failed to delete template' });
+  }
+}
+
+module.exports = {
+  getTemplates,
+  getDefaultTemplate,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
@@ -0,0 +1,100 @@
+const Assessment = require('../models/Assessment');
+const { RETENTION_DAYS, purgeDate } = require('../jobs/purgeTrash');
+
+/**
+ * Find an assessment in the logged-in user's trash
+ * @param {Object} req - Express request
+ * @returns {Promise<Assessment|null>}
+ */
+function findTrashed(req) {
+  return Assessment.findOne({ _id: req.params.id, userId: req.userId, deletedAt: { $ne: null } });
+}
+
+/**
+ * List the logged-in user's deleted assessments, most recently deleted first
+ * GET /api/assessments/trash
+ * Query params: page, limit
+ */
+async function getTrash(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { userId: req.userId, deletedAt: { $ne: null } };
+
+    const total = await Assessment.countDocuments(filter);
+    const assessments = await Assessment.find(filter)
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    res.json({
+      assessments: assessments.map(assessment => ({ ...assessment, purgeAt: purgeDate(assessment.deletedAt) })),
+      retentionDays: RETENTION_DAYS,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Failed to retrieve trash' });
+  }
+}
+
+/**
+ * Restore a deleted assessment from the trash
+ * POST /api/assessments/:id/restore
+ */
+async function restoreAssessment(req, res) {
+  try {
+    const assessment = await findTrashed(req);
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found in trash' });
+    }
+
+    await Assessment.updateOne(
+      { _id: assessment._id },
+      { $unset: { deletedAt: 1, deletedBy: 1 } },
+      { timestamps: false }
+    );
+
+    res.json({ message: 'Assessment restored successfully' });
+
+  } catch (error) {
+    console.error('Restore assessment error:', error);
+    res.status(500).json({ message: 'Failed to restore assessment' });
+  }
+}
+
+/**
+ * Permanently delete an assessment in the trash, with its revisions
+ * DELETE /api/assessments/:id/permanent
+ */
+async function deletePermanently(req, res) {
+  try {
+    const assessment = await findTrashed(req);
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found in trash' });
+    }
+
+    await Assessment.purge({ _id: assessment._id });
+
+    res.json({ message: 'Assessment permanently deleted' });
+
+  } catch (error) {
+    console.error('Delete permanently error:', error);
+    res.status(500).json({ message: 'Failed to delete assessment' });
+  }
+}
+
+module.exports = {
+  getTrash,
+  restoreAssessment,
+  deletePermanently
+};
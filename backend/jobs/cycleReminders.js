@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Cycle = require('../models/Cycle');
+const { isMailEnabled } = require('../config/mail');
+const { notifyCycleDueSoon } = require('../mail/notifications');
+
+/**
+ * Due date reminders of review cycles
+ * CYCLE_REMINDER_DAYS (default 3) before an open cycle is due, its assessors
+ * are e-mailed how many employees are not finalized yet. Each due date is
+ * reminded of once; a cycle whose reminder could not be sent is tried again
+ * on the next run.
+ */
+
+const REMINDER_DAYS = Number(process.env.CYCLE_REMINDER_DAYS) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Remind the assessors of open cycles due within REMINDER_DAYS
+ * Nothing is marked as reminded while mail is not configured
+ * @returns {Promise<number>} - Number of e-mails sent
+ */
+async function sendCycleReminders() {
+  if (!isMailEnabled()) return 0;
+
+  const now = Date.now();
+  const cycles = await Cycle.find({
+    status: 'open',
+    reminderSentAt: null,
+    // Due dates are days; one due today is still ahead
+    dueDate: { $gt: new Date(now - DAY_MS), $lte: new Date(now + REMINDER_DAYS * DAY_MS) }
+  });
+
+  let sent = 0;
+  for (const cycle of cycles) {
+    const cycleSent = await notifyCycleDueSoon(cycle);
+    if (cycleSent === null) continue;
+
+    sent += cycleSent;
+    cycle.reminderSentAt = new Date();
+    await cycle.save();
+  }
+  return sent;
+}
+
+/**
+ * Send reminders once the database is connected, then every hour
+ */
+function scheduleCycleReminders() {
+  const run = async () => {
+    try {
+      const sent = await sendCycleReminders();
+      if (sent > 0) {
+        console.log(`✓ Sent ${sent} review cycle reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Cycle reminder error:', error);
+    }
+  };
+
+  mongoose.connection.once('open', run);
+  // Don't keep the process alive just for the reminders
+  setInterval(run, CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  sendCycleReminders,
+  scheduleCycleReminders
+};
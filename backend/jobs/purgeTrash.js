@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+
+/**
+ * Purge of the assessment trash
+ * Assessments stay in the trash for TRASH_RETENTION_DAYS (default 30) after
+ * they were deleted; the server then removes them with their revisions.
+ */
+
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Date a deleted assessment will be purged
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+function purgeDate(deletedAt) {
+  return new Date(deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Permanently delete assessments whose retention period has passed
+ * @returns {Promise<number>} - Number of assessments purged
+ */
+async function purgeExpiredTrash() {
+  return Assessment.purge({ deletedAt: { $lte: new Date(Date.now() - RETENTION_DAYS * DAY_MS) } });
+}
+
+/**
+ * Purge the trash once the database is connected, then every 6 hours
+ */
+function scheduleTrashPurge() {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`✓ Purged ${purged} assessment(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  mongoose.connection.once('open', run);
+  // Don't keep the process alive just for the purge
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDate,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
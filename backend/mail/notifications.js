@@ -0,0 +1,220 @@
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Cycle = require('../models/Cycle');
+const Assessment = require('../models/Assessment');
+const { MAIL_FROM, isMailEnabled, getTransport } = require('../config/mail');
+const { render } = require('./templates');
+
+/**
+ * E-mail notifications
+ * Each notification looks up its recipients, skips users who turned that
+ * e-mail off and sends a templated message. Errors are logged rather than
+ * thrown, so mail never fails the request that caused it; callers that
+ * don't need the result need not wait for it.
+ */
+
+const USER_FIELDS = 'email firstName lastName notifications';
+
+/**
+ * Frontend page URL
+ * @param {string} path - e.g. '/cycles.html?cycleId=...'
+ * @returns {string}
+ */
+function pageUrl(path) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:8000'}${path}`;
+}
+
+/**
+ * Format a date for e-mails, e.g. "Oct 19, 2026"
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Full name of a user
+ * @param {User} user
+ * @returns {string}
+ */
+function fullName(user) {
+  return user ? `${user.firstName} ${user.lastName}` : 'A colleague';
+}
+
+/**
+ * Send a templated e-mail
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name
+ * @param {Object} data - Placeholder values
+ * @returns {Promise<boolean>} - true if the SMTP server accepted the message
+ */
+async function sendMail(to, template, data) {
+  if (!isMailEnabled()) return false;
+
+  try {
+    await getTransport().sendMail({ from: MAIL_FROM, to, ...render(template, data) });
+    return true;
+  } catch (error) {
+    console.error(`Send mail error (${template}):`, error);
+    return false;
+  }
+}
+
+/**
+ * Send an event's e-mail to each user who wants it
+ * The event name is also the template name
+ * @param {User[]} users - Recipients, with USER_FIELDS
+ * @param {string} event - One of User.NOTIFICATION_EVENTS
+ * @param {Object} data - Placeholder values; firstName is added per user
+ * @returns {Promise<number>} - Number of e-mails sent
+ */
+async function notifyUsers(users, event, data) {
+  const sent = await Promise.all(users
+    .filter(user => user.wantsMail(event))
+    .map(user => sendMail(user.email, event, { ...data, firstName: user.firstName })));
+  return sent.filter(Boolean).length;
+}
+
+/**
+ * Users an assessment is shared with, directly or through a group
+ * @param {Object[]} shares - Assessment shares
+ * @returns {Promise<User[]>}
+ */
+async function sharedUsers(shares) {
+  const userIds = shares.filter(share => share.userId).map(share => share.userId._id || share.userId);
+  const groupIds = shares.filter(share => share.groupId).map(share => share.groupId._id || share.groupId);
+  const groups = await Group.find({ _id: { $in: groupIds } }).select('members');
+
+  return User.find({ _id: { $in: [...userIds, ...groups.flatMap(group => group.members)] } }).select(USER_FIELDS);
+}
+
+/**
+ * Tell the users of a new share that an assessment was shared with them
+ * @param {Assessment} assessment
+ * @param {Object} share - The new share
+ * @param {string|ObjectId} sharedById - User who shared it
+ * @returns {Promise<number>} - Number of e-mails sent
+ */
+async function notifyAssessmentShared(assessment, share, sharedById) {
+  if (!isMailEnabled()) return 0;
+
+  try {
+    const [sharedBy, users] = await Promise.all([
+      User.findById(sharedById).select(USER_FIELDS),
+      sharedUsers([share])
+    ]);
+    const recipients = users.filter(user => !user._id.equals(sharedById) && !user._id.equals(assessment.userId));
+
+    return await notifyUsers(recipients, 'assessmentShared', {
+      sharedBy: fullName(sharedBy),
+      employeeName: assessment.employeeName,
+      assessmentDate: formatDate(assessment.assessmentDate),
+      permission: share.permission === 'edit' ? 'view and edit' : 'view',
+      assessmentUrl: pageUrl(`/index-std.html?assessmentId=${assessment._id}&mode=${share.permission === 'edit' ? 'edit' : 'view'}`)
+    });
+  } catch (error) {
+    console.error('Share notification error:', error);
+    return 0;
+  }
+}
+
+/**
+ * Tell the users an assessment is shared with, and the organizer of its
+ * review cycle, that it was finalized
+ * @param {Assessment} assessment
+ * @param {string|ObjectId} finalizedById - User who finalized it
+ * @returns {Promise<number>} - Number of e-mails sent
+ */
+async function notifyAssessmentFinalized(assessment, finalizedById) {
+  if (!isMailEnabled()) return 0;
+
+  try {
+    const cycle = assessment.cycleId ? await Cycle.findById(assessment.cycleId).select('createdBy') : null;
+    const [finalizedBy, users, organizer] = await Promise.all([
+      User.findById(finalizedById).select(USER_FIELDS),
+      sharedUsers(assessment.shares || []),
+      cycle ? User.findById(cycle.createdBy).select(USER_FIELDS) : null
+    ]);
+
+    // Each user once, leaving out whoever finalized it
+    const recipients = new Map([...users, organizer].filter(Boolean).map(user => [user._id.toString(), user]));
+    recipients.delete(finalizedById.toString());
+
+    return await notifyUsers([...recipients.values()], 'assessmentFinalized', {
+      finalizedBy: fullName(finalizedBy),
+      employeeName: assessment.employeeName,
+      assessmentDate: formatDate(assessment.assessmentDate),
+      assessmentUrl: pageUrl(`/index-std.html?assessmentId=${assessment._id}&mode=view`)
+    });
+  } catch (error) {
+    console.error('Finalize notification error:', error);
+    return 0;
+  }
+}
+
+/**
+ * Remind a cycle's assessors that it is due, if any employee is not finalized
+ * @param {Cycle} cycle
+ * @returns {Promise<number|null>} - Number of e-mails sent; 0 if nobody needed
+ *   a reminder, null if one was needed but none could be sent
+ */
+async function notifyCycleDueSoon(cycle) {
+  if (!isMailEnabled()) return null;
+
+  try {
+    const finalized = new Set((await Assessment.find({ cycleId: cycle._id, status: 'finalized' })
+      .distinct('employeeId')).map(id => id.toString()));
+    const outstanding = cycle.employeeIds.filter(id => !finalized.has(id.toString())).length;
+    if (outstanding === 0) return 0;
+
+    const assessors = (await User.find({ _id: { $in: cycle.assessorIds } }).select(USER_FIELDS))
+      .filter(user => user.wantsMail('cycleDueSoon'));
+    if (assessors.length === 0) return 0;
+
+    const sent = await notifyUsers(assessors, 'cycleDueSoon', {
+      cycleName: cycle.name,
+      dueDate: formatDate(cycle.dueDate),
+      outstanding,
+      employees: cycle.employeeIds.length,
+      cycleUrl: pageUrl(`/cycles.html?cycleId=${cycle._id}`)
+    });
+    return sent > 0 ? sent : null;
+  } catch (error) {
+    console.error('Cycle reminder error:', error);
+    return null;
+  }
+}
+
+/**
+ * E-mail a self-assessment invitation link to the employee
+ * Employees have no account, so there is no preference to check
+ * @param {Invitation} invitation
+ * @param {Employee} employee - Needs an e-mail address
+ * @param {string} url - Invitation link
+ * @returns {Promise<boolean>} - true if the SMTP server accepted the message
+ */
+async function sendSelfAssessmentInvitation(invitation, employee, url) {
+  if (!isMailEnabled() || !employee.email) return false;
+
+  try {
+    const assessor = await User.findById(invitation.assessorId).select(USER_FIELDS);
+    return await sendMail(employee.email, 'selfAssessmentInvitation', {
+      employeeName: employee.name,
+      assessorName: fullName(assessor),
+      invitationUrl: url,
+      expiresAt: formatDate(invitation.expiresAt)
+    });
+  } catch (error) {
+    console.error('Invitation mail error:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  sendMail,
+  notifyAssessmentShared,
+  notifyAssessmentFinalized,
+  notifyCycleDueSoon,
+  sendSelfAssessmentInvitation
+};
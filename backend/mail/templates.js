@@ -0,0 +1,95 @@
+const { decodeText, escapeText } = require('../utils/html');
+
+/**
+ * E-mail templates
+ * Placeholders such as {{employeeName}} are filled from the data passed to
+ * render(). Values may be stored text (escaped by the validation middleware):
+ * they are decoded for the plain-text part and escaped for the HTML part.
+ * Placeholders ending in "Url" become links in the HTML part.
+ */
+const TEMPLATES = {
+  assessmentShared: {
+    subject: '{{sharedBy}} shared an assessment of {{employeeName}} with you',
+    text: [
+      'Hello {{firstName}},',
+      '{{sharedBy}} shared the assessment of {{employeeName}} from {{assessmentDate}} with you. You can {{permission}} it.',
+      'Open the assessment: {{assessmentUrl}}'
+    ]
+  },
+  selfAssessmentInvitation: {
+    subject: '{{assessorName}} invites you to rate yourself',
+    text: [
+      'Hello {{employeeName}},',
+      '{{assessorName}} invites you to a self-assessment. Rate yourself on the same metrics your assessor uses; no account is needed.',
+      'Start your self-assessment: {{invitationUrl}}',
+      'The link can be used once and is valid until {{expiresAt}}.'
+    ],
+    footer: 'You receive this e-mail because {{assessorName}} sent you a self-assessment invitation.'
+  },
+  cycleDueSoon: {
+    subject: 'Review cycle "{{cycleName}}" is due on {{dueDate}}',
+    text: [
+      'Hello {{firstName}},',
+      'The review cycle "{{cycleName}}" is due on {{dueDate}}. {{outstanding}} of {{employees}} employee(s) are not finalized yet.',
+      'Open the cycle: {{cycleUrl}}'
+    ]
+  },
+  assessmentFinalized: {
+    subject: 'Assessment of {{employeeName}} finalized',
+    text: [
+      'Hello {{firstName}},',
+      '{{finalizedBy}} finalized the assessment of {{employeeName}} from {{assessmentDate}}. Its ratings can no longer be changed.',
+      'Open the assessment: {{assessmentUrl}}'
+    ]
+  }
+};
+
+// Footer of templates without their own
+const FOOTER = 'You receive this e-mail because of your notification settings in the Performance Assessment application.';
+
+/**
+ * Fill the placeholders of a line
+ * @param {string} line
+ * @param {Object} data - Placeholder values
+ * @param {Function} format - (key, value) => replacement text
+ * @returns {string}
+ */
+function fill(line, data, format) {
+  return line.replace(/\{\{(\w+)\}\}/g, (match, key) => format(key, data[key] === undefined ? '' : String(data[key])));
+}
+
+/**
+ * Render a template as subject, plain text and HTML
+ * @param {string} name - Template name, e.g. 'assessmentShared'
+ * @param {Object} data - Placeholder values
+ * @returns {Object} - { subject, text, html }
+ * @throws {Error} - If the template does not exist
+ */
+function render(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  const plain = (key, value) => decodeText(value);
+  const html = (key, value) => {
+    if (!key.endsWith('Url')) return escapeText(value);
+    const url = value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    return `<a href="${url}">${url}</a>`;
+  };
+
+  const footer = template.footer || FOOTER;
+  return {
+    subject: fill(template.subject, data, plain),
+    text: [...template.text, '--', footer].map(line => fill(line, data, plain)).join('\n\n'),
+    html: [
+      ...template.text.map(line => `<p>${fill(line, data, html)}</p>`),
+      `<p style="color:#888;font-size:12px">${fill(footer, data, html)}</p>`
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  render
+};
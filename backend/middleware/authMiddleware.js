@@ -1,5 +1,6 @@
-const { verifyToken } = require('../config/jwt');
+const { verifyToken, verifyInvitationToken } = require('../config/jwt');
 const User = require('../models/User');
+const Invitation = require('../models/Invitation');
 
 /**
  * Middleware to authenticate JWT token
@@ -42,6 +43,41 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Middleware to authenticate a self-assessment invitation link
+ * Reads the token from req.params.token and adds req.invitation if the
+ * invitation is still pending (not submitted, revoked or expired)
+ */
+async function authenticateInvitation(req, res, next) {
+  try {
+    const payload = verifyInvitationToken(req.params.token);
+    const invitation = await Invitation.findById(payload.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const status = invitation.getStatus();
+    if (status === 'submitted') {
+      return res.status(409).json({ message: 'This self-assessment has already been submitted' });
+    }
+    if (status !== 'pending') {
+      return res.status(410).json({ message: `This invitation has ${status === 'revoked' ? 'been revoked' : 'expired'}` });
+    }
+
+    req.invitation = invitation;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(410).json({ message: 'This invitation has expired' });
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(403).json({ message: 'Invalid invitation link' });
+    }
+    return res.status(500).json({ message: 'Authentication error' });
+  }
+}
+
 /**
  * Middleware to check if user has required role
  * @param {string[]} roles - Array of allowed roles
@@ -59,5 +95,6 @@ function requireRole(...roles) {
 
 module.exports = {
   authenticateToken,
+  authenticateInvitation,
   requireRole
 };
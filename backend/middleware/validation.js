@@ -1,4 +1,9 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const Assessment = require('../models/Assessment');
+const Template = require('../models/Template');
+const Review = require('../models/Review');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
 
 /**
  * Middleware to handle validation errors
@@ -17,6 +22,225 @@ function handleValidationErrors(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to validate assessment metrics against their template
+ * Uses the invitation's template for self-assessments, else body.templateId,
+ * else the stored assessment's template on update, else the default template.
+ * Attaches the resolved template as req.template.
+ */
+async function validateTemplateMetrics(req, res, next) {
+  try {
+    let templateId = req.invitation ? req.invitation.templateId : req.body.templateId;
+
+    if (!templateId && req.params.id) {
+      const existing = await Assessment.findById(req.params.id).select('templateId').lean();
+      templateId = existing && existing.templateId;
+    }
+
+    const template = await Template.resolve(templateId);
+    if (!template) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [{ field: 'templateId', message: 'Template not found' }]
+      });
+    }
+
+    const { min, max } = template.ratingScale;
+    await Promise.all(template.getMetrics().flatMap(metric => [
+      body(`metrics.${metric.id}`)
+        .isInt({ min, max }).withMessage(`${metric.label} must be between ${min} and ${max}`)
+        .toInt()
+        .run(req),
+
+      // Sanitized the same way as employeeName
+      body(`comments.${metric.id}`)
+        .optional()
+        .trim()
+        .isLength({ max: 1000 }).withMessage(`${metric.label} comment must be at most 1000 characters`)
+        .escape()
+        .run(req)
+    ]));
+
+    req.template = template;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Range operators of the average and metric filters, e.g. average[gte]=3
+const RANGE_OPERATORS = ['lt', 'lte', 'gt', 'gte'];
+
+/**
+ * Check a range filter: { lt?, lte?, gt?, gte? } with numeric bounds
+ * @param {*} range
+ * @returns {boolean}
+ */
+function isRange(range) {
+  return Boolean(range) && typeof range === 'object' && !Array.isArray(range)
+    && Object.keys(range).length > 0
+    && Object.entries(range).every(([operator, value]) => RANGE_OPERATORS.includes(operator)
+      && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+}
+
+/**
+ * Check a set of range filters keyed by name, e.g. theme[Stakeholders and Team][lt]=2.5
+ * @param {*} ranges
+ * @returns {boolean}
+ */
+function isRangeMap(ranges) {
+  return Boolean(ranges) && typeof ranges === 'object' && !Array.isArray(ranges)
+    && Object.values(ranges).every(isRange);
+}
+
+/**
+ * Check a tag against the pattern of the Assessment model
+ * @param {*} tag
+ * @returns {boolean}
+ */
+function isTag(tag) {
+  return typeof tag === 'string' && Assessment.TAG_PATTERN.test(tag);
+}
+
+/**
+ * Join a repeated query parameter (?status=draft&status=submitted) into the
+ * comma-separated form the controllers split
+ * @param {*} value
+ * @returns {*}
+ */
+function joinList(value) {
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+/**
+ * Check a comma-separated list of MongoDB IDs
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isIdList(value) {
+  return String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id.trim()));
+}
+
+const TAG_MESSAGE = 'Tags may only contain letters, digits, "-", "_" and "." (at most 40 characters)';
+
+/**
+ * Validation rules for the assessment list and export filters
+ */
+const validateAssessmentQuery = [
+  query('status')
+    .optional({ values: 'falsy' })
+    .customSanitizer(joinList)
+    .custom(value => String(value).split(',').every(status => Assessment.STATUSES.includes(status)))
+    .withMessage(`Status must be one of: ${Assessment.STATUSES.join(', ')}`),
+
+  query(['startDate', 'endDate'])
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Dates must be YYYY-MM-DD'),
+
+  query('employeeId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Employee ID must be a valid ID'),
+
+  query('cycleId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Cycle ID must be a valid ID'),
+
+  query('ids')
+    .optional({ values: 'falsy' })
+    .customSanitizer(joinList)
+    .custom(isIdList).withMessage('IDs must be a comma-separated list of assessment IDs'),
+
+  query('tag')
+    .optional({ values: 'falsy' })
+    .customSanitizer(joinList)
+    .custom(value => String(value).split(',').every(isTag))
+    .withMessage(TAG_MESSAGE),
+
+  query('average')
+    .optional()
+    .custom(isRange).withMessage(`Average filters must be average[op]=number with op one of: ${RANGE_OPERATORS.join(', ')}`),
+
+  query('theme')
+    .optional()
+    .custom(isRangeMap).withMessage(`Theme filters must be theme[name][op]=number with op one of: ${RANGE_OPERATORS.join(', ')}`),
+
+  query('metric')
+    .optional()
+    .custom(isRangeMap).withMessage(`Metric filters must be metric[id][op]=number with op one of: ${RANGE_OPERATORS.join(', ')}`)
+    .bail()
+    .custom(metrics => Object.keys(metrics).every(id => /^[a-zA-Z][a-zA-Z0-9_]*$/.test(id))).withMessage('Invalid metric ID'),
+
+  query('sort')
+    .optional({ values: 'falsy' })
+    .isIn(Assessment.SORT_FIELDS).withMessage(`Sort must be one of: ${Assessment.SORT_FIELDS.join(', ')}`),
+
+  query('order')
+    .optional({ values: 'falsy' })
+    .isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the import form fields (after the file upload parsed them)
+ */
+const validateImport = [
+  body('employeeId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Employee ID must be a valid ID'),
+
+  body('templateId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Template ID must be a valid ID'),
+
+  body('dryRun')
+    .optional()
+    .isIn(['true', 'false']).withMessage('Dry run must be true or false'),
+
+  handleValidationErrors
+];
+
+// Actions of POST /api/assessments/bulk and the most IDs per request
+const BULK_ACTIONS = ['delete', 'status', 'tag', 'untag', 'export'];
+const BULK_MAX_IDS = 500;
+
+/**
+ * Validation rules for bulk assessment actions
+ */
+const validateBulk = [
+  body('action')
+    .isIn(BULK_ACTIONS).withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+
+  body('ids')
+    .isArray({ min: 1, max: BULK_MAX_IDS }).withMessage(`Provide between 1 and ${BULK_MAX_IDS} assessment IDs`),
+
+  body('ids.*')
+    .isMongoId().withMessage('Invalid assessment ID'),
+
+  body('status')
+    .if(body('action').equals('status'))
+    .isIn(Assessment.STATUSES).withMessage(`Status must be one of: ${Assessment.STATUSES.join(', ')}`),
+
+  body('tags')
+    .if(body('action').isIn(['tag', 'untag']))
+    .isArray({ min: 1, max: Assessment.MAX_TAGS }).withMessage(`Provide between 1 and ${Assessment.MAX_TAGS} tags`),
+
+  body('tags.*')
+    .if(body('action').isIn(['tag', 'untag']))
+    .trim()
+    .custom(isTag).withMessage(TAG_MESSAGE),
+
+  body('format')
+    .optional()
+    .isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+
+  body('columns')
+    .optional()
+    .isString().withMessage('Columns must be a comma-separated list'),
+
+  handleValidationErrors
+];
+
 /**
  * Validation rules for user registration
  */
@@ -59,11 +283,29 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for e-mail notification settings
+ */
+const validateNotifications = [
+  ...User.NOTIFICATION_EVENTS.map(event => body(event)
+    .optional()
+    .isBoolean().withMessage(`${event} must be true or false`)
+    .toBoolean()),
+
+  handleValidationErrors
+];
+
 /**
  * Validation rules for assessment creation/update
  */
 const validateAssessment = [
+  body('employeeId')
+    .optional()
+    .isMongoId().withMessage('Employee ID must be a valid ID'),
+
+  // Free-text name is only required when no employee is picked
   body('employeeName')
+    .if(body('employeeId').not().exists())
     .trim()
     .notEmpty().withMessage('Employee name is required')
     .isLength({ min: 1, max: 100 }).withMessage('Employee name must be between 1 and 100 characters')
@@ -73,29 +315,404 @@ const validateAssessment = [
     .optional()
     .isISO8601().withMessage('Assessment date must be a valid date'),
 
-  // Validate all 19 metrics (0-5 range)
-  body('metrics.sharedVision').isInt({ min: 0, max: 5 }).withMessage('Shared Vision must be between 0 and 5'),
-  body('metrics.strategy').isInt({ min: 0, max: 5 }).withMessage('Strategy must be between 0 and 5'),
-  body('metrics.businessAlignment').isInt({ min: 0, max: 5 }).withMessage('Business Alignment must be between 0 and 5'),
-  body('metrics.customerFocus').isInt({ min: 0, max: 5 }).withMessage('Customer Focus must be between 0 and 5'),
+  body('templateId')
+    .optional()
+    .isMongoId().withMessage('Template ID must be a valid ID'),
+
+  body('reviewId')
+    .optional()
+    .isMongoId().withMessage('Review ID must be a valid ID'),
+
+  // null detaches the assessment from its cycle
+  body('cycleId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Cycle ID must be a valid ID'),
+
+  body('metrics')
+    .isObject().withMessage('Metrics are required'),
+
+  body('comments')
+    .optional()
+    .isObject().withMessage('Comments must be an object keyed by metric ID'),
+
+  body('summary')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Summary must be at most 2000 characters')
+    .escape(),
+
+  body('tags')
+    .optional()
+    .isArray({ max: Assessment.MAX_TAGS }).withMessage(`An assessment can have at most ${Assessment.MAX_TAGS} tags`),
+
+  body('tags.*')
+    .trim()
+    .custom(isTag).withMessage(TAG_MESSAGE),
+
+  validateTemplateMetrics,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for renaming or merging a tag
+ */
+const validateTagRename = [
+  param('tag')
+    .custom(isTag).withMessage(TAG_MESSAGE),
+
+  body('name')
+    .trim()
+    .custom(isTag).withMessage(TAG_MESSAGE),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for assessment status changes
+ */
+const validateStatusChange = [
+  body('status')
+    .isIn(Assessment.STATUSES).withMessage(`Status must be one of: ${Assessment.STATUSES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for template creation/update
+ */
+const validateTemplate = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Template name is required')
+    .isLength({ max: 100 }).withMessage('Template name must be less than 100 characters')
+    .escape(),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description must be less than 500 characters')
+    .escape(),
+
+  body('ratingScale.min')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Rating scale min must be a non-negative integer')
+    .toInt(),
+
+  body('ratingScale.max')
+    .optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Rating scale max must be between 1 and 10')
+    .toInt(),
+
+  body('themes')
+    .isArray({ min: 1 }).withMessage('At least one theme is required'),
+
+  body('themes.*.name')
+    .trim()
+    .notEmpty().withMessage('Theme name is required')
+    .escape(),
+
+  body('themes.*.color')
+    .matches(/^rgba\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*%a\s*\)$/)
+    .withMessage('Theme color must look like "rgba(r, g, b, %a)"'),
+
+  body('themes.*.metrics')
+    .isArray({ min: 1 }).withMessage('Each theme needs at least one metric'),
+
+  body('themes.*.metrics.*.id')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]*$/).withMessage('Metric ID must start with a letter and contain only letters, digits and underscores'),
+
+  body('themes.*.metrics.*.label')
+    .trim()
+    .notEmpty().withMessage('Metric label is required')
+    .escape(),
+
+  body('themes.*.metrics.*.description')
+    .optional()
+    .trim()
+    .escape(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for employees
+ */
+const validateEmployee = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Employee name is required')
+    .isLength({ max: 100 }).withMessage('Employee name must be less than 100 characters')
+    .escape(),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Department must be less than 100 characters')
+    .escape(),
+
+  body('jobTitle')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Job title must be less than 100 characters')
+    .escape(),
+
+  body('managerId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Manager ID must be a valid ID'),
+
+  body('active')
+    .optional()
+    .isBoolean().withMessage('Active must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for merging employees
+ */
+const validateEmployeeMerge = [
+  param('id')
+    .isMongoId().withMessage('Invalid employee ID'),
+
+  body('sourceIds')
+    .isArray({ min: 1 }).withMessage('Provide the IDs of the employees to merge'),
+
+  body('sourceIds.*')
+    .isMongoId().withMessage('Invalid employee ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for 360-degree reviews
+ */
+const validateReview = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Title must be less than 100 characters')
+    .escape(),
+
+  body('employeeId')
+    .isMongoId().withMessage('Employee is required'),
+
+  body('templateId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Template ID must be a valid ID'),
+
+  body('periodStart')
+    .isISO8601().withMessage('Period start must be a valid date'),
+
+  body('periodEnd')
+    .isISO8601().withMessage('Period end must be a valid date'),
+
+  body('raters')
+    .isArray({ min: 1 }).withMessage('At least one rater is required'),
+
+  body('raters.*.email')
+    .trim()
+    .isEmail().withMessage('Rater email must be valid')
+    .normalizeEmail(),
+
+  body('raters.*.role')
+    .isIn(Review.RATER_ROLES).withMessage(`Rater role must be one of: ${Review.RATER_ROLES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for review cycles
+ */
+const validateCycle = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Cycle name is required')
+    .isLength({ max: 100 }).withMessage('Cycle name must be less than 100 characters')
+    .escape(),
+
+  body('startDate')
+    .isISO8601().withMessage('Start date must be a valid date'),
+
+  body('endDate')
+    .isISO8601().withMessage('End date must be a valid date'),
 
-  body('metrics.crossFunctionalTeams').isInt({ min: 0, max: 5 }).withMessage('Cross-Functional Teams must be between 0 and 5'),
-  body('metrics.clarityInPriorities').isInt({ min: 0, max: 5 }).withMessage('Clarity in Priorities must be between 0 and 5'),
-  body('metrics.acceptanceCriteria').isInt({ min: 0, max: 5 }).withMessage('Acceptance Criteria must be between 0 and 5'),
-  body('metrics.enablingFocus').isInt({ min: 0, max: 5 }).withMessage('Enabling Focus must be between 0 and 5'),
-  body('metrics.engagement').isInt({ min: 0, max: 5 }).withMessage('Engagement must be between 0 and 5'),
+  body('dueDate')
+    .isISO8601().withMessage('Due date must be a valid date'),
 
-  body('metrics.feedback').isInt({ min: 0, max: 5 }).withMessage('Feedback must be between 0 and 5'),
-  body('metrics.enablingAutonomy').isInt({ min: 0, max: 5 }).withMessage('Enabling Autonomy must be between 0 and 5'),
-  body('metrics.changeAndAmbiguity').isInt({ min: 0, max: 5 }).withMessage('Change and Ambiguity must be between 0 and 5'),
-  body('metrics.desiredCulture').isInt({ min: 0, max: 5 }).withMessage('Desired Culture must be between 0 and 5'),
-  body('metrics.workAutonomously').isInt({ min: 0, max: 5 }).withMessage('Works Autonomously must be between 0 and 5'),
+  body('employeeIds')
+    .isArray({ min: 1 }).withMessage('At least one employee is required'),
 
-  body('metrics.stakeholders').isInt({ min: 0, max: 5 }).withMessage('Stakeholders must be between 0 and 5'),
-  body('metrics.teamAttrition').isInt({ min: 0, max: 5 }).withMessage('Team Attrition must be between 0 and 5'),
-  body('metrics.teams').isInt({ min: 0, max: 5 }).withMessage('Teams must be between 0 and 5'),
-  body('metrics.developingPeople').isInt({ min: 0, max: 5 }).withMessage('Developing People must be between 0 and 5'),
-  body('metrics.subordinatesForSuccess').isInt({ min: 0, max: 5 }).withMessage('Subordinates for Success must be between 0 and 5'),
+  body('employeeIds.*')
+    .isMongoId().withMessage('Employee ID must be a valid ID'),
+
+  body('assessorEmails')
+    .isArray({ min: 1 }).withMessage('At least one assessor is required'),
+
+  body('assessorEmails.*')
+    .trim()
+    .isEmail().withMessage('Assessor email must be valid')
+    .normalizeEmail(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for development goals
+ */
+const validateGoal = [
+  body('employeeId')
+    .isMongoId().withMessage('Employee is required'),
+
+  body('metricId')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]*$/).withMessage('Metric ID must be a valid metric ID'),
+
+  body('description')
+    .trim()
+    .notEmpty().withMessage('Description is required')
+    .isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters')
+    .escape(),
+
+  body('owner')
+    .trim()
+    .notEmpty().withMessage('Owner is required')
+    .isLength({ max: 100 }).withMessage('Owner must be at most 100 characters')
+    .escape(),
+
+  body('targetDate')
+    .isISO8601().withMessage('Target date must be a valid date'),
+
+  body('targetScore')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Target score must be a number of at least 0')
+    .toFloat(),
+
+  body('status')
+    .optional()
+    .isIn(Goal.GOAL_STATUSES).withMessage(`Status must be one of: ${Goal.GOAL_STATUSES.join(', ')}`),
+
+  body('assessmentId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Assessment ID must be a valid ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing goals
+ */
+const validateGoalQuery = [
+  query('employeeId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Employee ID must be a valid ID'),
+
+  query('status')
+    .optional({ values: 'falsy' })
+    .customSanitizer(joinList)
+    .custom(value => String(value).split(',').every(status => Goal.GOAL_STATUSES.includes(status)))
+    .withMessage(`Status must be one or more of: ${Goal.GOAL_STATUSES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for self-assessment invitations
+ */
+const validateInvitation = [
+  body('employeeId')
+    .isMongoId().withMessage('Employee is required'),
+
+  body('templateId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Template ID must be a valid ID'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 }).withMessage('Expiry must be between 1 and 30 days')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for self-assessments submitted via an invitation link
+ * The employee and template come from the invitation
+ */
+const validateSelfAssessment = [
+  body('metrics')
+    .isObject().withMessage('Metrics are required'),
+
+  body('comments')
+    .optional()
+    .isObject().withMessage('Comments must be an object keyed by metric ID'),
+
+  body('summary')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Summary must be at most 2000 characters')
+    .escape(),
+
+  validateTemplateMetrics,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for sharing an assessment with a user or group
+ */
+const validateShare = [
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('groupId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Group ID must be a valid ID'),
+
+  body('groupId')
+    .custom((groupId, { req }) => Boolean(req.body.email) !== Boolean(groupId))
+    .withMessage('Share with either a user email or a group'),
+
+  body('permission')
+    .isIn(Assessment.SHARE_PERMISSIONS).withMessage(`Permission must be one of: ${Assessment.SHARE_PERMISSIONS.join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for user groups
+ */
+const validateGroup = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Group name is required')
+    .isLength({ max: 100 }).withMessage('Group name must be less than 100 characters')
+    .escape(),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description must be less than 500 characters')
+    .escape(),
+
+  body('memberEmails')
+    .optional()
+    .isArray().withMessage('Members must be a list of emails'),
+
+  body('memberEmails.*')
+    .trim()
+    .isEmail().withMessage('Member email must be valid')
+    .normalizeEmail(),
 
   handleValidationErrors
 ];
@@ -103,6 +720,23 @@ const validateAssessment = [
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateNotifications,
   validateAssessment,
+  validateStatusChange,
+  validateTemplate,
+  validateEmployee,
+  validateEmployeeMerge,
+  validateReview,
+  validateCycle,
+  validateGoal,
+  validateGoalQuery,
+  validateInvitation,
+  validateSelfAssessment,
+  validateShare,
+  validateGroup,
+  validateAssessmentQuery,
+  validateImport,
+  validateBulk,
+  validateTagRename,
   handleValidationErrors
 };
@@ -0,0 +1,38 @@
+/**
+ * Migration: store overall and theme averages on existing assessments
+ *
+ * The assessment list filters and sorts by averages stored on each
+ * assessment. Assessments saved before they were stored have none and
+ * would not match average filters. This recalculates them for every
+ * template's assessments (those without a template use the default).
+ *
+ * Safe to run more than once. Usage: npm run migrate:averages
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const Template = require('../models/Template');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI, {
+    dbName: process.env.MONGODB_DB_NAME || 'hr_performance'
+  });
+
+  // Seeds the default template if needed, so assessments without one are covered
+  await Template.getDefault();
+
+  let updated = 0;
+  for (const template of await Template.find()) {
+    updated += await Assessment.refreshAverages(template);
+  }
+
+  console.log(`✓ Updated averages on ${updated} assessment(s)`);
+
+  await mongoose.connection.close();
+}
+
+migrate().catch(async error => {
+  console.error('Averages migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
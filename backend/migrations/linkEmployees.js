@@ -0,0 +1,94 @@
+/**
+ * Migration: create Employee records from existing assessment names
+ *
+ * Assessments saved before employees existed only carry a free-text
+ * employeeName. This groups them by normalized name ("jon  smith" and
+ * "Jon Smith" are the same person), creates or reuses one Employee per
+ * group and links the assessments to it. Names that may still be the same
+ * person (e.g. "Jon Smith" / "Jonathan Smith") are listed for a manual merge
+ * via POST /api/employees/:id/merge.
+ *
+ * Safe to run more than once. Usage: npm run migrate:employees
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+const Employee = require('../models/Employee');
+
+/**
+ * Group names that share a last name but differ otherwise
+ * @param {Employee[]} employees
+ * @returns {string[][]} - Groups of possibly duplicate names
+ */
+function findPossibleDuplicates(employees) {
+  const byLastName = new Map();
+  employees.forEach(employee => {
+    const parts = employee.normalizedName.split(' ');
+    if (parts.length < 2) return;
+    const lastName = parts[parts.length - 1];
+    if (!byLastName.has(lastName)) byLastName.set(lastName, []);
+    byLastName.get(lastName).push(employee);
+  });
+
+  return Array.from(byLastName.values())
+    .filter(group => group.length > 1)
+    .filter(group => {
+      // Same last name and first names that start alike (Jon / Jonathan)
+      const firstNames = group.map(e => e.normalizedName.split(' ')[0]);
+      return firstNames.some((a, i) => firstNames.some((b, j) => i !== j && b.startsWith(a.slice(0, 3))));
+    })
+    .map(group => group.map(e => `${e.name} (${e._id})`));
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI, {
+    dbName: process.env.MONGODB_DB_NAME || 'hr_performance'
+  });
+
+  // Assessments in the trash are linked too, so they have an employee when restored
+  const groups = await Assessment.aggregate([
+    { $match: { employeeId: { $exists: false } } },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$employeeName' } } },
+        ids: { $push: '$_id' },
+        names: { $push: '$employeeName' },
+        userId: { $first: '$userId' }
+      }
+    }
+  ]).option({ withDeleted: true });
+
+  let linked = 0;
+  for (const group of groups) {
+    // Use the most common spelling as the display name
+    const counts = {};
+    group.names.forEach(name => {
+      const cleaned = name.trim().replace(/\s+/g, ' ');
+      counts[cleaned] = (counts[cleaned] || 0) + 1;
+    });
+    const name = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+    const employee = await Employee.findOrCreateByName(name, group.userId);
+    const result = await Assessment.updateMany(
+      { _id: { $in: group.ids } },
+      { employeeId: employee._id, employeeName: employee.name }
+    );
+    linked += result.modifiedCount;
+  }
+
+  console.log(`✓ Linked ${linked} assessment(s) across ${groups.length} name(s)`);
+
+  const duplicates = findPossibleDuplicates(await Employee.find().lean());
+  if (duplicates.length > 0) {
+    console.log('\nPossible duplicates to review and merge:');
+    duplicates.forEach(group => console.log(`  - ${group.join(', ')}`));
+  }
+
+  await mongoose.connection.close();
+}
+
+migrate().catch(async error => {
+  console.error('Employee migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
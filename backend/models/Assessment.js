@@ -1,7 +1,60 @@
 const mongoose = require('mongoose');
+const Template = require('./Template');
+const Employee = require('./Employee');
+const { decodeText } = require('../utils/html');
 
 /**
- * Assessment Schema - 19 metrics across 4 themes
+ * Assessment lifecycle: draft -> submitted -> finalized
+ * Submitted assessments can go back to draft; finalized ones can only be
+ * reopened (back to draft) by an admin.
+ */
+const STATUSES = ['draft', 'submitted', 'finalized'];
+const STATUS_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['draft', 'finalized'],
+  finalized: ['draft']
+};
+
+// Access granted to other users: 'view' is read-only, 'edit' allows changes
+const SHARE_PERMISSIONS = ['view', 'edit'];
+
+// Fields the assessment list can be sorted by
+const SORT_FIELDS = ['employeeName', 'assessmentDate', 'overallAverage', 'status', 'createdAt'];
+
+// Tags are short labels such as "promotion-candidate" or "Q3-2026": up to 40
+// letters and digits, with "-", "_" and "." after the first character
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_.-]{0,39}$/u;
+const MAX_TAGS = 20;
+
+/**
+ * Share - grants one user or one group access to an assessment
+ */
+const shareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  permission: {
+    type: String,
+    enum: SHARE_PERMISSIONS,
+    default: 'view'
+  },
+  sharedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sharedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Assessment Schema - metric ratings for the themes defined by a Template
  */
 const assessmentSchema = new mongoose.Schema({
   userId: {
@@ -10,6 +63,12 @@ const assessmentSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    index: true
+  },
+  // Denormalized from the Employee for display and search; kept in sync on rename
   employeeName: {
     type: String,
     required: [true, 'Employee name is required'],
@@ -22,129 +81,125 @@ const assessmentSchema = new mongoose.Schema({
     index: true
   },
 
-  // All 19 metrics (0-5 rating scale)
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    index: true
+  },
+
+  // Metric ratings keyed by metric ID, validated against the template
   metrics: {
-    // Strategic Vision (4 metrics)
-    sharedVision: {
-      type: Number,
-      required: true,
-      min: [0, 'Rating must be at least 0'],
-      max: [5, 'Rating must be at most 5']
-    },
-    strategy: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    businessAlignment: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    customerFocus: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
+    type: Map,
+    of: Number,
+    required: [true, 'Metrics are required']
+  },
 
-    // Focus and Engagement (5 metrics)
-    crossFunctionalTeams: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    clarityInPriorities: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    acceptanceCriteria: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    enablingFocus: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    engagement: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
+  // Optional evidence notes keyed by metric ID
+  comments: {
+    type: Map,
+    of: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comments must be at most 1000 characters']
     },
+    default: {}
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Summary must be at most 2000 characters'],
+    default: ''
+  },
 
-    // Autonomy and Change (5 metrics)
-    feedback: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    enablingAutonomy: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    changeAndAmbiguity: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    desiredCulture: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    workAutonomously: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
+  // Labels for grouping assessments; not part of the revisioned content
+  tags: {
+    type: [String],
+    default: [],
+    set: tags => [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))],
+    validate: [
+      {
+        validator: tags => tags.length <= MAX_TAGS,
+        message: `An assessment can have at most ${MAX_TAGS} tags`
+      },
+      {
+        validator: tags => tags.every(tag => TAG_PATTERN.test(tag)),
+        message: 'Tags may only contain letters, digits, "-", "_" and "." (at most 40 characters)'
+      }
+    ]
+  },
 
-    // Stakeholders and Team (5 metrics)
-    stakeholders: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    teamAttrition: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    teams: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    developingPeople: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    },
-    subordinatesForSuccess: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5
-    }
+  // Denormalized from the metrics and template for filtering and sorting;
+  // recalculated on save and when the template's themes change
+  overallAverage: {
+    type: Number
+  },
+  themeAverages: {
+    type: [{
+      _id: false,
+      theme: String,
+      average: Number
+    }],
+    default: []
+  },
+
+  // Set when this is one rater's submission to a 360-degree review
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    index: true
+  },
+  raterRole: {
+    type: String
+  },
+
+  // Review cycle the assessment counts towards; cycleClosedAt is copied from
+  // the cycle when it closes and locks the assessment until it reopens
+  cycleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cycle',
+    index: true
+  },
+  cycleClosedAt: {
+    type: Date
+  },
+
+  // Set when the employee submitted this as a self-assessment via an invitation link
+  invitationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
+
+  // Users and groups the owner has shared the assessment with
+  shares: {
+    type: [shareSchema],
+    default: []
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft',
+    index: true
+  },
+  submittedAt: {
+    type: Date
+  },
+  finalizedAt: {
+    type: Date
+  },
+  finalizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Set when the owner moves the assessment to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
 
   // Metadata
@@ -156,6 +211,7 @@ const assessmentSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Incremented on every saved change; matches the latest Revision number
   version: {
     type: Number,
     default: 1
@@ -170,6 +226,40 @@ assessmentSchema.index({ userId: 1, assessmentDate: -1 });
 // Index for searching by employee name within user's assessments
 assessmentSchema.index({ userId: 1, employeeName: 1 });
 
+// Sorting and filtering by average score
+assessmentSchema.index({ userId: 1, overallAverage: -1 });
+
+// Filtering by tag and counting tag usage
+assessmentSchema.index({ userId: 1, tags: 1 });
+
+// Lookup of assessments shared with a user or their groups
+assessmentSchema.index({ 'shares.userId': 1 });
+assessmentSchema.index({ 'shares.groupId': 1 });
+
+// One submission per rater per review
+assessmentSchema.index(
+  { reviewId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { reviewId: { $exists: true } } }
+);
+
+/**
+ * Leave assessments in the trash out of reads unless the query asks for them:
+ * by filtering on deletedAt, or with setOptions({ withDeleted: true }) to
+ * include them. Updates and deletes are not filtered, so maintenance such as
+ * employee renames also applies to the trash. Aggregations opt out with a
+ * leading $match on deletedAt or .option({ withDeleted: true }).
+ */
+assessmentSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+assessmentSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (this.options.withDeleted || (first && first.$match && 'deletedAt' in first.$match)) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
 /**
  * Update the updatedAt timestamp before saving
  */
@@ -179,55 +269,355 @@ assessmentSchema.pre('save', function(next) {
 });
 
 /**
- * Calculate theme averages
- * @returns {Object} - Average score per theme
+ * Validate metrics against the assessment's template
+ * Assessments without a templateId use the default template
  */
-assessmentSchema.methods.calculateThemeAverages = function() {
-  const metrics = this.metrics;
+assessmentSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('metrics') && !this.isModified('comments') && !this.isModified('templateId')) {
+    return;
+  }
+
+  const template = await this.getTemplate();
+  if (!template) {
+    this.invalidate('templateId', 'Template not found');
+    return;
+  }
 
+  if (!this.templateId) {
+    this.templateId = template._id;
+  }
+
+  const errors = template.validateMetrics(this.metrics);
+  if (errors.length > 0) {
+    this.invalidate('metrics', errors.join('; '));
+  } else {
+    Object.assign(this, this.constructor.averagesFor(template, this.metrics));
+  }
+
+  // Comments may only be attached to metrics the template defines
+  const knownMetrics = new Set(template.getMetricIds());
+  const commentIds = this.comments ? Array.from(this.comments.keys()) : [];
+  const unknownComments = commentIds.filter(id => !knownMetrics.has(id));
+  if (unknownComments.length > 0) {
+    this.invalidate('comments', `Comments for unknown metrics: ${unknownComments.join(', ')}`);
+  }
+});
+
+/**
+ * Get the revisioned state of the assessment as plain JSON
+ * @returns {Object} - { employeeName, assessmentDate, templateId, metrics, comments, summary }
+ */
+assessmentSchema.methods.toSnapshot = function() {
   return {
-    'Strategic Vision': (
-      metrics.sharedVision +
-      metrics.strategy +
-      metrics.businessAlignment +
-      metrics.customerFocus
-    ) / 4,
-
-    'Focus and Engagement': (
-      metrics.crossFunctionalTeams +
-      metrics.clarityInPriorities +
-      metrics.acceptanceCriteria +
-      metrics.enablingFocus +
-      metrics.engagement
-    ) / 5,
-
-    'Autonomy and Change': (
-      metrics.feedback +
-      metrics.enablingAutonomy +
-      metrics.changeAndAmbiguity +
-      metrics.desiredCulture +
-      metrics.workAutonomously
-    ) / 5,
-
-    'Stakeholders and Team': (
-      metrics.stakeholders +
-      metrics.teamAttrition +
-      metrics.teams +
-      metrics.developingPeople +
-      metrics.subordinatesForSuccess
-    ) / 5
+    employeeId: this.employeeId ? this.employeeId.toString() : null,
+    employeeName: this.employeeName,
+    assessmentDate: this.assessmentDate ? this.assessmentDate.toISOString() : null,
+    templateId: this.templateId ? this.templateId.toString() : null,
+    metrics: this.metrics ? Object.fromEntries(this.metrics) : {},
+    comments: this.comments ? Object.fromEntries(this.comments) : {},
+    summary: this.summary || ''
   };
 };
 
+/**
+ * Overwrite the revisioned fields from a snapshot
+ * The template is kept, since metric IDs are tied to it
+ * @param {Object} snapshot - Result of toSnapshot()
+ */
+assessmentSchema.methods.applySnapshot = function(snapshot) {
+  if (snapshot.employeeId) {
+    this.employeeId = snapshot.employeeId;
+  }
+  this.employeeName = snapshot.employeeName;
+  this.assessmentDate = snapshot.assessmentDate;
+  this.metrics = snapshot.metrics;
+  this.comments = snapshot.comments || {};
+  this.summary = snapshot.summary || '';
+};
+
+/**
+ * Link the assessment to an employee and copy their current name
+ * @param {Employee} employee
+ */
+assessmentSchema.methods.setEmployee = function(employee) {
+  this.employeeId = employee._id;
+  this.employeeName = employee.name;
+};
+
+/**
+ * Refresh the denormalized employeeName from the linked employee
+ * @returns {Promise<void>}
+ */
+assessmentSchema.methods.syncEmployeeName = async function() {
+  if (!this.employeeId) return;
+  const employee = await Employee.findById(this.employeeId).select('name').lean();
+  if (employee) {
+    this.employeeName = employee.name;
+  }
+};
+
+/**
+ * Count a change for the next save, which then only applies if nobody saved
+ * another change since the assessment was loaded; otherwise save() rejects
+ * with a DocumentNotFoundError and no revision number is taken twice
+ */
+assessmentSchema.methods.nextVersion = function() {
+  this.$where = { version: this.version };
+  this.version += 1;
+};
+
+// The condition holds for one save only
+assessmentSchema.post('save', function() {
+  this.$where = undefined;
+});
+
+/**
+ * Check whether the assessment is locked against changes: finalized, or in a closed review cycle
+ * @returns {boolean}
+ */
+assessmentSchema.methods.isLocked = function() {
+  return this.status === 'finalized' || Boolean(this.cycleClosedAt);
+};
+
+/**
+ * Explain why a locked assessment rejects an action
+ * @param {string} [action='changed'] - e.g. 'deleted'
+ * @returns {string}
+ */
+assessmentSchema.methods.lockMessage = function(action = 'changed') {
+  return this.cycleClosedAt
+    ? `Assessments in a closed review cycle cannot be ${action}`
+    : `Finalized assessments cannot be ${action}`;
+};
+
+/**
+ * Build a download file name from the employee name and date
+ * Only letters and digits of the name are kept, so it is safe in a header
+ * @param {string} suffix - e.g. 'report.pdf'
+ * @returns {string}
+ */
+assessmentSchema.methods.downloadFilename = function(suffix) {
+  const name = decodeText(this.employeeName).replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'assessment';
+  return `${name}_${this.assessmentDate.toISOString().split('T')[0]}_${suffix}`;
+};
+
+/**
+ * Check whether the assessment is in the trash
+ * @returns {boolean}
+ */
+assessmentSchema.methods.isDeleted = function() {
+  return Boolean(this.deletedAt);
+};
+
+/**
+ * Check whether the employee submitted this via an invitation link
+ * Self-assessments keep the employee's ratings and cannot be edited
+ * @returns {boolean}
+ */
+assessmentSchema.methods.isSelfAssessment = function() {
+  return Boolean(this.invitationId);
+};
+
+/**
+ * Check whether a status change is allowed by the lifecycle
+ * @param {string} status - Target status
+ * @returns {boolean}
+ */
+assessmentSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status || 'draft'] || []).includes(status);
+};
+
+/**
+ * Load the template this assessment is rated against
+ * @returns {Promise<Template|null>}
+ */
+assessmentSchema.methods.getTemplate = function() {
+  return Template.resolve(this.templateId);
+};
+
+/**
+ * Calculate theme averages
+ * @param {Template} template - Template the assessment is rated against
+ * @returns {Object} - Average score per theme
+ */
+assessmentSchema.methods.calculateThemeAverages = function(template) {
+  return template.calculateThemeAverages(this.metrics);
+};
+
 /**
  * Calculate overall average score
+ * @param {Template} template - Template the assessment is rated against
  * @returns {number} - Overall average across all metrics
  */
-assessmentSchema.methods.calculateOverallAverage = function() {
-  const metrics = this.metrics;
-  const values = Object.values(metrics);
-  const sum = values.reduce((acc, val) => acc + val, 0);
-  return sum / values.length;
+assessmentSchema.methods.calculateOverallAverage = function(template) {
+  return template.calculateOverallAverage(this.metrics);
+};
+
+assessmentSchema.statics.STATUSES = STATUSES;
+assessmentSchema.statics.SHARE_PERMISSIONS = SHARE_PERMISSIONS;
+assessmentSchema.statics.SORT_FIELDS = SORT_FIELDS;
+assessmentSchema.statics.TAG_PATTERN = TAG_PATTERN;
+assessmentSchema.statics.MAX_TAGS = MAX_TAGS;
+assessmentSchema.statics.VERSION_CONFLICT_MESSAGE = 'The assessment was changed in the meantime. Reload it and try again.';
+
+/**
+ * Calculate the stored averages of a set of ratings
+ * @param {Template} template - Template the ratings are against
+ * @param {Map|Object} metrics - Metric values by ID
+ * @returns {Object} - { overallAverage, themeAverages: [{ theme, average }] }
+ */
+assessmentSchema.statics.averagesFor = function(template, metrics) {
+  const themeAverages = template.calculateThemeAverages(metrics);
+  return {
+    overallAverage: template.calculateOverallAverage(metrics),
+    themeAverages: template.themes.map(theme => ({ theme: theme.name, average: themeAverages[theme.name] }))
+  };
+};
+
+/**
+ * IDs of the closed 360-degree reviews among the assessments' reviews
+ * Closing a review finalizes its submitted assessments; drafts left behind
+ * must not change afterwards, or they would alter the closed review's results
+ * @param {Assessment[]} assessments
+ * @returns {Promise<Set<string>>}
+ */
+assessmentSchema.statics.closedReviewIds = async function(assessments) {
+  const reviewIds = assessments.filter(assessment => assessment.reviewId).map(assessment => assessment.reviewId);
+  if (reviewIds.length === 0) return new Set();
+
+  const closed = await mongoose.model('Review').find({ _id: { $in: reviewIds }, status: 'closed' }).distinct('_id');
+  return new Set(closed.map(id => id.toString()));
+};
+
+/**
+ * Filter for the assessments rated against a template
+ * Assessments without a templateId use the default template
+ * @param {Template} template
+ * @returns {Object} - Mongo filter
+ */
+assessmentSchema.statics.templateFilter = function(template) {
+  return template.isDefault
+    ? { $or: [{ templateId: template._id }, { templateId: null }] }
+    : { templateId: template._id };
+};
+
+/**
+ * Recalculate the stored averages of every assessment rated against a template,
+ * including those in the trash
+ * Used after the template's themes change and by the averages migration
+ * @param {Template} template
+ * @returns {Promise<number>} - Number of assessments updated
+ */
+assessmentSchema.statics.refreshAverages = async function(template) {
+  const filter = this.templateFilter(template);
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await this.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const assessment of this.find(filter).setOptions({ withDeleted: true }).select('metrics').lean().cursor()) {
+    batch.push({
+      updateOne: {
+        filter: { _id: assessment._id },
+        update: { $set: this.averagesFor(template, assessment.metrics) },
+        // Not a change to the assessment itself
+        timestamps: false
+      }
+    });
+    if (batch.length === 500) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+/**
+ * Permanently delete assessments, in the trash or not, with their revisions
+ * @param {Object} filter - Mongo filter
+ * @returns {Promise<number>} - Number of assessments deleted
+ */
+assessmentSchema.statics.purge = async function(filter) {
+  const ids = await this.find(filter).setOptions({ withDeleted: true }).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  const result = await this.deleteMany({ _id: { $in: ids } });
+  await mongoose.model('Revision').deleteMany({ assessmentId: { $in: ids } });
+  return result.deletedCount;
+};
+
+/**
+ * Build a filter for assessments a user owns or has been granted access to
+ * @param {string|ObjectId} userId
+ * @param {ObjectId[]} groupIds - Groups the user belongs to
+ * @param {string} permission - 'view' (view or edit grants) or 'edit'
+ * @returns {Object} - Mongo filter
+ */
+assessmentSchema.statics.accessFilter = function(userId, groupIds, permission = 'view') {
+  const permissions = permission === 'edit' ? ['edit'] : SHARE_PERMISSIONS;
+  return {
+    $or: [
+      { userId },
+      { shares: { $elemMatch: { userId, permission: { $in: permissions } } } },
+      { shares: { $elemMatch: { groupId: { $in: groupIds }, permission: { $in: permissions } } } }
+    ]
+  };
+};
+
+/**
+ * Find an assessment a user owns or has been granted access to
+ * @param {string|ObjectId} id - Assessment ID
+ * @param {string|ObjectId} userId
+ * @param {ObjectId[]} groupIds - Groups the user belongs to
+ * @param {string} permission - 'view' or 'edit'
+ * @returns {Promise<Assessment|null>}
+ */
+assessmentSchema.statics.findAccessible = function(id, userId, groupIds, permission = 'view') {
+  return this.findOne({ _id: id, ...this.accessFilter(userId, groupIds, permission) });
+};
+
+/**
+ * Build a filter for other users' assessments shared with a user or their groups
+ * @param {string|ObjectId} userId
+ * @param {ObjectId[]} groupIds - Groups the user belongs to
+ * @returns {Object} - Mongo filter
+ */
+assessmentSchema.statics.sharedWithFilter = function(userId, groupIds) {
+  return {
+    userId: { $ne: userId },
+    $or: [
+      { 'shares.userId': userId },
+      { 'shares.groupId': { $in: groupIds } }
+    ]
+  };
+};
+
+/**
+ * Get a user's access to an assessment
+ * Works on documents and lean objects, with userId populated or not
+ * @param {Object} assessment - Assessment with userId and shares
+ * @param {string|ObjectId} userId
+ * @param {ObjectId[]} groupIds - Groups the user belongs to
+ * @returns {string|null} - 'owner', 'edit', 'view' or null
+ */
+assessmentSchema.statics.permissionFor = function(assessment, userId, groupIds) {
+  const ownerId = assessment.userId && (assessment.userId._id || assessment.userId);
+  if (ownerId && ownerId.toString() === userId.toString()) {
+    return 'owner';
+  }
+
+  const groups = new Set(groupIds.map(id => id.toString()));
+  const grants = (assessment.shares || [])
+    .filter(share => (share.userId && share.userId.toString() === userId.toString())
+      || (share.groupId && groups.has(share.groupId.toString())))
+    .map(share => share.permission);
+
+  if (grants.includes('edit')) return 'edit';
+  return grants.length > 0 ? 'view' : null;
 };
 
 const Assessment = mongoose.model('Assessment', assessmentSchema);
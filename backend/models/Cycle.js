@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cycle Schema - a review cycle: a period in which the assessors rate the
+ * participating employees by a due date
+ * Assessments are attached via cycleId; closing the cycle locks them.
+ */
+const cycleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Cycle name is required'],
+    trim: true,
+    maxlength: [100, 'Cycle name must be at most 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required'],
+    index: true
+  },
+  employeeIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    }],
+    validate: [arr => arr.length > 0, 'A cycle needs at least one employee']
+  },
+  assessorIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: [arr => arr.length > 0, 'A cycle needs at least one assessor']
+  },
+  // Organizer; can change, close and reopen the cycle
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+    index: true
+  },
+  closedAt: {
+    type: Date
+  },
+  // When the assessors were reminded of the due date; cleared when it moves
+  reminderSentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+cycleSchema.index({ assessorIds: 1 });
+
+/**
+ * Check the dates and that nobody is listed twice
+ */
+cycleSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  if (this.startDate && this.dueDate && this.dueDate < this.startDate) {
+    this.invalidate('dueDate', 'Due date must be after start date');
+  }
+
+  const unique = ids => new Set(ids.map(id => id.toString())).size === ids.length;
+  if (!unique(this.employeeIds)) {
+    this.invalidate('employeeIds', 'Each employee can only be added once');
+  }
+  if (!unique(this.assessorIds)) {
+    this.invalidate('assessorIds', 'Each assessor can only be added once');
+  }
+
+  next();
+});
+
+/**
+ * Check whether a user organizes the cycle or assesses in it
+ * @param {string|ObjectId} userId
+ * @returns {boolean}
+ */
+cycleSchema.methods.isParticipant = function(userId) {
+  return this.createdBy.toString() === userId.toString() || this.isAssessor(userId);
+};
+
+/**
+ * Check whether a user is one of the cycle's assessors
+ * @param {string|ObjectId} userId
+ * @returns {boolean}
+ */
+cycleSchema.methods.isAssessor = function(userId) {
+  return this.assessorIds.some(id => id.toString() === userId.toString());
+};
+
+/**
+ * Check whether an employee takes part in the cycle
+ * @param {string|ObjectId} employeeId
+ * @returns {boolean}
+ */
+cycleSchema.methods.includesEmployee = function(employeeId) {
+  return this.employeeIds.some(id => id.toString() === employeeId.toString());
+};
+
+/**
+ * Check whether assessments can still be attached and changed
+ * @returns {boolean}
+ */
+cycleSchema.methods.isOpen = function() {
+  return this.status === 'open';
+};
+
+/**
+ * Find a review cycle an assessment of an employee can be attached to:
+ * open, with the user as organizer or assessor and the employee taking part
+ * @param {string|ObjectId} cycleId
+ * @param {string|ObjectId} userId - Logged-in user
+ * @param {ObjectId} employeeId - Employee the assessment is of
+ * @returns {Promise<Object>} - { cycle }, or { status, message } if not allowed
+ */
+cycleSchema.statics.findAttachable = async function(cycleId, userId, employeeId) {
+  const cycle = await this.findById(cycleId);
+  if (!cycle || !cycle.isParticipant(userId)) {
+    return { status: 404, message: 'Review cycle not found' };
+  }
+  if (!cycle.isOpen()) {
+    return { status: 409, message: 'Review cycle is closed' };
+  }
+  if (!cycle.includesEmployee(employeeId)) {
+    return { status: 400, message: 'The employee does not take part in this review cycle' };
+  }
+  return { cycle };
+};
+
+const Cycle = mongoose.model('Cycle', cycleSchema);
+
+module.exports = Cycle;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Normalize a name for duplicate detection
+ * "  jon   SMITH " -> "jon smith"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Employee Schema - the person being assessed
+ */
+const employeeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Employee name is required'],
+    trim: true
+  },
+  // Lower-cased, whitespace-collapsed name used for lookups and de-duplication
+  normalizedName: {
+    type: String,
+    index: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  department: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  jobTitle: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  managerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Email is optional but must be unique when present
+employeeSchema.index({ email: 1 }, { unique: true, sparse: true });
+
+/**
+ * Keep normalizedName in sync and stop employees managing themselves
+ */
+employeeSchema.pre('validate', function(next) {
+  this.normalizedName = normalizeName(this.name);
+
+  if (this.managerId && this.managerId.equals(this._id)) {
+    this.invalidate('managerId', 'An employee cannot be their own manager');
+  }
+
+  next();
+});
+
+/**
+ * Find an employee by name, creating one if none exists
+ * Used when an assessment is saved with a free-text name only
+ * @param {string} name - Employee name
+ * @param {string|ObjectId} userId - User creating the record
+ * @returns {Promise<Employee>}
+ */
+employeeSchema.statics.findOrCreateByName = async function(name, userId) {
+  const existing = await this.findOne({ normalizedName: normalizeName(name) })
+    .sort({ active: -1, createdAt: 1 });
+  if (existing) return existing;
+
+  return this.create({ name, createdBy: userId });
+};
+
+employeeSchema.statics.normalizeName = normalizeName;
+
+const Employee = mongoose.model('Employee', employeeSchema);
+
+module.exports = Employee;
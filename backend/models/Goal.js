@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const GOAL_STATUSES = ['not-started', 'in-progress', 'achieved', 'dropped'];
+
+/**
+ * Goal Schema - a development goal for an employee, usually agreed after an
+ * assessment. Goals on a metric can set a target score; the employee's next
+ * assessment after the goal was set is compared against it.
+ */
+const goalSchema = new mongoose.Schema({
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required']
+  },
+  // Metric the goal develops; without one it is a general goal
+  metricId: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [1000, 'Description must be at most 1000 characters']
+  },
+  // Who drives the goal, e.g. the employee or their manager
+  owner: {
+    type: String,
+    required: [true, 'Owner is required'],
+    trim: true,
+    maxlength: [100, 'Owner must be at most 100 characters']
+  },
+  targetDate: {
+    type: Date,
+    required: [true, 'Target date is required']
+  },
+  targetScore: {
+    type: Number,
+    min: [0, 'Target score must be at least 0']
+  },
+  status: {
+    type: String,
+    enum: GOAL_STATUSES,
+    default: 'not-started'
+  },
+  // Assessment the goal came out of; its score is the baseline
+  assessmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+goalSchema.index({ createdBy: 1, employeeId: 1, targetDate: 1 });
+
+/**
+ * A target score needs a metric to compare against
+ */
+goalSchema.pre('validate', function(next) {
+  if (this.targetScore !== undefined && this.targetScore !== null && !this.metricId) {
+    this.invalidate('targetScore', 'A target score needs a metric');
+  }
+  next();
+});
+
+goalSchema.statics.GOAL_STATUSES = GOAL_STATUSES;
+
+const Goal = mongoose.model('Goal', goalSchema);
+
+module.exports = Goal;
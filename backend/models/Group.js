@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Group Schema - a named set of users assessments can be shared with, e.g. HR
+ */
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ members: 1 });
+
+/**
+ * Get the IDs of the groups a user belongs to
+ * @param {string|ObjectId} userId
+ * @returns {Promise<ObjectId[]>}
+ */
+groupSchema.statics.idsFor = function(userId) {
+  return this.find({ members: userId }).distinct('_id');
+};
+
+const Group = mongoose.model('Group', groupSchema);
+
+module.exports = Group;
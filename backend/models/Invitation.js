@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Schema - a link for an employee to rate themselves
+ * The link carries a signed token (see config/jwt.js) that expires with the
+ * invitation. The submission is stored as an Assessment owned by the
+ * assessor, with invitationId set and raterRole 'self'.
+ */
+const invitationSchema = new mongoose.Schema({
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required'],
+    index: true
+  },
+  employeeName: {
+    type: String,
+    trim: true
+  },
+  // User who asked for the self-assessment and sees it next to their own rating
+  assessorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Assessor is required'],
+    index: true
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    required: [true, 'Template is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  submittedAt: {
+    type: Date
+  },
+  // The self-assessment created from this invitation
+  assessmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the invitation state
+ * @returns {string} - 'pending', 'submitted', 'revoked' or 'expired'
+ */
+invitationSchema.methods.getStatus = function() {
+  if (this.submittedAt) return 'submitted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+/**
+ * Check whether the link can still be used to submit
+ * @returns {boolean}
+ */
+invitationSchema.methods.isPending = function() {
+  return this.getStatus() === 'pending';
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const RATER_ROLES = ['manager', 'peer', 'self', 'report', 'other'];
+
+const raterSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Rater user ID is required']
+  },
+  role: {
+    type: String,
+    enum: RATER_ROLES,
+    default: 'peer'
+  }
+}, { _id: false });
+
+/**
+ * Review Schema - a 360-degree review of one employee for one period
+ * Each rater submits their own Assessment linked via reviewId; the
+ * combined result is only visible once the review is closed.
+ */
+const reviewSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title must be at most 100 characters'],
+    default: ''
+  },
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required'],
+    index: true
+  },
+  employeeName: {
+    type: String,
+    trim: true
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    required: [true, 'Template is required']
+  },
+  periodStart: {
+    type: Date,
+    required: [true, 'Period start is required']
+  },
+  periodEnd: {
+    type: Date,
+    required: [true, 'Period end is required']
+  },
+  // Organizer; can manage raters and close the review
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  raters: {
+    type: [raterSchema],
+    validate: [arr => arr.length > 0, 'A review needs at least one rater']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+    index: true
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ 'raters.userId': 1 });
+
+/**
+ * Check the period and that nobody is listed as a rater twice
+ */
+reviewSchema.pre('validate', function(next) {
+  if (this.periodStart && this.periodEnd && this.periodEnd < this.periodStart) {
+    this.invalidate('periodEnd', 'Period end must be after period start');
+  }
+
+  const ids = this.raters.map(rater => rater.userId.toString());
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('raters', 'Each rater can only be added once');
+  }
+
+  next();
+});
+
+/**
+ * Get a user's rater entry
+ * @param {string|ObjectId} userId
+ * @returns {Object|undefined} - { userId, role }
+ */
+reviewSchema.methods.getRater = function(userId) {
+  return this.raters.find(rater => rater.userId.toString() === userId.toString());
+};
+
+/**
+ * Check whether a user organizes or rates in this review
+ * @param {string|ObjectId} userId
+ * @returns {boolean}
+ */
+reviewSchema.methods.isParticipant = function(userId) {
+  return this.createdBy.toString() === userId.toString() || Boolean(this.getRater(userId));
+};
+
+/**
+ * Check whether the review still accepts submissions
+ * @returns {boolean}
+ */
+reviewSchema.methods.isOpen = function() {
+  return this.status === 'open';
+};
+
+reviewSchema.statics.RATER_ROLES = RATER_ROLES;
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  oldValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Revision Schema - immutable record of one saved state of an assessment
+ */
+const revisionSchema = new mongoose.Schema({
+  assessmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment',
+    required: [true, 'Assessment ID is required']
+  },
+  number: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    default: 'update'
+  },
+  // Revision number this one was restored from (action === 'restore')
+  restoredFrom: {
+    type: Number
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  // Full assessment state after this revision, used for restore
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// One revision per number per assessment, newest first
+revisionSchema.index({ assessmentId: 1, number: -1 }, { unique: true });
+
+/**
+ * Revisions are append-only: block query-based updates
+ */
+revisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Revisions are immutable'));
+});
+
+/**
+ * Block re-saving an existing revision document
+ */
+revisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Revisions are immutable'));
+  }
+  next();
+});
+
+/**
+ * Flatten a snapshot into field paths, e.g. { 'metrics.strategy': 3 }
+ * @param {Object} snapshot - Assessment snapshot
+ * @returns {Object}
+ */
+function flattenSnapshot(snapshot) {
+  const flat = {};
+  Object.entries(snapshot || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([subKey, subValue]) => {
+        flat[`${key}.${subKey}`] = subValue;
+      });
+    } else {
+      flat[key] = value;
+    }
+  });
+  return flat;
+}
+
+/**
+ * Compare two assessment snapshots
+ * @param {Object|null} before - Snapshot before the save (null on create)
+ * @param {Object} after - Snapshot after the save
+ * @returns {Object[]} - [{ field, oldValue, newValue }]
+ */
+revisionSchema.statics.diff = function(before, after) {
+  const oldFlat = flattenSnapshot(before);
+  const newFlat = flattenSnapshot(after);
+  const fields = new Set([...Object.keys(oldFlat), ...Object.keys(newFlat)]);
+
+  const changes = [];
+  fields.forEach(field => {
+    const oldValue = oldFlat[field] === undefined ? null : oldFlat[field];
+    const newValue = newFlat[field] === undefined ? null : newFlat[field];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record a revision for the assessment's current version
+ * @param {Assessment} assessment - Saved assessment
+ * @param {string|ObjectId} userId - User who made the change
+ * @param {Object} options - { before?, action?, restoredFrom?, createdAt? }
+ * @returns {Promise<Revision>}
+ */
+revisionSchema.statics.record = function(assessment, userId, options = {}) {
+  const snapshot = assessment.toSnapshot();
+  const revision = {
+    assessmentId: assessment._id,
+    number: assessment.version,
+    userId,
+    action: options.action || (options.before ? 'update' : 'create'),
+    restoredFrom: options.restoredFrom,
+    changes: this.diff(options.before || null, snapshot),
+    snapshot
+  };
+  if (options.createdAt) {
+    revision.createdAt = options.createdAt;
+  }
+  return this.create(revision);
+};
+
+/**
+ * Record the current state of an assessment saved before revisions existed
+ * Must be called before the assessment is modified
+ * @param {Assessment} assessment - Unmodified assessment
+ * @returns {Promise<void>}
+ */
+revisionSchema.statics.ensureBaseline = async function(assessment) {
+  if (await this.exists({ assessmentId: assessment._id })) {
+    return;
+  }
+  try {
+    await this.record(assessment, assessment.userId, {
+      action: 'create',
+      createdAt: assessment.createdAt
+    });
+  } catch (error) {
+    // A concurrent request recorded the same baseline first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = Revision;
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const defaultTemplate = require('../config/defaultTemplate');
+const { decodeText } = require('../utils/html');
+
+const metricSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Metric ID is required'],
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Metric ID must start with a letter and contain only letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Metric label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
+const themeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Theme name is required'],
+    trim: true
+  },
+  // Chart.js colour with a '%a' placeholder for the alpha channel
+  color: {
+    type: String,
+    required: [true, 'Theme color is required'],
+    match: [/%a/, 'Theme color must contain a %a alpha placeholder']
+  },
+  metrics: {
+    type: [metricSchema],
+    validate: [arr => arr.length > 0, 'Theme must have at least one metric']
+  }
+}, { _id: false });
+
+/**
+ * Template Schema - themes, metrics and rating scale for an assessment framework
+ */
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ratingScale: {
+    min: {
+      type: Number,
+      default: 0
+    },
+    max: {
+      type: Number,
+      default: 5
+    },
+    labels: {
+      type: Map,
+      of: String,
+      default: {}
+    }
+  },
+  themes: {
+    type: [themeSchema],
+    validate: [arr => arr.length > 0, 'Template must have at least one theme']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Reject duplicate metric IDs and inverted rating scales
+ */
+templateSchema.pre('validate', function(next) {
+  if (this.ratingScale.min >= this.ratingScale.max) {
+    this.invalidate('ratingScale.max', 'Rating scale max must be greater than min');
+  }
+
+  const seen = new Set();
+  this.getMetricIds().forEach(id => {
+    if (seen.has(id)) {
+      this.invalidate('themes', `Duplicate metric ID: ${id}`);
+    }
+    seen.add(id);
+  });
+
+  next();
+});
+
+/**
+ * Read a metric value from a Mongoose Map or a plain (lean) object
+ * @param {Map|Object} metrics - Assessment metrics
+ * @param {string} id - Metric ID
+ * @returns {number|undefined}
+ */
+function readMetric(metrics, id) {
+  if (!metrics) return undefined;
+  return metrics instanceof Map ? metrics.get(id) : metrics[id];
+}
+
+/**
+ * Get all metrics in template order with their theme attached
+ * @returns {Object[]} - [{ id, label, description, theme, color }]
+ */
+templateSchema.methods.getMetrics = function() {
+  const metrics = [];
+  this.themes.forEach(theme => {
+    theme.metrics.forEach(metric => {
+      metrics.push({
+        id: metric.id,
+        label: metric.label,
+        description: metric.description,
+        theme: theme.name,
+        color: theme.color
+      });
+    });
+  });
+  return metrics;
+};
+
+/**
+ * Get all metric IDs in template order
+ * @returns {string[]}
+ */
+templateSchema.methods.getMetricIds = function() {
+  return this.getMetrics().map(metric => metric.id);
+};
+
+/**
+ * Normalize a metric key for matching: decoded, lower case, single spaces
+ * Labels are stored HTML-escaped, CSV headers typed by hand are not
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeMetricKey(key) {
+  return decodeText(String(key))
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Build a lookup from metric IDs, labels ("Shared Vision") and chart labels
+ * ("Strategic Vision and Business Alignment: Shared Vision") to metric IDs
+ * @returns {Function} - key => metric ID, or null if no metric matches
+ */
+templateSchema.methods.getMetricLookup = function() {
+  const keys = new Map();
+  this.getMetrics().forEach(metric => {
+    [metric.id, metric.label, `${metric.theme}: ${metric.label}`].forEach(key => {
+      const normalized = normalizeMetricKey(key);
+      if (!keys.has(normalized)) keys.set(normalized, metric.id);
+    });
+  });
+  return key => keys.get(normalizeMetricKey(key)) || null;
+};
+
+/**
+ * Validate a set of metric values against this template
+ * @param {Map|Object} metrics - Assessment metrics
+ * @returns {string[]} - Error messages (empty if valid)
+ */
+templateSchema.methods.validateMetrics = function(metrics) {
+  const { min, max } = this.ratingScale;
+  const errors = [];
+  const knownIds = new Set(this.getMetricIds());
+
+  this.getMetrics().forEach(metric => {
+    const value = readMetric(metrics, metric.id);
+    if (value === undefined || value === null) {
+      errors.push(`${metric.label} is required`);
+    } else if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${metric.label} must be between ${min} and ${max}`);
+    }
+  });
+
+  const keys = metrics instanceof Map ? Array.from(metrics.keys()) : Object.keys(metrics || {});
+  keys.filter(key => !knownIds.has(key)).forEach(key => {
+    errors.push(`Unknown metric: ${key}`);
+  });
+
+  return errors;
+};
+
+/**
+ * Calculate theme averages for a set of metric values
+ * @param {Map|Object} metrics - Assessment metrics
+ * @returns {Object} - Average score per theme
+ */
+templateSchema.methods.calculateThemeAverages = function(metrics) {
+  const averages = {};
+  this.themes.forEach(theme => {
+    const sum = theme.metrics.reduce((acc, metric) => acc + (readMetric(metrics, metric.id) || 0), 0);
+    averages[theme.name] = sum / theme.metrics.length;
+  });
+  return averages;
+};
+
+/**
+ * Calculate overall average across all template metrics
+ * @param {Map|Object} metrics - Assessment metrics
+ * @returns {number}
+ */
+templateSchema.methods.calculateOverallAverage = function(metrics) {
+  const ids = this.getMetricIds();
+  const sum = ids.reduce((acc, id) => acc + (readMetric(metrics, id) || 0), 0);
+  return sum / ids.length;
+};
+
+/**
+ * Get the default template, seeding it on first use
+ * @returns {Promise<Template>}
+ */
+templateSchema.statics.getDefault = async function() {
+  const existing = await this.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  return this.findOneAndUpdate(
+    { isDefault: true },
+    { $setOnInsert: defaultTemplate },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Resolve a template by ID, falling back to the default template
+ * @param {string|ObjectId} [templateId]
+ * @returns {Promise<Template|null>} - null if an explicit ID does not exist
+ */
+templateSchema.statics.resolve = async function(templateId) {
+  if (!templateId) {
+    return this.getDefault();
+  }
+  if (!mongoose.isValidObjectId(templateId)) {
+    return null;
+  }
+  return this.findById(templateId);
+};
+
+/**
+ * Load the templates used by a set of assessments
+ * @param {Object[]} assessments - Assessment documents
+ * @returns {Promise<Map<string, Template>>} - Templates keyed by ID
+ */
+templateSchema.statics.loadFor = async function(assessments) {
+  const defaultTemplate = await this.getDefault();
+  const ids = [...new Set(assessments
+    .filter(a => a.templateId)
+    .map(a => a.templateId.toString()))];
+
+  const templates = await this.find({ _id: { $in: ids } });
+  const byId = new Map(templates.map(t => [t._id.toString(), t]));
+  byId.set(defaultTemplate._id.toString(), defaultTemplate);
+
+  return byId;
+};
+
+/**
+ * Get the template for an assessment from a preloaded template map
+ * @param {Map<string, Template>} templates - Result of loadFor
+ * @param {Object} assessment - Assessment document
+ * @returns {Template}
+ */
+templateSchema.statics.pick = function(templates, assessment) {
+  return (assessment.templateId && templates.get(assessment.templateId.toString()))
+    || Array.from(templates.values()).find(t => t.isDefault);
+};
+
+templateSchema.statics.readMetric = readMetric;
+
+const Template = mongoose.model('Template', templateSchema);
+
+module.exports = Template;
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// E-mails a user can turn off; all are on by default
+const NOTIFICATION_EVENTS = ['assessmentShared', 'assessmentFinalized', 'cycleDueSoon'];
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -36,7 +39,8 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
-  }
+  },
+  notifications: Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, { type: Boolean, default: true }]))
 }, {
   timestamps: true
 });
@@ -71,6 +75,15 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Check whether the user wants e-mails about an event
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @returns {boolean}
+ */
+userSchema.methods.wantsMail = function(event) {
+  return !this.notifications || this.notifications[event] !== false;
+};
+
 /**
  * Get user info without sensitive data
  * @returns {Object} - User object without password
@@ -82,6 +95,8 @@ userSchema.methods.toJSON = function() {
   return user;
 };
 
+userSchema.statics.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
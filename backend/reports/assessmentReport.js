@@ -0,0 +1,184 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { decodeText } = require('../utils/html');
+const { layoutPolarChart, drawPolarChart, parseColor } = require('./polarChart');
+
+/**
+ * PDF report of one assessment, rendered without a browser or network access:
+ * logo, employee and date, polar chart, theme averages and a rating table
+ * with labels and comments
+ */
+
+// Logos shipped with the frontend; brand=3t selects the 3T SoftwareLabs one
+const LOGOS = {
+  std: { file: path.join(__dirname, '../../logo.png'), width: 70 },
+  '3t': { file: path.join(__dirname, '../../3T_logo-250x107.png'), width: 120 }
+};
+
+const MARGIN = 50;
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#666666';
+const RULE_COLOR = '#dddddd';
+
+/**
+ * Draw a table, continuing on new pages as needed
+ * @param {PDFDocument} doc
+ * @param {Object[]} columns - [{ header, width, align? }]
+ * @param {Array[]} rows - Cell text per column; a cell may be { text, swatch } to add a color swatch
+ */
+function drawTable(doc, columns, rows) {
+  const left = MARGIN;
+  const cellPadding = 4;
+  const bottom = doc.page.height - MARGIN;
+
+  const cellText = cell => (cell && typeof cell === 'object' ? cell.text : String(cell ?? ''));
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(9);
+    return Math.max(...cells.map((cell, i) => doc.heightOfString(cellText(cell), { width: columns[i].width - 2 * cellPadding }))) + 2 * cellPadding;
+  };
+
+  const drawRow = (cells, font, fill) => {
+    const height = rowHeight(cells, font);
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      if (font !== 'Helvetica-Bold') drawRow(columns.map(column => column.header), 'Helvetica-Bold', '#f5f5f5');
+    }
+
+    const top = doc.y;
+    if (fill) {
+      doc.rect(left, top, columns.reduce((sum, column) => sum + column.width, 0), height).fill(fill);
+    }
+
+    let x = left;
+    cells.forEach((cell, i) => {
+      let textLeft = x + cellPadding;
+      if (cell && typeof cell === 'object' && cell.swatch) {
+        const color = parseColor(cell.swatch, 0.5);
+        doc.rect(textLeft, top + cellPadding + 1, 8, 8).fillColor(color.rgb, color.opacity).fill();
+        textLeft += 12;
+      }
+      doc.font(font).fontSize(9).fillColor(TEXT_COLOR, 1)
+        .text(cellText(cell), textLeft, top + cellPadding, {
+          width: columns[i].width - 2 * cellPadding - (textLeft - x - cellPadding),
+          align: columns[i].align || 'left'
+        });
+      x += columns[i].width;
+    });
+
+    doc.moveTo(left, top + height).lineTo(x, top + height).lineWidth(0.5).strokeColor(RULE_COLOR, 1).stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.header), 'Helvetica-Bold', '#f5f5f5');
+  rows.forEach(cells => drawRow(cells, 'Helvetica'));
+}
+
+/**
+ * Draw a section heading, starting a new page if little room is left
+ * @param {PDFDocument} doc
+ * @param {string} text
+ */
+function heading(doc, text) {
+  if (doc.y > doc.page.height - MARGIN - 80) {
+    doc.addPage();
+  }
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(TEXT_COLOR, 1).text(text, MARGIN);
+  doc.moveDown(0.4);
+}
+
+/**
+ * Build the PDF report of an assessment
+ * The caller pipes the returned document to the response and ends it
+ * @param {Assessment} assessment - Assessment document
+ * @param {Template} template - Template it was rated against
+ * @param {Object} [options]
+ * @param {string} [options.brand='std'] - 'std' or '3t' logo
+ * @param {Object} [options.assessor] - { firstName, lastName }
+ * @returns {PDFDocument}
+ */
+function buildAssessmentReport(assessment, template, options = {}) {
+  const employeeName = decodeText(assessment.employeeName);
+  const assessmentDate = assessment.assessmentDate.toISOString().split('T')[0];
+  const labels = template.ratingScale.labels || new Map();
+  const ratingLabel = value => (labels instanceof Map ? labels.get(String(value)) : labels[value]) || '';
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `Performance Assessment - ${employeeName}`,
+      Subject: `Assessment of ${assessmentDate}`
+    }
+  });
+  const contentWidth = doc.page.width - 2 * MARGIN;
+
+  // Header: logo, title, employee and date
+  const logo = LOGOS[options.brand] || LOGOS.std;
+  doc.image(logo.file, MARGIN, MARGIN, { width: logo.width });
+  const headerLeft = MARGIN + logo.width + 20;
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT_COLOR, 1)
+    .text('Performance Assessment Report', headerLeft, MARGIN + 4, { width: contentWidth - logo.width - 20 });
+  doc.font('Helvetica-Bold').fontSize(14).text(employeeName, headerLeft);
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR, 1)
+    .text(`Assessment date: ${assessmentDate}`, headerLeft)
+    .text(`Status: ${assessment.status.charAt(0).toUpperCase()}${assessment.status.slice(1)}`, headerLeft);
+  if (options.assessor) {
+    doc.text(`Assessor: ${options.assessor.firstName} ${options.assessor.lastName}`, headerLeft);
+  }
+  doc.y = Math.max(doc.y, MARGIN + logo.width * 0.6) + 20;
+
+  // Chart, centered
+  const chart = layoutPolarChart(template, assessment.metrics, { size: 440, title: `${employeeName} - Results` });
+  drawPolarChart(doc, chart, MARGIN + (contentWidth - chart.width) / 2, doc.y);
+  doc.y += chart.height;
+  doc.x = MARGIN;
+
+  // Theme averages
+  heading(doc, 'Theme Averages');
+  const averages = template.calculateThemeAverages(assessment.metrics);
+  drawTable(doc, [
+    { header: 'Theme', width: contentWidth - 100 },
+    { header: 'Average', width: 100, align: 'right' }
+  ], [
+    ...template.themes.map(theme => [
+      { text: decodeText(theme.name), swatch: theme.color },
+      averages[theme.name].toFixed(2)
+    ]),
+    ['Overall', template.calculateOverallAverage(assessment.metrics).toFixed(2)]
+  ]);
+
+  // Ratings with their scale labels and comments
+  heading(doc, 'Ratings');
+  drawTable(doc, [
+    { header: 'Metric', width: 150 },
+    { header: 'Rating', width: 45, align: 'right' },
+    { header: 'Meaning', width: 80 },
+    { header: 'Comment', width: contentWidth - 275 }
+  ], template.getMetrics().map(metric => {
+    const value = assessment.metrics.get(metric.id);
+    return [
+      { text: decodeText(metric.label), swatch: metric.color },
+      value ?? '',
+      value === undefined ? '' : ratingLabel(value),
+      decodeText(assessment.comments.get(metric.id))
+    ];
+  }));
+
+  if (assessment.summary) {
+    heading(doc, 'Summary');
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR, 1)
+      .text(decodeText(assessment.summary), MARGIN, doc.y, { width: contentWidth });
+  }
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR, 1)
+    .text(`Generated on ${new Date().toISOString().split('T')[0]}`, MARGIN, doc.y, { width: contentWidth, align: 'right' });
+
+  return doc;
+}
+
+module.exports = {
+  buildAssessmentReport
+};
@@ -0,0 +1,382 @@
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { decodeText } = require('../utils/html');
+
+/**
+ * Polar area chart without a browser
+ * Reproduces the styling of the chart in app.js (initializeChart): theme
+ * colors, circular grid with one ring per rating step, angle lines, centered
+ * metric labels and a theme legend. The chart is laid out once as a list of
+ * shapes, which are then drawn into a PDF document or serialized as SVG/PNG.
+ */
+
+// Chart.js defaults used by the browser chart
+const GRID_COLOR = { rgb: [0, 0, 0], opacity: 0.1 };
+const TEXT_COLOR = { rgb: [102, 102, 102], opacity: 1 };
+const TITLE_COLOR = { rgb: [51, 51, 51], opacity: 1 };
+const BACKDROP_COLOR = { rgb: [255, 255, 255], opacity: 0.8 };
+
+// Outline style of a compared assessment (renderComparison in app.js)
+const OVERLAY_FILL = 'rgba(128, 128, 128, 0.25)';
+const OVERLAY_STROKE = 'rgba(96, 96, 96, 0.8)';
+
+// Fonts of the PNG, so it looks the same on every server (dejavu-fonts-ttf)
+const PNG_FONT_FAMILY = 'DejaVu Sans';
+const PNG_FONT_FILES = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf']
+  .map(file => path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf', file));
+
+/**
+ * Convert HSL to RGB
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation 0-100
+ * @param {number} l - Lightness 0-100
+ * @returns {number[]} - [r, g, b] 0-255
+ */
+function hslToRgb(h, s, l) {
+  s /= 100;
+  l /= 100;
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [f(0), f(8), f(4)].map(value => Math.round(value * 255));
+}
+
+/**
+ * Parse a template theme color for a given alpha
+ * Supports rgb(a), hsl(a) and hex colors with the %a alpha placeholder
+ * @param {string} color - Theme color, e.g. 'rgba(255, 99, 132, %a)'
+ * @param {number} alpha - Alpha to substitute for %a
+ * @returns {Object} - { rgb: [r, g, b], opacity }
+ */
+function parseColor(color, alpha) {
+  const css = String(color).replace('%a', String(alpha)).trim();
+
+  const rgb = css.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+  if (rgb) {
+    return { rgb: rgb.slice(1, 4).map(Number), opacity: rgb[4] === undefined ? 1 : Number(rgb[4]) };
+  }
+
+  const hsl = css.match(/^hsla?\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+  if (hsl) {
+    return { rgb: hslToRgb(Number(hsl[1]), Number(hsl[2]), Number(hsl[3])), opacity: hsl[4] === undefined ? 1 : Number(hsl[4]) };
+  }
+
+  const hex = css.match(/^#([0-9a-f]{6})$/i);
+  if (hex) {
+    return { rgb: [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16)), opacity: alpha };
+  }
+
+  return { rgb: [128, 128, 128], opacity: alpha };
+}
+
+/**
+ * Estimate the width of text in Helvetica/Arial, allowing for the slightly
+ * wider DejaVu Sans of the PNG
+ * @param {string} text
+ * @param {number} fontSize
+ * @returns {number}
+ */
+function textWidth(text, fontSize) {
+  return text.length * fontSize * 0.6;
+}
+
+/**
+ * Wrap a label into lines of roughly maxChars characters
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function wrapLabel(text, maxChars) {
+  const lines = [];
+  text.split(' ').forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+}
+
+/**
+ * SVG path of a polar area segment
+ * @returns {string}
+ */
+function segmentPath(cx, cy, radius, startAngle, endAngle) {
+  const point = angle => `${(cx + radius * Math.cos(angle)).toFixed(2)} ${(cy + radius * Math.sin(angle)).toFixed(2)}`;
+  const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+  return `M ${cx.toFixed(2)} ${cy.toFixed(2)} L ${point(startAngle)} A ${radius.toFixed(2)} ${radius.toFixed(2)} 0 ${largeArc} 1 ${point(endAngle)} Z`;
+}
+
+/**
+ * Lay out a polar area chart of an assessment
+ * @param {Template} template - Template the assessment was rated against
+ * @param {Map|Object} metrics - Metric values by ID
+ * @param {Object} [options]
+ * @param {number} [options.size=500] - Width and height
+ * @param {string} [options.title] - Title above the legend
+ * @param {boolean} [options.showLabels=true] - Show metric labels around the chart
+ * @param {Object[]} [options.overlays] - Other assessments to outline: [{ label, metrics }]
+ * @returns {Object} - { width, height, shapes[] } with shapes of type
+ *   path { d, fill?, stroke?, lineWidth }, circle { cx, cy, r, stroke, lineWidth },
+ *   line { x1, y1, x2, y2, stroke, lineWidth }, rect { x, y, width, height, fill },
+ *   text { x, y, text, fontSize, color, anchor: start|middle|end, bold }
+ */
+function layoutPolarChart(template, metrics, options = {}) {
+  const size = options.size || 500;
+  const showLabels = options.showLabels !== false;
+  const { min, max } = template.ratingScale;
+  const overlays = options.overlays || [];
+  const readMetric = (values, id) => (values instanceof Map ? values.get(id) : values[id]);
+
+  const fontSize = Math.max(8, Math.round(size / 50));
+  const padding = fontSize;
+  const shapes = [];
+  let top = padding;
+
+  // Title
+  if (options.title) {
+    const titleSize = Math.round(fontSize * 1.2);
+    shapes.push({ type: 'text', x: size / 2, y: top + titleSize / 2, text: options.title, fontSize: titleSize, color: TITLE_COLOR, anchor: 'middle', bold: true });
+    top += titleSize + padding;
+  }
+
+  // Legend: one entry per theme and per overlay, wrapped into centered rows
+  const swatchWidth = fontSize * 3;
+  const legendEntry = (text, fill, stroke) => ({ text, fill, stroke, width: swatchWidth + fontSize / 2 + textWidth(text, fontSize) });
+  const entries = [
+    ...template.themes.map(theme => legendEntry(decodeText(theme.name), parseColor(theme.color, 0.5), parseColor(theme.color, 1))),
+    ...overlays.map(overlay => legendEntry(overlay.label, parseColor(OVERLAY_FILL, 1), parseColor(OVERLAY_STROKE, 1)))
+  ];
+  const rows = [];
+  entries.forEach(entry => {
+    const row = rows[rows.length - 1];
+    if (row && row.width + padding + entry.width <= size - 2 * padding) {
+      row.entries.push(entry);
+      row.width += padding + entry.width;
+    } else {
+      rows.push({ entries: [entry], width: entry.width });
+    }
+  });
+  rows.forEach(row => {
+    let x = (size - row.width) / 2;
+    const y = top + fontSize / 2;
+    row.entries.forEach(entry => {
+      shapes.push({
+        type: 'rect', x, y: y - fontSize / 2, width: swatchWidth, height: fontSize,
+        fill: entry.fill, stroke: entry.stroke, lineWidth: 1
+      });
+      shapes.push({ type: 'text', x: x + swatchWidth + fontSize / 2, y, text: entry.text, fontSize, color: TEXT_COLOR, anchor: 'start' });
+      x += entry.width + padding;
+    });
+    top += fontSize + padding / 2;
+  });
+  top += padding / 2;
+
+  // Chart area below the legend, leaving room for the labels around it
+  const labelMarginX = showLabels ? fontSize * 10 : padding;
+  const labelMarginY = showLabels ? fontSize * 3 : padding;
+  const radius = Math.max(10, Math.min((size - 2 * labelMarginX) / 2, (size - top - 2 * labelMarginY) / 2));
+  const cx = size / 2;
+  const cy = top + labelMarginY + radius;
+  const scale = value => (Math.min(max, Math.max(min, value)) - min) / (max - min) * radius;
+
+  const chartMetrics = template.getMetrics();
+  const step = (2 * Math.PI) / chartMetrics.length;
+  const startOf = index => -Math.PI / 2 + index * step;
+
+  const addSegments = (values, fill, stroke) => {
+    chartMetrics.forEach((metric, index) => {
+      const value = Number(readMetric(values, metric.id));
+      if (!Number.isFinite(value) || scale(value) <= 0) return;
+      shapes.push({
+        type: 'path',
+        d: segmentPath(cx, cy, scale(value), startOf(index), startOf(index + 1)),
+        fill: parseColor(fill(metric), 0.5),
+        stroke: parseColor(stroke(metric), 1),
+        lineWidth: 1
+      });
+    });
+  };
+
+  // Segments, from the top clockwise like Chart.js, which draws the
+  // assessment itself above the overlays
+  overlays.forEach(overlay => addSegments(overlay.metrics, () => OVERLAY_FILL, () => OVERLAY_STROKE));
+  addSegments(metrics, metric => metric.color, metric => metric.color);
+
+  // Circular grid, one ring per rating step, and the angle lines
+  for (let tick = min + 1; tick <= max; tick++) {
+    shapes.push({ type: 'circle', cx, cy, r: scale(tick), stroke: GRID_COLOR, lineWidth: 1 });
+  }
+  chartMetrics.forEach((metric, index) => {
+    const angle = startOf(index);
+    shapes.push({
+      type: 'line', x1: cx, y1: cy, x2: cx + radius * Math.cos(angle), y2: cy + radius * Math.sin(angle),
+      stroke: GRID_COLOR, lineWidth: 1
+    });
+  });
+
+  // Metric labels centered on their segment
+  if (showLabels) {
+    chartMetrics.forEach((metric, index) => {
+      const angle = startOf(index) + step / 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const lines = wrapLabel(decodeText(metric.label), 16);
+      const x = cx + (radius + fontSize * 0.8) * cos;
+      const blockHeight = lines.length * fontSize * 1.1;
+      // Labels above the center grow upwards, below it downwards
+      const yStart = cy + (radius + fontSize * 0.8) * sin + (sin < -0.2 ? -blockHeight : (sin > 0.2 ? 0 : -blockHeight / 2));
+      const anchor = cos > 0.05 ? 'start' : (cos < -0.05 ? 'end' : 'middle');
+
+      lines.forEach((line, lineIndex) => {
+        shapes.push({
+          type: 'text', x, y: yStart + (lineIndex + 0.5) * fontSize * 1.1,
+          text: line, fontSize, color: TEXT_COLOR, anchor
+        });
+      });
+    });
+  }
+
+  // Tick values up the vertical axis, on a light backdrop
+  for (let tick = min; tick <= max; tick++) {
+    const y = cy - scale(tick);
+    const width = textWidth(String(tick), fontSize) + 4;
+    shapes.push({ type: 'rect', x: cx - width / 2, y: y - fontSize / 2 - 1, width, height: fontSize + 2, fill: BACKDROP_COLOR });
+    shapes.push({ type: 'text', x: cx, y, text: String(tick), fontSize, color: TEXT_COLOR, anchor: 'middle' });
+  }
+
+  return { width: size, height: Math.ceil(cy + radius + labelMarginY), shapes };
+}
+
+/**
+ * Draw a laid-out chart into a PDFKit document
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} chart - Result of layoutPolarChart
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ */
+function drawPolarChart(doc, chart, x, y) {
+  // Drawing text moves the document cursor; keep it where the caller left it
+  const cursor = { x: doc.x, y: doc.y };
+  doc.save();
+  doc.translate(x, y);
+
+  chart.shapes.forEach(shape => {
+    if (shape.type === 'text') {
+      doc.font(shape.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(shape.fontSize);
+      const width = doc.widthOfString(shape.text);
+      const left = shape.anchor === 'middle' ? shape.x - width / 2 : (shape.anchor === 'end' ? shape.x - width : shape.x);
+      doc.fillColor(shape.color.rgb, shape.color.opacity)
+        .text(shape.text, left, shape.y, { lineBreak: false, baseline: 'middle' });
+      return;
+    }
+
+    if (shape.type === 'path') {
+      doc.path(shape.d);
+    } else if (shape.type === 'circle') {
+      doc.circle(shape.cx, shape.cy, shape.r);
+    } else if (shape.type === 'line') {
+      doc.moveTo(shape.x1, shape.y1).lineTo(shape.x2, shape.y2);
+    } else if (shape.type === 'rect') {
+      doc.rect(shape.x, shape.y, shape.width, shape.height);
+    }
+
+    if (shape.stroke) {
+      doc.lineWidth(shape.lineWidth || 1).strokeColor(shape.stroke.rgb, shape.stroke.opacity);
+    }
+    if (shape.fill) {
+      doc.fillColor(shape.fill.rgb, shape.fill.opacity);
+    }
+    if (shape.fill && shape.stroke) {
+      doc.fillAndStroke();
+    } else if (shape.fill) {
+      doc.fill();
+    } else {
+      doc.stroke();
+    }
+  });
+
+  doc.restore();
+  doc.x = cursor.x;
+  doc.y = cursor.y;
+}
+
+/**
+ * Escape text for SVG markup
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXML(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[char]));
+}
+
+/**
+ * SVG paint attributes of a parsed color
+ * @param {string} name - 'fill' or 'stroke'
+ * @param {Object} [color] - { rgb, opacity }
+ * @returns {string}
+ */
+function svgPaint(name, color) {
+  if (!color) return `${name}="none"`;
+  return `${name}="rgb(${color.rgb.join(',')})"${color.opacity < 1 ? ` ${name}-opacity="${color.opacity}"` : ''}`;
+}
+
+/**
+ * Serialize a laid-out chart as a standalone SVG document
+ * @param {Object} chart - Result of layoutPolarChart
+ * @returns {string}
+ */
+function renderPolarChartSVG(chart) {
+  const elements = chart.shapes.map(shape => {
+    const stroke = shape.stroke ? ` ${svgPaint('stroke', shape.stroke)} stroke-width="${shape.lineWidth || 1}"` : '';
+
+    if (shape.type === 'text') {
+      return `<text x="${shape.x.toFixed(2)}" y="${shape.y.toFixed(2)}" font-size="${shape.fontSize}"` +
+        `${shape.bold ? ' font-weight="bold"' : ''} text-anchor="${shape.anchor}" dominant-baseline="central" ` +
+        `${svgPaint('fill', shape.color)}>${escapeXML(shape.text)}</text>`;
+    }
+    if (shape.type === 'path') {
+      return `<path d="${shape.d}" ${svgPaint('fill', shape.fill)}${stroke}/>`;
+    }
+    if (shape.type === 'circle') {
+      return `<circle cx="${shape.cx.toFixed(2)}" cy="${shape.cy.toFixed(2)}" r="${shape.r.toFixed(2)}" ${svgPaint('fill', shape.fill)}${stroke}/>`;
+    }
+    if (shape.type === 'line') {
+      return `<line x1="${shape.x1.toFixed(2)}" y1="${shape.y1.toFixed(2)}" x2="${shape.x2.toFixed(2)}" y2="${shape.y2.toFixed(2)}"${stroke}/>`;
+    }
+    return `<rect x="${shape.x.toFixed(2)}" y="${shape.y.toFixed(2)}" width="${shape.width.toFixed(2)}" height="${shape.height.toFixed(2)}" ${svgPaint('fill', shape.fill)}${stroke}/>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${chart.width}" height="${chart.height}" viewBox="0 0 ${chart.width} ${chart.height}" ` +
+    `font-family="Helvetica, Arial, Liberation Sans, DejaVu Sans, sans-serif">\n${elements.join('\n')}\n</svg>\n`;
+}
+
+/**
+ * Rasterize a laid-out chart as PNG on a white background
+ * Text uses the bundled DejaVu Sans rather than the fonts installed on the server
+ * @param {Object} chart - Result of layoutPolarChart
+ * @returns {Buffer}
+ */
+function renderPolarChartPNG(chart) {
+  const resvg = new Resvg(renderPolarChartSVG(chart), {
+    background: 'white',
+    font: {
+      fontFiles: PNG_FONT_FILES,
+      loadSystemFonts: false,
+      defaultFontFamily: PNG_FONT_FAMILY,
+      sansSerifFamily: PNG_FONT_FAMILY
+    }
+  });
+  return resvg.render().asPng();
+}
+
+module.exports = {
+  layoutPolarChart,
+  drawPolarChart,
+  renderPolarChartSVG,
+  renderPolarChartPNG,
+  parseColor
+};
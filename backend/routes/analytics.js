@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { getBenchmarks } = require('../controllers/analyticsController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/analytics/benchmarks
+ * Mean, median, standard deviation and quartiles per metric, per theme and overall
+ * Query params: templateId, startDate, endDate, status, department, tag, latestOnly, excludeEmployeeId
+ * Returns: { template, assessmentCount, metrics{}, themes{}, overall }
+ */
+router.get('/benchmarks', getBenchmarks);
+
+module.exports = router;
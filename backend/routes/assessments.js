@@ -4,13 +4,40 @@ const multer = require('multer');
 const {
   getAssessments,
   getAssessment,
+  getSelfAssessment,
   createAssessment,
   updateAssessment,
   deleteAssessment,
+  changeStatus,
   importFromCSV,
-  exportToCSV
+  exportToCSV,
+  importFromXLSX,
+  exportToXLSX,
+  bulkAssessments
 } = require('../controllers/assessmentController');
-const { validateAssessment } = require('../middleware/validation');
+const {
+  getRevisions,
+  getRevision,
+  restoreRevision
+} = require('../controllers/revisionController');
+const {
+  getShares,
+  addShare,
+  removeShare
+} = require('../controllers/shareController');
+const { compareAssessments } = require('../controllers/analyticsController');
+const { getAssessmentReport, getChartSVG, getChartPNG } = require('../controllers/reportController');
+const { getTrash, restoreAssessment, deletePermanently } = require('../controllers/trashController');
+const { getTags, renameTag } = require('../controllers/tagController');
+const {
+  validateAssessment,
+  validateAssessmentQuery,
+  validateImport,
+  validateBulk,
+  validateStatusChange,
+  validateShare,
+  validateTagRename
+} = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/authMiddleware');
 
 // Configure multer for CSV file uploads (memory storage)
@@ -28,62 +55,231 @@ const upload = multer({
   }
 });
 
+// Same for Excel workbook uploads
+const xlsxUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || file.originalname.endsWith('.xlsx')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only Excel (.xlsx) files are allowed'));
+    }
+  }
+});
+
 // All routes require authentication
 router.use(authenticateToken);
 
 /**
  * GET /api/assessments
  * Get all assessments for logged-in user
- * Query params: page, limit, employeeName, startDate, endDate
+ * Query params: page, limit, employeeId, employeeName, startDate, endDate, status (comma-separated),
+ *   tag (comma-separated, all must be present), cycleId,
+ *   shared=true (assessments other users shared with you, with owner and permission),
+ *   average[op], theme[name][op], metric[id][op] ranges (op: lt, lte, gt, gte),
+ *   sort (employeeName, assessmentDate, overallAverage, status, createdAt), order (asc or desc)
  * Returns: { assessments[], pagination }
  */
-router.get('/', getAssessments);
+router.get('/', validateAssessmentQuery, getAssessments);
+
+/**
+ * GET /api/assessments/trash
+ * List your deleted assessments, most recently deleted first
+ * Query params: page, limit
+ * Returns: { assessments[] (with deletedAt, purgeAt), retentionDays, pagination }
+ */
+router.get('/trash', getTrash);
+
+/**
+ * GET /api/assessments/tags
+ * List the tags on your assessments (outside the trash) alphabetically
+ * Returns: { tags[{ name, count }] }
+ */
+router.get('/tags', getTags);
+
+/**
+ * PUT /api/assessments/tags/:tag
+ * Rename a tag on all your assessments; renaming to a tag in use merges them
+ * Body: { name }
+ * Returns: { message, name, merged, count }
+ */
+router.put('/tags/:tag', validateTagRename, renameTag);
 
 /**
  * GET /api/assessments/export-csv
- * Export assessments to CSV
- * Query params: ids (comma-separated) OR employeeName, startDate, endDate
- * Returns: CSV file download
+ * Export assessments to CSV (own, or shared with you)
+ * Query params: ids (comma-separated) OR the list filters; sort, order;
+ * columns? (themeAverages, overallAverage, createdAt, updatedAt, assessor)
+ * Returns: CSV file download (streamed)
+ */
+router.get('/export-csv', validateAssessmentQuery, exportToCSV);
+
+/**
+ * GET /api/assessments/export-xlsx
+ * Export assessments to an Excel workbook (own, or shared with you)
+ * Query params: as for export-csv, without columns
+ * Returns: XLSX file download with "Metrics" and "Theme Averages" sheets
+ */
+router.get('/export-xlsx', validateAssessmentQuery, exportToXLSX);
+
+/**
+ * GET /api/assessments/compare
+ * Compare 2-4 assessments, oldest first, with deltas to the previous one
+ * Query params: ids (comma-separated)
+ * Returns: { assessments[], themes[{ name, values[], deltas[], metrics[{ id, label, values[], deltas[] }] }], overall }
  */
-router.get('/export-csv', exportToCSV);
+router.get('/compare', compareAssessments);
 
 /**
  * GET /api/assessments/:id
- * Get single assessment by ID
- * Returns: Assessment object
+ * Get single assessment by ID (owner, or shared with view or edit permission)
+ * Returns: Assessment object with permission ('owner', 'edit' or 'view')
  */
 router.get('/:id', getAssessment);
 
+/**
+ * GET /api/assessments/:id/self-assessment
+ * Get the employee's latest self-assessment submitted via the user's invitations
+ * Returns: { selfAssessment } (null if none)
+ */
+router.get('/:id/self-assessment', getSelfAssessment);
+
+/**
+ * GET /api/assessments/:id/report.pdf
+ * PDF report with logo, polar chart, theme averages, ratings and comments (own, or shared with you)
+ * Query params: brand? (std or 3t)
+ * Returns: PDF file download
+ */
+router.get('/:id/report.pdf', getAssessmentReport);
+
+/**
+ * GET /api/assessments/:id/chart.svg
+ * GET /api/assessments/:id/chart.png
+ * Polar area chart rendered on the server, styled like the assessment page (own, or shared with you)
+ * Query params: size? (100-2000, default 500), overlay? (assessment ID to outline), labels? (false to hide metric labels)
+ * Returns: SVG or PNG image
+ */
+router.get('/:id/chart.svg', getChartSVG);
+router.get('/:id/chart.png', getChartPNG);
+
+/**
+ * GET /api/assessments/:id/revisions
+ * List revisions of an assessment (newest first, without snapshots)
+ * Returns: { currentVersion, revisions[] }
+ */
+router.get('/:id/revisions', getRevisions);
+
+/**
+ * GET /api/assessments/:id/revisions/:n
+ * Get a single revision including the full snapshot
+ * Returns: Revision object
+ */
+router.get('/:id/revisions/:n', getRevision);
+
+/**
+ * POST /api/assessments/:id/revisions/:n/restore
+ * Restore the assessment to revision n (recorded as a new revision)
+ * Returns: { assessment }
+ */
+router.post('/:id/revisions/:n/restore', restoreRevision);
+
+/**
+ * GET /api/assessments/:id/shares
+ * List users and groups the assessment is shared with (owner only)
+ * Returns: { shares[{ _id, userId | groupId, permission, sharedBy, sharedAt }] }
+ */
+router.get('/:id/shares', getShares);
+
+/**
+ * POST /api/assessments/:id/shares
+ * Share with a user or group, or change their permission (owner only)
+ * Body: { email | groupId, permission: 'view' | 'edit' }
+ * Returns: { shares[] }
+ */
+router.post('/:id/shares', validateShare, addShare);
+
+/**
+ * DELETE /api/assessments/:id/shares/:shareId
+ * Stop sharing with a user or group (owner only)
+ * Returns: { shares[] }
+ */
+router.delete('/:id/shares/:shareId', removeShare);
+
 /**
  * POST /api/assessments
  * Create new assessment
- * Body: { employeeName, assessmentDate?, metrics }
+ * Body: { employeeName, assessmentDate?, templateId?, metrics, comments?, summary?, tags[]?, cycleId? }
  * Returns: { assessment }
  */
 router.post('/', validateAssessment, createAssessment);
 
 /**
  * POST /api/assessments/import-csv
- * Import assessment from CSV file
+ * Import assessment from a "Categories,Ratings" CSV file, or one assessment
+ * per row from the multi-assessment export
  * Content-Type: multipart/form-data
- * Body: CSV file + employeeName
- * Returns: { assessment, errors? }
+ * Body: CSV file + employeeName (single format only), templateId?, dryRun?
+ * Returns: { assessment, errors? } or { assessments, imported, total, rowErrors, errors? }
  */
-router.post('/import-csv', upload.single('csvFile'), importFromCSV);
+router.post('/import-csv', upload.single('csvFile'), validateImport, importFromCSV);
+
+/**
+ * POST /api/assessments/import-xlsx
+ * Import one assessment per row of the "Metrics" sheet, in the layout of the export
+ * Content-Type: multipart/form-data
+ * Body: XLSX file (xlsxFile) + templateId?, dryRun?
+ * Returns: { assessments, imported, total, rowErrors, errors? }
+ */
+router.post('/import-xlsx', xlsxUpload.single('xlsxFile'), validateImport, importFromXLSX);
+
+/**
+ * POST /api/assessments/bulk
+ * Apply one action to up to 500 assessments, each checked like its single endpoint
+ * Body: { action: 'delete' | 'status' | 'tag' | 'untag' | 'export', ids[], status? (for status), tags[]? (for tag and untag),
+ *   format? (csv or xlsx) and columns? (for export) }
+ * Returns: { message, succeeded, failed, results[{ id, success, code?, message? }] }, or the export file
+ */
+router.post('/bulk', validateBulk, bulkAssessments);
 
 /**
  * PUT /api/assessments/:id
- * Update existing assessment
- * Body: { employeeName?, assessmentDate?, metrics? }
+ * Update existing assessment (owner or edit permission; not allowed once finalized or its cycle is closed)
+ * Body: { employeeName?, assessmentDate?, metrics?, comments?, summary?, tags[]?, cycleId? (null detaches) }
  * Returns: { assessment }
  */
 router.put('/:id', validateAssessment, updateAssessment);
 
+/**
+ * POST /api/assessments/:id/status
+ * Change status: draft -> submitted -> finalized
+ * Finalized assessments reject changes and deletes; only admins can reopen them
+ * Body: { status }
+ * Returns: { assessment }
+ */
+router.post('/:id/status', validateStatusChange, changeStatus);
+
 /**
  * DELETE /api/assessments/:id
- * Delete assessment
+ * Move assessment to the trash (owner only; not allowed once finalized)
  * Returns: { message }
  */
 router.delete('/:id', deleteAssessment);
 
+/**
+ * POST /api/assessments/:id/restore
+ * Restore an assessment from your trash
+ * Returns: { message }
+ */
+router.post('/:id/restore', restoreAssessment);
+
+/**
+ * DELETE /api/assessments/:id/permanent
+ * Permanently delete an assessment in your trash, with its revisions
+ * Returns: { message }
+ */
+router.delete('/:id/permanent', deletePermanently);
+
 module.exports = router;
@@ -6,11 +6,14 @@ const {
   login,
   getCurrentUser,
   getAuthConfig,
+  getNotifications,
+  updateNotifications,
   logout
 } = require('../controllers/authController');
 const {
   validateRegistration,
-  validateLogin
+  validateLogin,
+  validateNotifications
 } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/authMiddleware');
 
@@ -53,6 +56,23 @@ router.post('/login', authLimiter, validateLogin, login);
  */
 router.get('/me', authenticateToken, getCurrentUser);
 
+/**
+ * GET /api/auth/notifications
+ * Get the user's e-mail notification settings
+ * Requires: Authorization header with Bearer token
+ * Returns: { notifications: { assessmentShared, assessmentFinalized, cycleDueSoon }, mailEnabled }
+ */
+router.get('/notifications', authenticateToken, getNotifications);
+
+/**
+ * PUT /api/auth/notifications
+ * Turn e-mail notifications on or off
+ * Requires: Authorization header with Bearer token
+ * Body: { assessmentShared?, assessmentFinalized?, cycleDueSoon? } (booleans)
+ * Returns: { notifications, mailEnabled }
+ */
+router.put('/notifications', authenticateToken, validateNotifications, updateNotifications);
+
 /**
  * POST /api/auth/logout
  * Logout (client-side token removal)
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCycles,
+  getCycle,
+  createCycle,
+  updateCycle,
+  closeCycle,
+  reopenCycle,
+  deleteCycle
+} = require('../controllers/cycleController');
+const { validateCycle } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/cycles
+ * Get review cycles the user organizes or assesses in, with completion counts
+ * Query params: status (open|closed)
+ * Returns: { cycles[] (with counts, overdue) }
+ */
+router.get('/', getCycles);
+
+/**
+ * GET /api/cycles/:id
+ * Get cycle with its completion dashboard (no scores)
+ * Returns: Cycle object with assessors[], isOrganizer and
+ *   completion: { counts: { employees, assessed, missing, draft, submitted, finalized }, overdue,
+ *   employees[{ employee, state, assessments[{ _id, status, assessorId }] }] }
+ */
+router.get('/:id', getCycle);
+
+/**
+ * POST /api/cycles
+ * Create new review cycle; the creator organizes it
+ * Body: { name, startDate, endDate, dueDate, employeeIds[], assessorEmails[] }
+ * Returns: { cycle }
+ */
+router.post('/', validateCycle, createCycle);
+
+/**
+ * PUT /api/cycles/:id
+ * Update open cycle (organizer only)
+ * Body: { name, startDate, endDate, dueDate, employeeIds[], assessorEmails[] }
+ * Returns: { cycle }
+ */
+router.put('/:id', validateCycle, updateCycle);
+
+/**
+ * POST /api/cycles/:id/close
+ * Close cycle and make its assessments read-only (organizer only)
+ * Returns: { cycle }
+ */
+router.post('/:id/close', closeCycle);
+
+/**
+ * POST /api/cycles/:id/reopen
+ * Reopen cycle and unlock its assessments (organizer only)
+ * Returns: { cycle }
+ */
+router.post('/:id/reopen', reopenCycle);
+
+/**
+ * DELETE /api/cycles/:id
+ * Delete cycle without assessments (organizer only)
+ * Returns: { message }
+ */
+router.delete('/:id', deleteCycle);
+
+module.exports = router;
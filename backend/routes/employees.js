@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEmployees,
+  getEmployee,
+  createEmployee,
+  updateEmployee,
+  deleteEmployee,
+  mergeEmployees
+} = require('../controllers/employeeController');
+const { getEmployeeTrends } = require('../controllers/analyticsController');
+const { validateEmployee, validateEmployeeMerge } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/employees
+ * Search employees (used by the employee pickers)
+ * Query params: q, department, active (true|false|all), page, limit
+ * Returns: { employees[], pagination }
+ */
+router.get('/', getEmployees);
+
+/**
+ * GET /api/employees/:id
+ * Get single employee by ID
+ * Returns: Employee object
+ */
+router.get('/:id', getEmployee);
+
+/**
+ * GET /api/employees/:id/trends
+ * Scores of the employee's assessments over time, oldest first
+ * Query params: startDate, endDate, status
+ * Returns: { employee, ratingScale, themes[], metrics[], points[{ assessmentDate, overallAverage, themeAverages, metrics, change }] }
+ */
+router.get('/:id/trends', getEmployeeTrends);
+
+/**
+ * POST /api/employees
+ * Create new employee
+ * Body: { name, email?, department?, jobTitle?, managerId?, active? }
+ * Returns: { employee }
+ */
+router.post('/', validateEmployee, createEmployee);
+
+/**
+ * PUT /api/employees/:id
+ * Update employee; a rename is applied to their assessments
+ * Body: { name, email?, department?, jobTitle?, managerId?, active? }
+ * Returns: { employee }
+ */
+router.put('/:id', validateEmployee, updateEmployee);
+
+/**
+ * POST /api/employees/:id/merge
+ * Merge duplicate employees into this one (admin only)
+ * Body: { sourceIds[] }
+ * Returns: { employee, assessmentsMoved }
+ */
+router.post('/:id/merge', requireRole('admin'), validateEmployeeMerge, mergeEmployees);
+
+/**
+ * DELETE /api/employees/:id
+ * Delete employee without assessments (admin only)
+ * Returns: { message }
+ */
+router.delete('/:id', requireRole('admin'), deleteEmployee);
+
+module.exports = router;
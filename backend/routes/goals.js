@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGoals,
+  createGoal,
+  updateGoal,
+  deleteGoal
+} = require('../controllers/goalController');
+const { validateGoal, validateGoalQuery } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/goals
+ * Get the user's development goals, soonest target date first
+ * Query params: employeeId, metricId, status (comma-separated)
+ * Returns: { goals[] (with since, baseline and result: { assessmentId, assessmentDate, score, met }) }
+ */
+router.get('/', validateGoalQuery, getGoals);
+
+/**
+ * POST /api/goals
+ * Create new goal
+ * Body: { employeeId, metricId?, description, owner, targetDate, targetScore?, status?, assessmentId? }
+ * Returns: { goal }
+ */
+router.post('/', validateGoal, createGoal);
+
+/**
+ * PUT /api/goals/:id
+ * Update goal
+ * Body: { employeeId, metricId?, description, owner, targetDate, targetScore?, status?, assessmentId? }
+ * Returns: { goal }
+ */
+router.put('/:id', validateGoal, updateGoal);
+
+/**
+ * DELETE /api/goals/:id
+ * Delete goal
+ * Returns: { message }
+ */
+router.delete('/:id', deleteGoal);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup
+} = require('../controllers/groupController');
+const { validateGroup } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/groups
+ * Get all groups with their members
+ * Returns: { groups[] }
+ */
+router.get('/', getGroups);
+
+/**
+ * POST /api/groups
+ * Create new group (admin only)
+ * Body: { name, description?, memberEmails[] }
+ * Returns: { group }
+ */
+router.post('/', requireRole('admin'), validateGroup, createGroup);
+
+/**
+ * PUT /api/groups/:id
+ * Update group (admin only)
+ * Body: { name, description?, memberEmails? }
+ * Returns: { group }
+ */
+router.put('/:id', requireRole('admin'), validateGroup, updateGroup);
+
+/**
+ * DELETE /api/groups/:id
+ * Delete group and its shares (admin only)
+ * Returns: { message }
+ */
+router.delete('/:id', requireRole('admin'), deleteGroup);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const {
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  getInvitationForm,
+  submitSelfAssessment
+} = require('../controllers/invitationController');
+const { validateInvitation, validateSelfAssessment } = require('../middleware/validation');
+const { authenticateToken, authenticateInvitation } = require('../middleware/authMiddleware');
+
+// Rate limiter for the public invitation link endpoints
+const invitationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 requests per window
+  message: 'Too many requests, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * GET /api/invitations/token/:token
+ * Load the self-assessment form of an invitation link (public endpoint)
+ * Returns: { employeeName, assessorName, expiresAt, template }
+ */
+router.get('/token/:token', invitationLimiter, authenticateInvitation, getInvitationForm);
+
+/**
+ * POST /api/invitations/token/:token/submit
+ * Submit the self-assessment of an invitation link (public endpoint, once per link)
+ * Body: { metrics, comments?, summary? }
+ * Returns: { message }
+ */
+router.post('/token/:token/submit', invitationLimiter, authenticateInvitation, validateSelfAssessment, submitSelfAssessment);
+
+/**
+ * GET /api/invitations
+ * Get invitations issued by the user (protected)
+ * Query params: employeeId
+ * Returns: { invitations[] } with status and, while pending, the link url
+ */
+router.get('/', authenticateToken, getInvitations);
+
+/**
+ * POST /api/invitations
+ * Issue a self-assessment invitation link (protected)
+ * Body: { employeeId, templateId?, expiresInDays? (1-30, default 7) }
+ * Returns: { invitation } including the link url
+ */
+router.post('/', authenticateToken, validateInvitation, createInvitation);
+
+/**
+ * DELETE /api/invitations/:id
+ * Revoke an unused invitation (protected, assessor only)
+ * Returns: { invitation }
+ */
+router.delete('/:id', authenticateToken, revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReviews,
+  getReview,
+  createReview,
+  updateReview,
+  closeReview,
+  deleteReview,
+  getReviewResults
+} = require('../controllers/reviewController');
+const { validateReview } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/reviews
+ * Get reviews the user organizes or rates in
+ * Query params: status (open|closed)
+ * Returns: { reviews[] }
+ */
+router.get('/', getReviews);
+
+/**
+ * GET /api/reviews/:id
+ * Get review with each rater's submission state (no scores)
+ * Returns: Review object with raters[{ user, role, submitted }], mySubmission, isOrganizer
+ */
+router.get('/:id', getReview);
+
+/**
+ * GET /api/reviews/:id/results
+ * Combined scores of a closed review
+ * Returns: { review, template, submissionCount, metrics[], themes[], overall }
+ */
+router.get('/:id/results', getReviewResults);
+
+/**
+ * POST /api/reviews
+ * Create new review; the creator organizes it
+ * Body: { title?, employeeId, templateId?, periodStart, periodEnd, raters[{ email, role }] }
+ * Returns: { review }
+ */
+router.post('/', validateReview, createReview);
+
+/**
+ * PUT /api/reviews/:id
+ * Update open review (organizer only)
+ * Body: { title?, employeeId, templateId?, periodStart, periodEnd, raters[{ email, role }] }
+ * Returns: { review }
+ */
+router.put('/:id', validateReview, updateReview);
+
+/**
+ * POST /api/reviews/:id/close
+ * Close review and finalize submitted assessments (organizer only)
+ * Returns: { review }
+ */
+router.post('/:id/close', closeReview);
+
+/**
+ * DELETE /api/reviews/:id
+ * Delete review without submissions (organizer only)
+ * Returns: { message }
+ */
+router.delete('/:id', deleteReview);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getDefaultTemplate,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { validateTemplate } = require('../middleware/validation');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/templates
+ * Get all assessment templates (default first)
+ * Returns: { templates[] }
+ */
+router.get('/', getTemplates);
+
+/**
+ * GET /api/templates/default
+ * Get the default template (seeded on first use)
+ * Returns: Template object
+ */
+router.get('/default', getDefaultTemplate);
+
+/**
+ * GET /api/templates/:id
+ * Get single template by ID
+ * Returns: Template object
+ */
+router.get('/:id', getTemplate);
+
+/**
+ * POST /api/templates
+ * Create new template (admin only)
+ * Body: { name, description?, ratingScale?, themes[] }
+ * Returns: { template }
+ */
+router.post('/', requireRole('admin'), validateTemplate, createTemplate);
+
+/**
+ * PUT /api/templates/:id
+ * Update template (admin only)
+ * Body: { name, description?, ratingScale?, themes[] }
+ * Returns: { template }
+ */
+router.put('/:id', requireRole('admin'), validateTemplate, updateTemplate);
+
+/**
+ * DELETE /api/templates/:id
+ * Delete unused, non-default template (admin only)
+ * Returns: { message }
+ */
+router.delete('/:id', requireRole('admin'), deleteTemplate);
+
+module.exports = router;
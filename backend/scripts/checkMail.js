@@ -0,0 +1,119 @@
+/**
+ * Check the mail setup: send every e-mail template with sample data
+ *
+ * The e-mails go through the SMTP server configured in .env (see
+ * config/mail.js) to the given address. When MAILHOG_API_URL is set, or
+ * SMTP_PORT is MailHog's 1025, MailHog's API is then searched to confirm
+ * each e-mail arrived (default http://localhost:8025).
+ *
+ * Usage: npm run mail:check -- you@example.com
+ */
+require('dotenv').config();
+const { isMailEnabled } = require('../config/mail');
+const { TEMPLATES, render } = require('../mail/templates');
+const { sendMail } = require('../mail/notifications');
+
+// Sample values, with characters that are stored escaped or need MIME encoding
+const SAMPLE_DATA = {
+  firstName: 'Alex',
+  sharedBy: 'Sam Lüthi',
+  finalizedBy: 'Sam Lee',
+  assessorName: 'Sam Lee',
+  employeeName: 'Jamie O&#x27;Brien',
+  assessmentDate: 'Oct 19, 2026',
+  permission: 'view',
+  cycleName: 'H2 &amp; year-end reviews',
+  dueDate: 'Oct 22, 2026',
+  outstanding: 2,
+  employees: 5,
+  expiresAt: 'Oct 26, 2026',
+  assessmentUrl: 'http://localhost:8000/index-std.html?assessmentId=sample&mode=view',
+  cycleUrl: 'http://localhost:8000/cycles.html?cycleId=sample',
+  invitationUrl: 'http://localhost:8000/self-assessment.html?token=sample'
+};
+
+/**
+ * MailHog API base URL, if the messages can be looked up there
+ * @returns {string|null}
+ */
+function mailhogUrl() {
+  if (process.env.MAILHOG_API_URL) return process.env.MAILHOG_API_URL.replace(/\/$/, '');
+  return Number(process.env.SMTP_PORT) === 1025 ? 'http://localhost:8025' : null;
+}
+
+/**
+ * Decode a raw header as MailHog returns it
+ * Nodemailer MIME-encodes subjects with special characters (=?UTF-8?Q?...?=)
+ * and folds long ones over several lines
+ * @param {string} value - Raw header value
+ * @returns {string}
+ */
+function decodeHeader(value) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?') // Whitespace between encoded words is not part of the text
+    .replace(/=\?[^?]+\?([BQ])\?([^?]*)\?=/gi, (match, encoding, text) => (encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1')
+    ).toString())
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Subjects of the messages MailHog holds for an address
+ * @param {string} baseUrl - MailHog API base URL
+ * @param {string} to - Recipient address
+ * @returns {Promise<string[]>}
+ */
+async function mailhogSubjects(baseUrl, to) {
+  const response = await fetch(`${baseUrl}/api/v2/search?kind=to&query=${encodeURIComponent(to)}&limit=250`);
+  if (!response.ok) {
+    throw new Error(`MailHog API answered ${response.status}`);
+  }
+  const { items } = await response.json();
+  return items.flatMap(item => item.Content.Headers.Subject || []).map(decodeHeader);
+}
+
+async function check() {
+  const to = process.argv[2];
+  if (!to) {
+    throw new Error('Usage: npm run mail:check -- you@example.com');
+  }
+  if (!isMailEnabled()) {
+    throw new Error('SMTP_HOST is not set, so e-mail is off');
+  }
+
+  const names = Object.keys(TEMPLATES);
+  let failed = 0;
+  for (const name of names) {
+    if (await sendMail(to, name, SAMPLE_DATA)) {
+      console.log(`✓ Sent ${name}`);
+    } else {
+      console.log(`✗ Could not send ${name}`);
+      failed++;
+    }
+  }
+
+  const baseUrl = mailhogUrl();
+  if (baseUrl) {
+    const received = await mailhogSubjects(baseUrl, to);
+    names.forEach(name => {
+      const { subject } = render(name, SAMPLE_DATA);
+      if (received.includes(subject)) {
+        console.log(`✓ MailHog received "${subject}"`);
+      } else {
+        console.log(`✗ MailHog has no "${subject}"`);
+        failed++;
+      }
+    });
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} check(s) failed`);
+  }
+  console.log(`\n✓ All ${names.length} e-mail(s) sent to ${to}`);
+}
+
+check().catch(error => {
+  console.error('Mail check failed:', error.message);
+  process.exit(1);
+});
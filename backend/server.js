@@ -3,6 +3,9 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const connectDB = require('./config/database');
+const { scheduleTrashPurge } = require('./jobs/purgeTrash');
+const { scheduleCycleReminders } = require('./jobs/cycleReminders');
+const { isMailEnabled } = require('./config/mail');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -10,6 +13,12 @@ const PORT = process.env.PORT || 5000;
 // Connect to MongoDB
 connectDB();
 
+// Remove deleted assessments once their time in the trash is up
+scheduleTrashPurge();
+
+// E-mail assessors when a review cycle they are in is nearly due
+scheduleCycleReminders();
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors({
@@ -30,9 +39,25 @@ if (process.env.NODE_ENV === 'development') {
 // API Routes
 const authRoutes = require('./routes/auth');
 const assessmentRoutes = require('./routes/assessments');
+const templateRoutes = require('./routes/templates');
+const employeeRoutes = require('./routes/employees');
+const analyticsRoutes = require('./routes/analytics');
+const reviewRoutes = require('./routes/reviews');
+const cycleRoutes = require('./routes/cycles');
+const goalRoutes = require('./routes/goals');
+const invitationRoutes = require('./routes/invitations');
+const groupRoutes = require('./routes/groups');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/assessments', assessmentRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/employees', employeeRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/cycles', cycleRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/groups', groupRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -88,6 +113,7 @@ app.listen(PORT, () => {
   console.log(`✓ Server running on port ${PORT}`);
   console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`✓ Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:8000'}`);
+  console.log(`✓ E-mail: ${isMailEnabled() ? `SMTP ${process.env.SMTP_HOST}:${process.env.SMTP_PORT || 587}` : 'disabled (SMTP_HOST not set)'}`);
 });
 
 module.exports = app;
@@ -0,0 +1,34 @@
+/**
+ * HTML entity helpers for text stored escaped by the validation middleware
+ * (express-validator's escape())
+ */
+
+const HTML_ENTITIES = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"',
+  '&#x27;': '\'', '&#x2F;': '/', '&#x5C;': '\\', '&#96;': '`'
+};
+const HTML_ESCAPES = Object.fromEntries(Object.entries(HTML_ENTITIES).map(([entity, char]) => [char, entity]));
+
+/**
+ * Decode text stored escaped, for files and documents read by people rather than browsers
+ * @param {string} value - Stored text
+ * @returns {string}
+ */
+function decodeText(value) {
+  return (value || '').replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => HTML_ENTITIES[entity]);
+}
+
+/**
+ * Escape text the way the validation middleware does
+ * Text that is already escaped (e.g. from an export) is not escaped twice
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeText(value) {
+  return decodeText(value).replace(/[&<>"'/\\`]/g, char => HTML_ESCAPES[char]);
+}
+
+module.exports = {
+  decodeText,
+  escapeText
+};
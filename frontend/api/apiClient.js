@@ -34,9 +34,9 @@ class APIClient {
         headers
       });
 
-      // Handle non-JSON responses (like CSV downloads)
+      // Handle non-JSON responses (like CSV, Excel, PDF and image downloads)
       const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('text/csv')) {
+      if (contentType && (contentType.includes('text/csv') || contentType.includes('spreadsheetml') || contentType.includes('application/pdf') || contentType.startsWith('image/'))) {
         return response;
       }
 
@@ -126,11 +126,31 @@ class APIClient {
     return this.request('/auth/me');
   }
 
+  /**
+   * Get the user's e-mail notification settings
+   * @returns {Promise<Object>} - { notifications: { assessmentShared, assessmentFinalized, cycleDueSoon }, mailEnabled }
+   */
+  async getNotificationSettings() {
+    return this.request('/auth/notifications');
+  }
+
+  /**
+   * Turn e-mail notifications on or off
+   * @param {Object} settings - { assessmentShared?, assessmentFinalized?, cycleDueSoon? } (booleans)
+   * @returns {Promise<Object>} - { notifications, mailEnabled }
+   */
+  async updateNotificationSettings(settings) {
+    return this.request('/auth/notifications', {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    });
+  }
+
   // ==================== Assessment Methods ====================
 
   /**
-   * Get all assessments for logged-in user
-   * @param {Object} filters - { page, limit, employeeName, startDate, endDate }
+   * Get all assessments for logged-in user, or those shared with them
+   * @param {Object} filters - { page, limit, employeeId, employeeName, startDate, endDate, status, shared? }
    * @returns {Promise<Object>} - { assessments, pagination }
    */
   async getAssessments(filters = {}) {
@@ -142,7 +162,7 @@ class APIClient {
   /**
    * Get single assessment by ID
    * @param {string} id - Assessment ID
-   * @returns {Promise<Object>} - Assessment object
+   * @returns {Promise<Object>} - Assessment object with the user's permission (owner, edit or view)
    */
   async getAssessment(id) {
     return this.request(`/assessments/${id}`);
@@ -150,7 +170,7 @@ class APIClient {
 
   /**
    * Create new assessment
-   * @param {Object} data - { employeeName, assessmentDate?, metrics }
+   * @param {Object} data - { employeeId? | employeeName, assessmentDate?, templateId?, metrics, comments?, summary? }
    * @returns {Promise<Object>} - { assessment }
    */
   async createAssessment(data) {
@@ -163,7 +183,7 @@ class APIClient {
   /**
    * Update existing assessment
    * @param {string} id - Assessment ID
-   * @param {Object} data - { employeeName?, assessmentDate?, metrics? }
+   * @param {Object} data - { employeeId?, employeeName?, assessmentDate?, metrics?, comments?, summary? }
    * @returns {Promise<Object>} - { assessment }
    */
   async updateAssessment(id, data) {
@@ -174,7 +194,7 @@ class APIClient {
   }
 
   /**
-   * Delete assessment
+   * Delete assessment (moves it to the trash)
    * @param {string} id - Assessment ID
    * @returns {Promise<Object>} - { message }
    */
@@ -184,24 +204,218 @@ class APIClient {
     });
   }
 
+  /**
+   * List deleted assessments in the trash
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { assessments[] (with deletedAt, purgeAt), retentionDays, pagination }
+   */
+  async getTrash(options = {}) {
+    const params = new URLSearchParams(options).toString();
+    return this.request(`/assessments/trash${params ? `?${params}` : ''}`);
+  }
+
+  /**
+   * Restore an assessment from the trash
+   * @param {string} id - Assessment ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async restoreAssessment(id) {
+    return this.request(`/assessments/${id}/restore`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Permanently delete an assessment in the trash
+   * @param {string} id - Assessment ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteAssessmentPermanently(id) {
+    return this.request(`/assessments/${id}/permanent`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Change assessment status
+   * @param {string} id - Assessment ID
+   * @param {string} status - 'draft', 'submitted' or 'finalized'
+   * @returns {Promise<Object>} - { assessment }
+   */
+  async changeAssessmentStatus(id, status) {
+    return this.request(`/assessments/${id}/status`, {
+      method: 'POST',
+      body: JSON.stringify({ status })
+    });
+  }
+
+  /**
+   * Get the employee's latest self-assessment next to an assessment
+   * @param {string} id - Assessment ID
+   * @returns {Promise<Object>} - { selfAssessment } (null if none)
+   */
+  async getSelfAssessment(id) {
+    return this.request(`/assessments/${id}/self-assessment`);
+  }
+
+  /**
+   * Download the PDF report of an assessment
+   * @param {string} id - Assessment ID
+   * @param {Object} [options] - { brand: 'std' | '3t' }
+   * @returns {Promise<Blob>} - PDF file blob
+   */
+  async getAssessmentReport(id, options = {}) {
+    const params = new URLSearchParams(options).toString();
+    const response = await this.request(`/assessments/${id}/report.pdf${params ? `?${params}` : ''}`);
+    return response.blob();
+  }
+
+  /**
+   * Download the chart of an assessment rendered on the server
+   * @param {string} id - Assessment ID
+   * @param {string} [format='svg'] - 'svg' or 'png'
+   * @param {Object} [options] - { size, overlay (assessment ID), labels ('false' to hide) }
+   * @returns {Promise<Blob>} - Image blob
+   */
+  async getAssessmentChart(id, format = 'svg', options = {}) {
+    const params = new URLSearchParams(options).toString();
+    const response = await this.request(`/assessments/${id}/chart.${format}${params ? `?${params}` : ''}`);
+    return response.blob();
+  }
+
+  /**
+   * List who an assessment is shared with (owner only)
+   * @param {string} id - Assessment ID
+   * @returns {Promise<Object>} - { shares }
+   */
+  async getShares(id) {
+    return this.request(`/assessments/${id}/shares`);
+  }
+
+  /**
+   * Share an assessment with a user or group, or change its permission
+   * @param {string} id - Assessment ID
+   * @param {Object} data - { email? | groupId?, permission: 'view'|'edit' }
+   * @returns {Promise<Object>} - { shares }
+   */
+  async addShare(id, data) {
+    return this.request(`/assessments/${id}/shares`, {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Stop sharing an assessment with a user or group
+   * @param {string} id - Assessment ID
+   * @param {string} shareId - Share ID
+   * @returns {Promise<Object>} - { shares }
+   */
+  async removeShare(id, shareId) {
+    return this.request(`/assessments/${id}/shares/${shareId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Compare assessments side by side
+   * @param {string[]} ids - 2 to 4 assessment IDs
+   * @returns {Promise<Object>} - { assessments, themes, overall }
+   */
+  async compareAssessments(ids) {
+    return this.request(`/assessments/compare?ids=${ids.map(encodeURIComponent).join(',')}`);
+  }
+
+  /**
+   * Get revision history of an assessment
+   * @param {string} id - Assessment ID
+   * @returns {Promise<Object>} - { currentVersion, revisions }
+   */
+  async getRevisions(id) {
+    return this.request(`/assessments/${id}/revisions`);
+  }
+
+  /**
+   * Get a single revision including its snapshot
+   * @param {string} id - Assessment ID
+   * @param {number} number - Revision number
+   * @returns {Promise<Object>} - Revision object
+   */
+  async getRevision(id, number) {
+    return this.request(`/assessments/${id}/revisions/${number}`);
+  }
+
+  /**
+   * Restore an assessment to an earlier revision
+   * @param {string} id - Assessment ID
+   * @param {number} number - Revision number to restore
+   * @returns {Promise<Object>} - { assessment }
+   */
+  async restoreRevision(id, number) {
+    return this.request(`/assessments/${id}/revisions/${number}/restore`, {
+      method: 'POST'
+    });
+  }
+
   /**
    * Import assessment from CSV file
+   * A multi-assessment export is imported as one assessment per row
    * @param {File} file - CSV file
-   * @param {string} employeeName - Employee name
-   * @returns {Promise<Object>} - { assessment, errors? }
+   * @param {string} [employeeName] - Employee name (single-assessment format only)
+   * @param {string} [templateId] - Template the CSV is rated against (default template if omitted)
+   * @param {Object} [options] - { dryRun } to validate without saving
+   * @returns {Promise<Object>} - { assessment, errors? } or { assessments, imported, total, rowErrors, errors? }
    */
-  async importFromCSV(file, employeeName) {
+  async importFromCSV(file, employeeName, templateId, options = {}) {
     const formData = new FormData();
     formData.append('csvFile', file);
-    formData.append('employeeName', employeeName);
+    if (employeeName) {
+      formData.append('employeeName', employeeName);
+    }
+    if (templateId) {
+      formData.append('templateId', templateId);
+    }
+    if (options.dryRun) {
+      formData.append('dryRun', 'true');
+    }
+
+    return this.upload('/assessments/import-csv', formData);
+  }
 
+  /**
+   * Import assessments from an Excel workbook in the layout of exportToXLSX
+   * @param {File} file - XLSX file
+   * @param {string} [templateId] - Template the workbook is rated against (default template if omitted)
+   * @param {Object} [options] - { dryRun } to validate without saving
+   * @returns {Promise<Object>} - { assessments, imported, total, rowErrors, errors? }
+   */
+  async importFromXLSX(file, templateId, options = {}) {
+    const formData = new FormData();
+    formData.append('xlsxFile', file);
+    if (templateId) {
+      formData.append('templateId', templateId);
+    }
+    if (options.dryRun) {
+      formData.append('dryRun', 'true');
+    }
+
+    return this.upload('/assessments/import-xlsx', formData);
+  }
+
+  /**
+   * POST a multipart form with a file
+   * @param {string} endpoint - API endpoint
+   * @param {FormData} formData - Form with the file
+   * @returns {Promise<Object>} - Response data
+   */
+  async upload(endpoint, formData) {
     // Don't set Content-Type header, let browser set it with boundary
     const headers = {};
     if (this.token) {
       headers.Authorization = `Bearer ${this.token}`;
     }
 
-    const response = await fetch(`${this.baseURL}/assessments/import-csv`, {
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
       method: 'POST',
       headers,
       body: formData
@@ -218,7 +432,8 @@ class APIClient {
 
   /**
    * Export assessments to CSV
-   * @param {Object} filters - { ids?, employeeName?, startDate?, endDate? }
+   * @param {Object} filters - { ids?, employeeId?, employeeName?, startDate?, endDate?, status?, columns? }
+   *   columns: comma-separated optional columns (themeAverages, overallAverage, createdAt, updatedAt, assessor)
    * @returns {Promise<Blob>} - CSV file blob
    */
   async exportToCSV(filters = {}) {
@@ -231,6 +446,538 @@ class APIClient {
     const blob = await response.blob();
     return blob;
   }
+
+  /**
+   * Export assessments to an Excel workbook (metrics and theme averages sheets)
+   * @param {Object} filters - { ids?, employeeId?, employeeName?, startDate?, endDate?, status? }
+   * @returns {Promise<Blob>} - XLSX file blob
+   */
+  async exportToXLSX(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/assessments/export-xlsx?${params}` : '/assessments/export-xlsx';
+
+    const response = await this.request(endpoint);
+    return response.blob();
+  }
+
+  /**
+   * Apply one action to several assessments
+   * @param {string} action - 'delete', 'status', 'tag' or 'untag'
+   * @param {string[]} ids - Assessment IDs
+   * @param {Object} [options] - { status } for 'status', { tags } for 'tag' and 'untag'
+   * @returns {Promise<Object>} - { message, succeeded, failed, results[{ id, success, code?, message? }] }
+   */
+  async bulkAssessments(action, ids, options = {}) {
+    return this.request('/assessments/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ action, ids, ...options })
+    });
+  }
+
+  /**
+   * Export several assessments by ID
+   * @param {string[]} ids - Assessment IDs
+   * @param {string} [format='csv'] - 'csv' or 'xlsx'
+   * @returns {Promise<Blob>} - CSV or XLSX file blob
+   */
+  async bulkExport(ids, format = 'csv') {
+    const response = await this.request('/assessments/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'export', ids, format })
+    });
+    return response.blob();
+  }
+
+  /**
+   * List the tags on the user's assessments
+   * @returns {Promise<Object>} - { tags[{ name, count }] }
+   */
+  async getTags() {
+    return this.request('/assessments/tags');
+  }
+
+  /**
+   * Rename a tag on all the user's assessments, merging it into an existing tag of that name
+   * @param {string} tag - Current tag
+   * @param {string} name - New tag
+   * @returns {Promise<Object>} - { message, name, merged, count }
+   */
+  async renameTag(tag, name) {
+    return this.request(`/assessments/tags/${encodeURIComponent(tag)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name })
+    });
+  }
+
+  // ==================== Employee Methods ====================
+
+  /**
+   * Search employees
+   * @param {Object} filters - { q?, department?, active?, page?, limit? }
+   * @returns {Promise<Object>} - { employees, pagination }
+   */
+  async getEmployees(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/employees?${params}` : '/employees';
+    return this.request(endpoint);
+  }
+
+  /**
+   * Get single employee by ID
+   * @param {string} id - Employee ID
+   * @returns {Promise<Object>} - Employee object
+   */
+  async getEmployee(id) {
+    return this.request(`/employees/${id}`);
+  }
+
+  /**
+   * Get an employee's scores over time
+   * @param {string} id - Employee ID
+   * @param {Object} filters - { startDate?, endDate?, status? }
+   * @returns {Promise<Object>} - { employee, ratingScale, themes, metrics, points }
+   */
+  async getEmployeeTrends(id, filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/employees/${id}/trends?${params}` : `/employees/${id}/trends`;
+    return this.request(endpoint);
+  }
+
+  /**
+   * Create new employee
+   * @param {Object} data - { name, email?, department?, jobTitle?, managerId?, active? }
+   * @returns {Promise<Object>} - { employee }
+   */
+  async createEmployee(data) {
+    return this.request('/employees', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Update existing employee
+   * @param {string} id - Employee ID
+   * @param {Object} data - { name, email?, department?, jobTitle?, managerId?, active? }
+   * @returns {Promise<Object>} - { employee }
+   */
+  async updateEmployee(id, data) {
+    return this.request(`/employees/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Delete employee without assessments (admin only)
+   * @param {string} id - Employee ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteEmployee(id) {
+    return this.request(`/employees/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Merge duplicate employees into one (admin only)
+   * @param {string} id - Employee to keep
+   * @param {string[]} sourceIds - Employees to fold into it
+   * @returns {Promise<Object>} - { employee, assessmentsMoved }
+   */
+  async mergeEmployees(id, sourceIds) {
+    return this.request(`/employees/${id}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ sourceIds })
+    });
+  }
+
+  // ==================== Review Methods ====================
+
+  /**
+   * Get 360-degree reviews the user organizes or rates in
+   * @param {Object} filters - { status? }
+   * @returns {Promise<Object>} - { reviews }
+   */
+  async getReviews(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/reviews?${params}` : '/reviews';
+    return this.request(endpoint);
+  }
+
+  /**
+   * Get single review with each rater's submission state
+   * @param {string} id - Review ID
+   * @returns {Promise<Object>} - Review object
+   */
+  async getReview(id) {
+    return this.request(`/reviews/${id}`);
+  }
+
+  /**
+   * Create new review
+   * @param {Object} data - { title?, employeeId, templateId?, periodStart, periodEnd, raters: [{ email, role }] }
+   * @returns {Promise<Object>} - { review }
+   */
+  async createReview(data) {
+    return this.request('/reviews', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Update open review (organizer only)
+   * @param {string} id - Review ID
+   * @param {Object} data - Same fields as createReview
+   * @returns {Promise<Object>} - { review }
+   */
+  async updateReview(id, data) {
+    return this.request(`/reviews/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Close review and lock its submissions (organizer only)
+   * @param {string} id - Review ID
+   * @returns {Promise<Object>} - { review }
+   */
+  async closeReview(id) {
+    return this.request(`/reviews/${id}/close`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Delete review without submissions (organizer only)
+   * @param {string} id - Review ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteReview(id) {
+    return this.request(`/reviews/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Get the combined result of a closed review
+   * @param {string} id - Review ID
+   * @returns {Promise<Object>} - { review, template, submissionCount, metrics, themes, overall }
+   */
+  async getReviewResults(id) {
+    return this.request(`/reviews/${id}/results`);
+  }
+
+  // ==================== Review Cycle Methods ====================
+
+  /**
+   * Get review cycles the user organizes or assesses in
+   * @param {Object} filters - { status? }
+   * @returns {Promise<Object>} - { cycles } with completion counts
+   */
+  async getCycles(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/cycles?${params}` : '/cycles';
+    return this.request(endpoint);
+  }
+
+  /**
+   * Get single review cycle with its completion dashboard
+   * @param {string} id - Cycle ID
+   * @returns {Promise<Object>} - Cycle with assessors, completion and isOrganizer
+   */
+  async getCycle(id) {
+    return this.request(`/cycles/${id}`);
+  }
+
+  /**
+   * Create review cycle
+   * @param {Object} data - { name, startDate, endDate, dueDate, employeeIds[], assessorEmails[] }
+   * @returns {Promise<Object>} - { cycle }
+   */
+  async createCycle(data) {
+    return this.request('/cycles', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Update open review cycle (organizer only)
+   * @param {string} id - Cycle ID
+   * @param {Object} data - As for createCycle
+   * @returns {Promise<Object>} - { cycle }
+   */
+  async updateCycle(id, data) {
+    return this.request(`/cycles/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Close review cycle, making its assessments read-only (organizer only)
+   * @param {string} id - Cycle ID
+   * @returns {Promise<Object>} - { cycle }
+   */
+  async closeCycle(id) {
+    return this.request(`/cycles/${id}/close`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Reopen review cycle (organizer only)
+   * @param {string} id - Cycle ID
+   * @returns {Promise<Object>} - { cycle }
+   */
+  async reopenCycle(id) {
+    return this.request(`/cycles/${id}/reopen`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Delete review cycle without assessments (organizer only)
+   * @param {string} id - Cycle ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteCycle(id) {
+    return this.request(`/cycles/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // ==================== Goal Methods ====================
+
+  /**
+   * Get the user's development goals
+   * @param {Object} filters - { employeeId?, metricId?, status? }
+   * @returns {Promise<Object>} - { goals } with baseline and next assessment result
+   */
+  async getGoals(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/goals?${params}` : '/goals';
+    return this.request(endpoint);
+  }
+
+  /**
+   * Create goal
+   * @param {Object} data - { employeeId, metricId?, description, owner, targetDate, targetScore?, status?, assessmentId? }
+   * @returns {Promise<Object>} - { goal }
+   */
+  async createGoal(data) {
+    return this.request('/goals', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Update goal
+   * @param {string} id - Goal ID
+   * @param {Object} data - As for createGoal
+   * @returns {Promise<Object>} - { goal }
+   */
+  async updateGoal(id, data) {
+    return this.request(`/goals/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Delete goal
+   * @param {string} id - Goal ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteGoal(id) {
+    return this.request(`/goals/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // ==================== Invitation Methods ====================
+
+  /**
+   * Get self-assessment invitations issued by the user
+   * @param {Object} filters - { employeeId? }
+   * @returns {Promise<Object>} - { invitations }
+   */
+  async getInvitations(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/invitations?${params}` : '/invitations';
+    return this.request(endpoint);
+  }
+
+  /**
+   * Issue a self-assessment invitation link
+   * @param {Object} data - { employeeId, templateId?, expiresInDays? }
+   * @returns {Promise<Object>} - { invitation } with the link url, and emailed (true if sent to the employee)
+   */
+  async createInvitation(data) {
+    return this.request('/invitations', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Revoke an unused invitation
+   * @param {string} id - Invitation ID
+   * @returns {Promise<Object>} - { invitation }
+   */
+  async revokeInvitation(id) {
+    return this.request(`/invitations/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Load the self-assessment form of an invitation link (no login needed)
+   * @param {string} token - Token from the invitation link
+   * @returns {Promise<Object>} - { employeeName, assessorName, expiresAt, template }
+   */
+  async getInvitationForm(token) {
+    return this.request(`/invitations/token/${encodeURIComponent(token)}`);
+  }
+
+  /**
+   * Submit a self-assessment via an invitation link (no login needed)
+   * @param {string} token - Token from the invitation link
+   * @param {Object} data - { metrics, comments?, summary? }
+   * @returns {Promise<Object>} - { message }
+   */
+  async submitSelfAssessment(token, data) {
+    return this.request(`/invitations/token/${encodeURIComponent(token)}/submit`, {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  // ==================== Analytics Methods ====================
+
+  /**
+   * Get benchmark statistics across assessments
+   * @param {Object} filters - { templateId?, startDate?, endDate?, status?, department?, tag?, latestOnly?, excludeEmployeeId? }
+   * @returns {Promise<Object>} - { template, assessmentCount, metrics, themes, overall }
+   */
+  async getBenchmarks(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const endpoint = params ? `/analytics/benchmarks?${params}` : '/analytics/benchmarks';
+    return this.request(endpoint);
+  }
+
+  // ==================== Group Methods ====================
+
+  /**
+   * Get all groups assessments can be shared with
+   * @returns {Promise<Object>} - { groups }
+   */
+  async getGroups() {
+    return this.request('/groups');
+  }
+
+  /**
+   * Create new group (admin only)
+   * @param {Object} data - { name, description?, memberEmails[] }
+   * @returns {Promise<Object>} - { group }
+   */
+  async createGroup(data) {
+    return this.request('/groups', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Update existing group (admin only)
+   * @param {string} id - Group ID
+   * @param {Object} data - { name, description?, memberEmails? }
+   * @returns {Promise<Object>} - { group }
+   */
+  async updateGroup(id, data) {
+    return this.request(`/groups/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Delete group (admin only)
+   * @param {string} id - Group ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteGroup(id) {
+    return this.request(`/groups/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // ==================== Template Methods ====================
+
+  /**
+   * Get all assessment templates
+   * @returns {Promise<Object>} - { templates }
+   */
+  async getTemplates() {
+    return this.request('/templates');
+  }
+
+  /**
+   * Get the default assessment template
+   * @returns {Promise<Object>} - Template object
+   */
+  async getDefaultTemplate() {
+    return this.request('/templates/default');
+  }
+
+  /**
+   * Get single template by ID
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} - Template object
+   */
+  async getTemplate(id) {
+    return this.request(`/templates/${id}`);
+  }
+
+  /**
+   * Create new template (admin only)
+   * @param {Object} data - { name, description?, ratingScale?, themes }
+   * @returns {Promise<Object>} - { template }
+   */
+  async createTemplate(data) {
+    return this.request('/templates', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Update existing template (admin only)
+   * @param {string} id - Template ID
+   * @param {Object} data - { name, description?, ratingScale?, themes }
+   * @returns {Promise<Object>} - { template }
+   */
+  async updateTemplate(id, data) {
+    return this.request(`/templates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Delete template (admin only)
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteTemplate(id) {
+    return this.request(`/templates/${id}`, {
+      method: 'DELETE'
+    });
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,30 @@
+/**
+ * Formatting helpers shared by the pages
+ * Loaded as a plain script before the page's own script, so these are globals
+ */
+
+/**
+ * Decode HTML entities in text escaped by the server
+ * Prevents text from being escaped again when it is saved back
+ * @param {string} text - Escaped text
+ * @returns {string} - Plain text
+ */
+function decodeText(text) {
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text || '';
+  return textarea.value;
+}
+
+/**
+ * Format an API date for display, e.g. "Oct 19, 2026"
+ * @param {string|Date} dateString
+ * @returns {string}
+ */
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}